@@ -56,6 +56,21 @@ function updateBotStatus(isRunning) {
     }
 }
 
+// Global function to show whether the bot is paper trading or trading live funds
+function updateTradingMode(paperTrading) {
+    const badge = document.getElementById('trading-mode-badge');
+    
+    if (!badge) return;
+    
+    if (paperTrading) {
+        badge.className = 'bg-yellow-500 text-black px-2 py-1 rounded text-xs font-bold';
+        badge.textContent = 'PAPER TRADING';
+    } else {
+        badge.className = 'bg-status-success text-white px-2 py-1 rounded text-xs font-bold';
+        badge.textContent = 'LIVE';
+    }
+}
+
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     console.log('CryptoSniperBot UI initialized');
@@ -126,4 +141,5 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Make functions globally available
 window.showNotification = showNotification;
-window.updateBotStatus = updateBotStatus;
\ No newline at end of file
+window.updateBotStatus = updateBotStatus;
+window.updateTradingMode = updateTradingMode;
\ No newline at end of file
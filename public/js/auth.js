@@ -37,6 +37,11 @@ async function checkAuthStatus() {
                 updateBotStatus(data.running);
             }
             
+            // Make it obvious whether P&L is simulated
+            if (typeof updateTradingMode === 'function') {
+                updateTradingMode(data.paperTrading);
+            }
+            
             // Connect to socket.io if available
             if (window.io) {
                 connectToSocketIO();
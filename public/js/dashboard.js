@@ -94,6 +94,14 @@ function displayStats(stats) {
         <div class="table-responsive">
             <table class="table table-sm">
                 <tbody>
+                    <tr>
+                        <th>Mode:</th>
+                        <td>
+                            <span class="badge ${stats.paperTrading ? 'bg-warning text-dark' : 'bg-success'}">
+                                ${stats.paperTrading ? 'Paper (simulated P&L)' : 'Live'}
+                            </span>
+                        </td>
+                    </tr>
                     <tr>
                         <th>Total Trades:</th>
                         <td>${stats.totalTrades}</td>
@@ -106,6 +114,10 @@ function displayStats(stats) {
                         <th>Failed Trades:</th>
                         <td>${stats.failedTrades}</td>
                     </tr>
+                    <tr>
+                        <th>Failed Entries:</th>
+                        <td>${stats.failedEntries || 0}</td>
+                    </tr>
                     <tr>
                         <th>Win Rate:</th>
                         <td>${stats.winRate.toFixed(2)}%</td>
@@ -127,9 +139,40 @@ function displayStats(stats) {
                 </tbody>
             </table>
         </div>
+        ${renderStrategyStats(stats.strategies)}
     `;
 }
 
+// Per-strategy P&L, win rate and exposure
+function renderStrategyStats(strategies) {
+    if (!strategies || Object.keys(strategies).length === 0) return '';
+    
+    let html = '<h6 class="mt-3">By Strategy</h6>';
+    html += '<div class="table-responsive">';
+    html += '<table class="table table-sm table-striped">';
+    html += '<thead><tr><th>Strategy</th><th>Trades</th><th>Win Rate</th><th>P/L</th><th>Open</th><th>Exposure</th></tr></thead><tbody>';
+    
+    for (const [name, strategy] of Object.entries(strategies)) {
+        const exposure = Object.entries(strategy.exposure || {})
+            .map(([venue, amount]) => `${venue}: ${parseFloat(amount).toFixed(4)}`)
+            .join('<br>') || '-';
+        
+        html += `
+            <tr>
+                <td>${name}</td>
+                <td>${strategy.totalTrades}</td>
+                <td>${strategy.winRate.toFixed(2)}%</td>
+                <td class="${strategy.profitLoss >= 0 ? 'text-success' : 'text-danger'}">${strategy.profitLoss.toFixed(8)}</td>
+                <td>${strategy.openTrades}${strategy.openTrades ? ` <small class="${strategy.unrealizedProfitLoss >= 0 ? 'text-success' : 'text-danger'}">(${strategy.unrealizedProfitLoss.toFixed(8)})</small>` : ''}</td>
+                <td><small>${exposure}</small></td>
+            </tr>
+        `;
+    }
+    
+    html += '</tbody></table></div>';
+    return html;
+}
+
 // Fetch and display balances
 async function fetchBalances() {
     try {
@@ -238,7 +281,7 @@ async function fetchTrades() {
             // Also update trade history if on that tab
             const tradeHistoryContainer = document.getElementById('trade-history-container');
             if (tradeHistoryContainer) {
-                displayTradeHistory(data.tradeHistory);
+                displayTradeHistory(data.tradeHistory, data.pagination);
             }
         } else {
             activeTradesContainer.innerHTML = '<div class="alert alert-info">Failed to load trades</div>';
@@ -266,7 +309,7 @@ function displayActiveTrades(trades) {
         html += `
             <div class="list-group-item">
                 <div class="d-flex w-100 justify-content-between">
-                    <h6 class="mb-1">${trade.symbol || trade.tokenAddress}</h6>
+                    <h6 class="mb-1">${trade.symbol || trade.tokenAddress} <small class="text-muted">${trade.strategy || ''}</small> ${getTradeStatusBadge(trade)}</h6>
                     <small>${new Date(trade.timestamp).toLocaleString()}</small>
                 </div>
                 <div class="d-flex justify-content-between">
@@ -278,6 +321,10 @@ function displayActiveTrades(trades) {
                         <small>Quantity: ${trade.quantity}</small><br>
                         <small class="${profitLossClass}">P/L: ${trade.unrealizedProfitLoss.toFixed(8)}</small>
                     </div>
+                    <div>
+                        <small>Stop${trade.trailingStop ? ' (trailing)' : ''}: ${trade.stopLoss ? trade.stopLoss.toFixed(8) : 'N/A'}</small><br>
+                        <small>Realized: ${(trade.realizedProfitLoss || 0).toFixed(8)}${trade.partialFills && trade.partialFills.length ? ` (${trade.partialFills.length} partial)` : ''}</small>
+                    </div>
                 </div>
             </div>
         `;
@@ -287,6 +334,143 @@ function displayActiveTrades(trades) {
     activeTradesContainer.innerHTML = html;
 }
 
+// Badge for trades that are not simply open and monitored
+function getTradeStatusBadge(trade) {
+    if (trade.lastError) {
+        return `<span class="badge bg-danger" title="${trade.lastError.message}">Exit failed: ${trade.lastError.reason}</span>`;
+    }
+    if (trade.status === 'unreconciled') {
+        const reason = trade.reconciliation ? trade.reconciliation.reason : 'not found on venue';
+        return `<span class="badge bg-danger" title="${reason}">Unreconciled</span>`;
+    }
+    if (trade.status === 'opening') {
+        return '<span class="badge bg-secondary">Opening</span>';
+    }
+    return '';
+}
+
+// Fetch and display wallet transactions
+async function fetchTransactions() {
+    const transactionsContainer = document.getElementById('transactions-container');
+    if (!transactionsContainer) return;
+    
+    try {
+        const response = await fetch('/api/transactions', {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch transactions');
+        }
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            displayTransactions(data.transactions);
+        } else {
+            transactionsContainer.innerHTML = '<div class="alert alert-info">Failed to load transactions</div>';
+        }
+    } catch (error) {
+        console.error('Error fetching transactions:', error);
+        transactionsContainer.innerHTML = '<div class="alert alert-danger">Failed to load transactions</div>';
+    }
+}
+
+// Display wallet transactions, with speed up and cancel for pending ones
+function displayTransactions(transactions) {
+    const transactionsContainer = document.getElementById('transactions-container');
+    if (!transactionsContainer) return;
+    
+    let html = '';
+    
+    for (const [network, networkTransactions] of Object.entries(transactions || {})) {
+        if (networkTransactions.length === 0) continue;
+        
+        html += `<h6>${network}</h6>`;
+        html += '<div class="table-responsive mb-3">';
+        html += '<table class="table table-sm table-striped">';
+        html += '<thead><tr><th>Hash</th><th>Nonce</th><th>Status</th><th>Max fee (gwei)</th><th></th></tr></thead><tbody>';
+        
+        for (const transaction of networkTransactions) {
+            let actions = '';
+            if (transaction.status === 'pending' && !transaction.cancelling) {
+                actions = `
+                    <button class="btn btn-sm btn-outline-primary" onclick="window.dashboard.speedUpTransaction('${network}', '${transaction.hash}')">Speed up</button>
+                    <button class="btn btn-sm btn-outline-danger" onclick="window.dashboard.cancelTransaction('${network}', '${transaction.hash}')">Cancel</button>
+                `;
+            }
+            
+            html += `
+                <tr>
+                    <td title="${transaction.hash}">${transaction.hash.substring(0, 10)}...</td>
+                    <td>${transaction.nonce}</td>
+                    <td>${getTransactionStatusBadge(transaction)}</td>
+                    <td>${transaction.maxFeePerGas ? parseFloat(transaction.maxFeePerGas).toFixed(2) : 'N/A'}</td>
+                    <td>${actions}</td>
+                </tr>
+            `;
+        }
+        
+        html += '</tbody></table></div>';
+    }
+    
+    transactionsContainer.innerHTML = html || '<div class="alert alert-info">No transactions</div>';
+}
+
+function getTransactionStatusBadge(transaction) {
+    const classes = {
+        pending: 'bg-warning',
+        mined: 'bg-success',
+        failed: 'bg-danger',
+        dropped: 'bg-danger',
+        cancelled: 'bg-secondary'
+    };
+    const label = transaction.cancelling ? 'cancelling' : transaction.status;
+    const replaced = transaction.replacements ? ` (replaced ${transaction.replacements}x)` : '';
+    return `<span class="badge ${classes[transaction.status] || 'bg-secondary'}" title="${transaction.error || ''}">${label}${replaced}</span>`;
+}
+
+// Re-send a pending transaction with higher fees
+async function speedUpTransaction(network, hash) {
+    await replaceTransaction(network, hash, 'speed-up', 'Sped up');
+}
+
+// Replace a pending transaction with an empty one
+async function cancelTransaction(network, hash) {
+    if (!confirm('Cancel this transaction? The cancellation costs gas and only works if it is mined first.')) {
+        return;
+    }
+    await replaceTransaction(network, hash, 'cancel', 'Cancelling');
+}
+
+async function replaceTransaction(network, hash, action, verb) {
+    try {
+        const response = await fetch(`/api/transactions/${network}/${hash}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            showNotification(`${verb} transaction ${hash.substring(0, 10)}...`);
+            fetchTransactions();
+        } else {
+            showNotification(data.message || `Failed to ${action} transaction`, 'error');
+        }
+    } catch (error) {
+        console.error(`Error trying to ${action} transaction:`, error);
+        showNotification(`Failed to ${action} transaction: ` + (error.message || 'Unknown error'), 'error');
+    }
+}
+
 // Update UI based on socket events
 function setupSocketListeners() {
     if (!window.socket) return;
@@ -299,9 +483,35 @@ function setupSocketListeners() {
     // Listen for stats updates
     window.socket.on('statsUpdate', (stats) => {
         displayStats(stats);
+        if (typeof updateTradingMode === 'function') {
+            updateTradingMode(stats.paperTrading);
+        }
     });
     
     // Listen for trade updates
+    window.socket.on('tradeOpened', (data) => {
+        fetchTrades(); // Refresh trade data
+        showNotification(`Opened ${data.trade.symbol || data.trade.tokenAddress} position (${data.trade.strategy})`);
+    });
+
+    window.socket.on('tradePartiallyClosed', (data) => {
+        fetchTrades(); // Refresh trade data
+        showNotification(`Took partial profit on trade ${data.tradeId}: ${data.realizedProfitLoss.toFixed(8)}`);
+    });
+
+    // Listen for risk manager decisions
+    window.socket.on('orderRejected', (data) => {
+        showNotification(`Order rejected for ${data.symbol || data.asset} (${data.strategy}): ${data.reason}`, 'error');
+    });
+
+    window.socket.on('riskPaused', (data) => {
+        showNotification(`New entries paused: ${data.reason}`, 'error');
+    });
+
+    window.socket.on('riskResumed', () => {
+        showNotification('New entries resumed');
+    });
+
     window.socket.on('tradeUpdated', (data) => {
         fetchTrades(); // Refresh trade data
     });
@@ -311,6 +521,18 @@ function setupSocketListeners() {
         fetchStats();  // Refresh stats
         showNotification(`Trade ${data.tradeId} completed with ${data.profitLoss >= 0 ? 'profit' : 'loss'}`);
     });
+
+    window.socket.on('tradeFailed', (data) => {
+        fetchTrades(); // Refresh trade data
+        showNotification(`Order for ${data.symbol} (${data.strategy}) failed: ${data.error.reason}`, 'error');
+    });
+
+    window.socket.on('transactionUpdated', (data) => {
+        fetchTransactions(); // Refresh transaction data
+        if (['failed', 'dropped', 'cancelled'].includes(data.status)) {
+            showNotification(`Transaction ${data.originalHash.substring(0, 10)}... on ${data.network} ${data.status}`, data.status === 'cancelled' ? 'info' : 'error');
+        }
+    });
 }
 
 // Set up tab switching event handlers
@@ -325,6 +547,7 @@ function setupTabHandlers() {
                     fetchStats();
                     fetchBalances();
                     fetchTrades();
+                    fetchTransactions();
                     break;
                 case '#trades':
                     fetchTrades();
@@ -350,6 +573,7 @@ function initDashboard() {
     fetchStats();
     fetchBalances();
     fetchTrades();
+    fetchTransactions();
     setupSocketListeners();
 }
 
@@ -359,5 +583,8 @@ window.dashboard = {
     updateBotStatus,
     fetchStats,
     fetchBalances,
-    fetchTrades
+    fetchTrades,
+    fetchTransactions,
+    speedUpTransaction,
+    cancelTransaction
 };
\ No newline at end of file
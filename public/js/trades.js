@@ -5,8 +5,11 @@
 // DOM elements
 const tradeHistoryContainer = document.getElementById('trade-history-container');
 
+// Current history query, kept so paging preserves the active filters
+let tradeHistoryFilters = {};
+
 // Display trade history
-function displayTradeHistory(trades) {
+function displayTradeHistory(trades, pagination = null) {
     if (!tradeHistoryContainer) return;
     
     if (!trades || trades.length === 0) {
@@ -20,6 +23,7 @@ function displayTradeHistory(trades) {
         <thead>
             <tr>
                 <th>Symbol/Token</th>
+                <th>Strategy</th>
                 <th>Type</th>
                 <th>Entry</th>
                 <th>Exit</th>
@@ -48,25 +52,46 @@ function displayTradeHistory(trades) {
         const status = trade.status || 'Unknown';
         const statusClass = getStatusClass(trade.status);
         const tradeType = trade.side === 'buy' ? 'Long' : 'Short';
+        const paperBadge = trade.paper ? ' <span class="badge bg-warning text-dark">Paper</span>' : '';
+        // Why a failed order failed, e.g. the revert reason of a swap that would not go through
+        const errorText = trade.error ? `<br><small class="text-danger" title="${trade.error.message}">${trade.error.reason}</small>` : '';
         
         html += `
             <tr>
                 <td>${symbol}</td>
+                <td>${trade.strategy || 'N/A'}</td>
                 <td>${tradeType}</td>
                 <td>${entryPrice}</td>
                 <td>${exitPrice}</td>
                 <td>${quantity}</td>
                 <td class="${profitLossClass}">${profitLoss.toFixed(8)}</td>
                 <td>${date}</td>
-                <td><span class="badge ${statusClass}">${status}</span></td>
+                <td><span class="badge ${statusClass}">${status}</span>${paperBadge}${errorText}</td>
             </tr>
         `;
     });
     
     html += '</tbody></table></div>';
+    html += renderTradeHistoryPager(pagination);
     tradeHistoryContainer.innerHTML = html;
 }
 
+// Previous/next controls for paginated history
+function renderTradeHistoryPager(pagination) {
+    if (!pagination || pagination.pages <= 1) return '';
+    
+    const { page, pages, total } = pagination;
+    return `
+        <div class="d-flex justify-content-between align-items-center">
+            <button class="btn btn-sm btn-outline-secondary" ${page <= 1 ? 'disabled' : ''}
+                onclick="window.trades.fetchTradeHistory(${page - 1})">Previous</button>
+            <small>Page ${page} of ${pages} (${total} trades)</small>
+            <button class="btn btn-sm btn-outline-secondary" ${page >= pages ? 'disabled' : ''}
+                onclick="window.trades.fetchTradeHistory(${page + 1})">Next</button>
+        </div>
+    `;
+}
+
 // Get Bootstrap class for status badge
 function getStatusClass(status) {
     switch (status) {
@@ -83,10 +108,16 @@ function getStatusClass(status) {
     }
 }
 
-// Fetch trade history
-async function fetchTradeHistory() {
+// Fetch a page of trade history, optionally with new filters
+// (from, to, strategy, exchange, symbol, outcome, paper)
+async function fetchTradeHistory(page = 1, filters = null) {
+    if (filters) {
+        tradeHistoryFilters = filters;
+    }
+    
     try {
-        const response = await fetch('/api/trades', {
+        const params = new URLSearchParams({ page, ...tradeHistoryFilters });
+        const response = await fetch(`/api/trades?${params.toString()}`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -101,7 +132,7 @@ async function fetchTradeHistory() {
         const data = await response.json();
         
         if (data.success && data.tradeHistory) {
-            displayTradeHistory(data.tradeHistory);
+            displayTradeHistory(data.tradeHistory, data.pagination);
         } else {
             tradeHistoryContainer.innerHTML = '<div class="alert alert-info">No trade history available</div>';
         }
@@ -124,6 +155,10 @@ function setupTradeSocketListeners() {
     window.socket.on('tradeCompleted', (data) => {
         fetchTradeHistory();
     });
+
+    window.socket.on('tradeFailed', (data) => {
+        fetchTradeHistory();
+    });
 }
 
 // Export functions for use in other modules
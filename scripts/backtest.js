@@ -0,0 +1,106 @@
+/**
+ * Backtest Script
+ * Replays a historical OHLCV file through a strategy and prints the results
+ *
+ * Usage: node scripts/backtest.js --strategy enhancedTrendTrading --data data/backtest/BTC-USDT.csv
+ *        [--symbol BTC/USDT] [--balance 10000] [--size 10] [--stop-loss 5] [--take-profit 10]
+ *        [--fee 0.1] [--slippage 0.05] [--config strategy.json] [--trading trading.json]
+ *        [--output report.json] [--verbose]
+ *
+ * --trading takes a file shaped like config.trading, for the position sizing and risk limits
+ */
+const fs = require('fs');
+const path = require('path');
+const { Backtester } = require('../src/trading/backtester');
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            options[key] = true;
+        } else {
+            options[key] = next;
+            i++;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log('Usage: node scripts/backtest.js --strategy <name> --data <file.csv|file.json> [options]');
+    console.log(`Strategies: ${Backtester.getSupportedStrategies().join(', ')}`);
+    console.log('Options: --symbol, --balance, --size, --stop-loss, --take-profit, --fee, --slippage, --config, --trading, --output, --verbose');
+}
+
+function optionalNumber(value) {
+    return value === undefined ? undefined : parseFloat(value);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help || !args.strategy || !args.data) {
+        printUsage();
+        process.exit(args.help ? 0 : 1);
+    }
+
+    const candles = Backtester.loadCandles(path.resolve(args.data), typeof args.symbol === 'string' ? args.symbol : null);
+    const strategyConfig = args.config
+        ? JSON.parse(fs.readFileSync(path.resolve(args.config), 'utf8'))
+        : {};
+    const tradingConfig = args.trading
+        ? JSON.parse(fs.readFileSync(path.resolve(args.trading), 'utf8'))
+        : {};
+
+    const runOptions = {
+        strategy: args.strategy,
+        candles,
+        strategyConfig,
+        tradingConfig,
+        initialBalance: optionalNumber(args.balance),
+        positionSizePercentage: optionalNumber(args.size),
+        stopLossPercentage: optionalNumber(args['stop-loss']),
+        takeProfitPercentage: optionalNumber(args['take-profit']),
+        feePercentage: optionalNumber(args.fee),
+        slippagePercentage: optionalNumber(args.slippage),
+        verbose: !!args.verbose
+    };
+    // Let the backtester apply its defaults for anything not given
+    Object.keys(runOptions).forEach(key => runOptions[key] === undefined && delete runOptions[key]);
+
+    const backtester = new Backtester();
+    const report = await backtester.run(runOptions);
+
+    console.log(`\nBacktest: ${report.strategy} on ${report.symbols.join(', ')}`);
+    console.log(`Period:          ${report.period.start} -> ${report.period.end} (${report.period.candles} candles)`);
+    console.log(`Initial balance: ${report.initialBalance.toFixed(2)}`);
+    console.log(`Final equity:    ${report.finalEquity.toFixed(2)}`);
+    console.log(`Total return:    ${report.totalReturnPercentage.toFixed(2)}%`);
+    console.log(`Trades:          ${report.totalTrades} (${report.winningTrades} won, ${report.losingTrades} lost)`);
+    console.log(`Win rate:        ${report.winRate.toFixed(2)}%`);
+    console.log(`Skipped entries: ${report.rejectedEntries}`);
+    console.log(`Max drawdown:    ${report.maxDrawdownPercentage.toFixed(2)}%`);
+    console.log(`Sharpe ratio:    ${report.sharpeRatio.toFixed(2)}`);
+
+    if (report.trades.length > 0) {
+        console.log('\nTrades:');
+        report.trades.forEach(trade => {
+            console.log(`${new Date(trade.entryTime).toISOString()} ${trade.symbol} ${trade.entryPrice.toFixed(4)} -> ${trade.exitPrice.toFixed(4)} ${trade.closeReason.padEnd(12)} P/L ${trade.profitLoss.toFixed(2)}`);
+        });
+    }
+
+    if (args.output) {
+        fs.writeFileSync(path.resolve(args.output), JSON.stringify(report, null, 2));
+        console.log(`\nFull report written to ${args.output}`);
+    }
+}
+
+main().catch(error => {
+    console.error('Backtest failed:', error.message);
+    process.exit(1);
+});
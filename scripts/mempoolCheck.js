@@ -0,0 +1,144 @@
+/**
+ * Mempool Check Script
+ * Runs the mempool watcher against a local dev node (Anvil or Hardhat). With automine off it
+ * sends an addLiquidityETH to the router and an enableTrading call to a watched token, and
+ * fails unless liquidityPending fires for both while they are still pending.
+ *
+ * Usage: node scripts/mempoolCheck.js [--rpc http://127.0.0.1:8545] [--network ethereum]
+ *        [--router 0x...] [--timeout 15000]
+ *
+ * Both transactions come from the node's first unlocked account. Neither needs a contract
+ * behind it, so a plain node works as well as a fork; gas limits are given because estimating
+ * a call to an address without code fails. Automine is switched back on at the end.
+ */
+const { ethers } = require('ethers');
+const { MempoolWatcher, createMempoolProvider } = require('../src/blockchain/mempoolWatcher');
+const { NETWORKS } = require('../src/blockchain/networks');
+
+const ROUTER_INTERFACE = new ethers.utils.Interface([
+    'function addLiquidityETH(address token, uint amountTokenDesired, uint amountTokenMin, uint amountETHMin, address to, uint deadline)'
+]);
+const TOKEN_INTERFACE = new ethers.utils.Interface(['function enableTrading()']);
+// Filters are polled, so keep the wait for a pending transaction short
+const POLLING_INTERVAL_MS = 500;
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            options[key] = true;
+        } else {
+            options[key] = next;
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * The liquidityPending event for a transaction, once the watcher has reported it
+ */
+async function waitForEvent(events, txHash, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (!events.has(txHash)) {
+        if (Date.now() > deadline) {
+            throw new Error(`No liquidityPending for ${txHash} within ${timeoutMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return events.get(txHash);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: node scripts/mempoolCheck.js [--rpc <url>] [--network <name>] [--router <address>] [--timeout <ms>]');
+        return;
+    }
+
+    const rpcUrl = typeof args.rpc === 'string' ? args.rpc : 'http://127.0.0.1:8545';
+    const network = typeof args.network === 'string' ? args.network : 'ethereum';
+    const timeoutMs = parseInt(args.timeout) || 15000;
+    const chain = NETWORKS[network];
+    if (!chain) {
+        throw new Error(`Unknown network ${network} (known: ${Object.keys(NETWORKS).join(', ')})`);
+    }
+    const routerAddress = typeof args.router === 'string' ? args.router : chain.dexes[0].routerAddress;
+
+    const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+    const signer = provider.getSigner(0);
+    const from = await signer.getAddress();
+    const tokenAddress = ethers.Wallet.createRandom().address;
+
+    const mempoolProvider = createMempoolProvider(rpcUrl);
+    mempoolProvider.pollingInterval = POLLING_INTERVAL_MS;
+    const watcher = new MempoolWatcher({
+        provider: mempoolProvider,
+        network,
+        routerAddress,
+        wrappedNativeAddress: chain.wrappedNative.address,
+        logger: { debug() {}, info: console.log, warn: console.warn, error: console.error }
+    });
+    const events = new Map();
+    watcher.on('liquidityPending', event => events.set(event.txHash, event));
+    watcher.watchToken(tokenAddress);
+
+    await provider.send('evm_setAutomine', [false]);
+    watcher.start();
+    try {
+        const sentAt = Date.now();
+        const expected = [
+            {
+                method: 'addLiquidityETH',
+                txHash: await signer.sendUncheckedTransaction({
+                    to: routerAddress,
+                    data: ROUTER_INTERFACE.encodeFunctionData('addLiquidityETH', [
+                        tokenAddress,
+                        ethers.utils.parseUnits('1000000', 18),
+                        0,
+                        0,
+                        from,
+                        Math.floor(Date.now() / 1000) + 600
+                    ]),
+                    value: ethers.utils.parseEther('1'),
+                    gasLimit: 500000
+                })
+            },
+            {
+                method: 'enableTrading',
+                txHash: await signer.sendUncheckedTransaction({
+                    to: tokenAddress,
+                    data: TOKEN_INTERFACE.encodeFunctionData('enableTrading'),
+                    gasLimit: 100000
+                })
+            }
+        ];
+
+        for (const { method, txHash } of expected) {
+            const event = await waitForEvent(events, txHash, timeoutMs);
+            if (event.method !== method || event.tokenAddress !== tokenAddress) {
+                throw new Error(`Expected ${method} for ${tokenAddress}, got ${event.method} for ${event.tokenAddress}`);
+            }
+            console.log(`liquidityPending fired for ${method} (${txHash}) ${event.detectedAt - sentAt}ms after sending`);
+        }
+        console.log('Mempool watcher OK');
+    } finally {
+        watcher.stop();
+        if (typeof mempoolProvider.destroy === 'function') {
+            await mempoolProvider.destroy();
+        }
+        // Mine what was sent and go back to mining every transaction
+        await provider.send('evm_setAutomine', [true]);
+        await provider.send('evm_mine', []);
+    }
+}
+
+main().catch(error => {
+    console.error('Mempool check failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,263 @@
+const { ethers } = require('ethers');
+const { BURN_ADDRESSES } = require('./networks');
+
+// Functions the owner can use against holders, by the signatures common token templates use
+const PRIVILEGE_SIGNATURES = {
+    mintable: [
+        'mint(address,uint256)',
+        'mint(uint256)',
+        'mintTo(address,uint256)',
+        'issue(uint256)'
+    ],
+    blacklist: [
+        'blacklist(address)',
+        'blacklistAddress(address,bool)',
+        'addToBlacklist(address)',
+        'setBlacklist(address,bool)',
+        'isBlacklisted(address)',
+        'setBots(address[])',
+        'addBots(address[])',
+        'blockBots(address[])',
+        'isBot(address)',
+        'bots(address)'
+    ],
+    whitelist: [
+        'whitelist(address)',
+        'addToWhitelist(address)',
+        'setWhitelist(address,bool)',
+        'isWhitelisted(address)'
+    ],
+    pausable: [
+        'pause()',
+        'unpause()',
+        'setTradingEnabled(bool)',
+        'enableTrading()',
+        'openTrading()',
+        'setSwapEnabled(bool)'
+    ],
+    adjustableFees: [
+        'setFee(uint256)',
+        'setFees(uint256,uint256)',
+        'setTaxes(uint256,uint256)',
+        'setBuyFee(uint256)',
+        'setSellFee(uint256)',
+        'setTaxFeePercent(uint256)',
+        'setLiquidityFeePercent(uint256)',
+        'updateFees(uint256,uint256,uint256)',
+        'updateBuyFees(uint256,uint256,uint256)',
+        'updateSellFees(uint256,uint256,uint256)'
+    ],
+    maxTransactionLimit: [
+        'setMaxTxAmount(uint256)',
+        'setMaxTxPercent(uint256)',
+        'setMaxTx(uint256)',
+        'updateMaxTxnAmount(uint256)',
+        'setMaxWalletSize(uint256)',
+        'setMaxWallet(uint256)',
+        'updateMaxWalletAmount(uint256)'
+    ],
+    proxy: [
+        'upgradeTo(address)',
+        'upgradeToAndCall(address,bytes)',
+        'implementation()'
+    ]
+};
+
+const FLAG_DETAILS = {
+    mintable: { weight: 30, detail: 'Supply can be minted' },
+    blacklist: { weight: 25, detail: 'Addresses can be blacklisted' },
+    whitelist: { weight: 10, detail: 'Transfers can be restricted to a whitelist' },
+    pausable: { weight: 20, detail: 'Trading or transfers can be paused' },
+    adjustableFees: { weight: 15, detail: 'Fees can be changed after launch' },
+    maxTransactionLimit: { weight: 10, detail: 'Transaction or wallet size can be limited' },
+    proxy: { weight: 30, detail: 'Contract logic can be upgraded' },
+    ownerNotRenounced: { weight: 10, detail: 'Owner has not renounced ownership' }
+};
+
+// Owner-gated functions matter much less once ownership is renounced
+const RENOUNCED_WEIGHT = 0.25;
+
+// keccak256('eip1967.proxy.implementation') - 1
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const EIP1167_PREFIX = '363d3d373d3d3d363d73';
+
+const PUSH1 = 0x60;
+const PUSH4 = 0x63;
+const PUSH32 = 0x7f;
+const DELEGATECALL = 0xf4;
+
+const OWNER_INTERFACE = new ethers.utils.Interface([
+    'function owner() view returns (address)',
+    'function getOwner() view returns (address)'
+]);
+
+const SELECTOR_FLAGS = new Map();
+for (const [flag, signatures] of Object.entries(PRIVILEGE_SIGNATURES)) {
+    for (const signature of signatures) {
+        SELECTOR_FLAGS.set(ethers.utils.id(signature).slice(0, 10), { flag, signature });
+    }
+}
+
+/**
+ * Reads what a token's deployer can do to holders from its bytecode and owner: the function
+ * selectors in the dispatcher are matched against known privileged functions, proxies are
+ * followed to their implementation, and owner() is checked for renouncement.
+ */
+class ContractAnalyzer {
+    constructor({ provider, logger }) {
+        this.provider = provider;
+        this.logger = logger;
+        this.bytecodeCache = new Map();
+    }
+
+    /**
+     * Resolves to { address, isContract, isProxy, implementation, owner, ownerRenounced,
+     * flags: [{ flag, detail, functions }], riskScore } with riskScore from 0 (no privileges)
+     * to 100
+     */
+    async analyze(tokenAddress) {
+        const address = ethers.utils.getAddress(tokenAddress);
+        const code = await this.provider.getCode(address);
+        if (code === '0x') {
+            return {
+                address,
+                isContract: false,
+                isProxy: false,
+                implementation: null,
+                owner: null,
+                ownerRenounced: null,
+                flags: [],
+                riskScore: 100
+            };
+        }
+
+        const bytecode = this.scanBytecode(address, code);
+        const implementation = await this.getImplementation(address, code, bytecode);
+        const selectors = new Set(bytecode.selectors);
+        if (implementation) {
+            const implementationCode = await this.provider.getCode(implementation);
+            for (const selector of this.scanBytecode(implementation, implementationCode).selectors) {
+                selectors.add(selector);
+            }
+        }
+
+        const owner = await this.getOwner(address);
+        const ownerRenounced = owner === null || BURN_ADDRESSES.includes(owner);
+
+        const found = new Map();
+        for (const selector of selectors) {
+            const match = SELECTOR_FLAGS.get(selector);
+            if (!match) continue;
+            if (!found.has(match.flag)) {
+                found.set(match.flag, []);
+            }
+            found.get(match.flag).push(match.signature);
+        }
+        if (implementation && !found.has('proxy')) {
+            found.set('proxy', []);
+        }
+        if (!ownerRenounced) {
+            found.set('ownerNotRenounced', []);
+        }
+
+        let riskScore = 0;
+        const flags = [];
+        for (const [flag, functions] of found) {
+            const { weight, detail } = FLAG_DETAILS[flag];
+            // Upgrades are usually guarded by a proxy admin rather than owner()
+            const ownerGated = flag !== 'proxy';
+            riskScore += ownerRenounced && ownerGated ? weight * RENOUNCED_WEIGHT : weight;
+            flags.push({ flag, detail, functions });
+        }
+
+        return {
+            address,
+            isContract: true,
+            isProxy: implementation !== null,
+            implementation,
+            owner,
+            ownerRenounced,
+            flags,
+            riskScore: Math.min(100, Math.round(riskScore))
+        };
+    }
+
+    /**
+     * Walk the opcodes: 4-byte pushes are candidate selectors, since the function dispatcher
+     * compares calldata against each public selector that way. Cached per address, since code
+     * does not change.
+     */
+    scanBytecode(address, code) {
+        const cached = this.bytecodeCache.get(address);
+        if (cached) {
+            return cached;
+        }
+
+        const bytes = ethers.utils.arrayify(code);
+        const selectors = [];
+        let delegates = false;
+        for (let i = 0; i < bytes.length; i++) {
+            const opcode = bytes[i];
+            if (opcode === DELEGATECALL) {
+                delegates = true;
+            }
+            if (opcode === PUSH4 && i + 4 < bytes.length) {
+                selectors.push(ethers.utils.hexlify(bytes.slice(i + 1, i + 5)));
+            }
+            // Skip push data so it is not read as opcodes
+            if (opcode >= PUSH1 && opcode <= PUSH32) {
+                i += opcode - PUSH1 + 1;
+            }
+        }
+
+        const result = { selectors, delegates };
+        this.bytecodeCache.set(address, result);
+        return result;
+    }
+
+    /**
+     * Implementation behind an EIP-1967 or EIP-1167 (minimal) proxy, or null
+     */
+    async getImplementation(address, code, bytecode) {
+        const body = code.slice(2).toLowerCase();
+        const minimalProxyAt = body.indexOf(EIP1167_PREFIX);
+        if (minimalProxyAt !== -1) {
+            const start = minimalProxyAt + EIP1167_PREFIX.length;
+            return ethers.utils.getAddress(`0x${body.slice(start, start + 40)}`);
+        }
+
+        // Only contracts that can delegate calls can be proxies
+        if (!bytecode.delegates) {
+            return null;
+        }
+
+        try {
+            const slot = await this.provider.getStorageAt(address, EIP1967_IMPLEMENTATION_SLOT);
+            const implementation = ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12));
+            return implementation === ethers.constants.AddressZero ? null : implementation;
+        } catch (error) {
+            this.logger.debug(`Could not read the implementation slot of ${address}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * owner() or BEP-20 getOwner(); null when the token has neither
+     */
+    async getOwner(address) {
+        for (const name of ['owner', 'getOwner']) {
+            try {
+                const result = await this.provider.call({
+                    to: address,
+                    data: OWNER_INTERFACE.encodeFunctionData(name)
+                });
+                return OWNER_INTERFACE.decodeFunctionResult(name, result)[0];
+            } catch (error) {
+                // Not implemented, try the next one
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = { ContractAnalyzer };
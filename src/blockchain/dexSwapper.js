@@ -0,0 +1,307 @@
+const { ethers } = require('ethers');
+const ERC20_ABI = require('./abis/erc20.json');
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+// The router unwraps WETH/WBNB before paying out native coin on sells
+const WITHDRAWAL_TOPIC = ethers.utils.id('Withdrawal(address,uint256)');
+// Gas estimation reverts until pending liquidity is mined, so buys behind it need a fixed limit
+const PENDING_LIQUIDITY_GAS_LIMIT = 300000;
+
+/**
+ * Buys and sells tokens against the native coin through a Uniswap V2 style router
+ * (Uniswap on Ethereum, PancakeSwap on BNB Chain)
+ */
+class DexSwapper {
+    constructor({ wallet, router, gasOracle, wrappedNativeAddress, nativeSymbol, config = {}, logger }) {
+        this.wallet = wallet;
+        this.router = router;
+        this.gasOracle = gasOracle;
+        this.wrappedNativeAddress = wrappedNativeAddress;
+        this.nativeSymbol = nativeSymbol;
+        this.config = config;
+        this.logger = logger;
+    }
+
+    /**
+     * Spend `amount` of the native coin on a token.
+     *
+     * pendingLiquidity ({ reserveNative, reserveToken, gasPrice, maxFeePerGas,
+     * maxPriorityFeePerGas }) sends the buy behind a pending liquidity or enable-trading
+     * transaction: it is priced the same so it can land in the same block, and when the pool
+     * does not exist yet the minimum out is quoted from the reserves being added.
+     *
+     * urgency (slow, standard, fast or urgent) picks the gas fee tier; see GasOracle. tax is the
+     * token's buy tax (a percentage), taken off the minimum out along with the slippage.
+     */
+    async buy({ tokenAddress, symbol, amount, slippageTolerance, feeOnTransfer, pendingLiquidity, urgency, tax }) {
+        const token = this.getToken(tokenAddress);
+        const decimals = await token.decimals();
+        const path = [this.wrappedNativeAddress, token.address];
+        const amountIn = ethers.utils.parseEther(this.formatAmount(amount, 18));
+
+        const amountOutMin = pendingLiquidity && pendingLiquidity.reserveNative
+            ? this.getAmountOutMinFromReserves(amountIn, pendingLiquidity.reserveNative, pendingLiquidity.reserveToken, slippageTolerance, tax)
+            : await this.getAmountOutMin(amountIn, path, slippageTolerance, tax);
+        const deadline = this.getDeadline();
+        const to = this.wallet.address;
+        const overrides = pendingLiquidity
+            ? { ...this.getPendingLiquidityOverrides(pendingLiquidity), value: amountIn }
+            : { ...await this.getTxOverrides(urgency), value: amountIn };
+
+        this.logger.info(`Buying ${symbol || token.address} with ${amount} ${this.nativeSymbol} (min out ${amountOutMin.toString()})`);
+
+        const method = this.useFeeOnTransfer(feeOnTransfer)
+            ? 'swapExactETHForTokensSupportingFeeOnTransferTokens'
+            : 'swapExactETHForTokens';
+        const args = [amountOutMin, path, to, deadline, overrides];
+        // A buy behind pending liquidity reverts until that is mined, so it cannot be simulated first
+        const tx = pendingLiquidity
+            ? await this.wallet.sendTransaction(await this.router.populateTransaction[method](...args), { simulate: false })
+            : await this.router[method](...args);
+        const receipt = await this.waitForSwap(tx);
+
+        // Fee-on-transfer tokens deliver less than the router quoted, so count what actually arrived
+        const amountOut = this.sumTransfersTo(receipt, token.address, to);
+
+        return this.buildFill({
+            receipt,
+            side: 'buy',
+            tokenAddress: token.address,
+            symbol,
+            amountIn,
+            amountOut,
+            nativeAmount: amountIn,
+            tokenAmount: amountOut,
+            decimals
+        });
+    }
+
+    /**
+     * Sell `amount` tokens for the native coin; tax is the token's sell tax (a percentage)
+     */
+    async sell({ tokenAddress, symbol, amount, slippageTolerance, feeOnTransfer, urgency, tax }) {
+        const token = this.getToken(tokenAddress);
+        const { decimals, amountIn } = await this.getSellAmount(token, symbol, amount);
+        const path = [token.address, this.wrappedNativeAddress];
+
+        const approvalReceipt = await this.ensureAllowance(token, amountIn, urgency);
+
+        const amountOutMin = await this.getAmountOutMin(amountIn, path, slippageTolerance, tax);
+        const deadline = this.getDeadline();
+        const to = this.wallet.address;
+        const overrides = await this.getTxOverrides(urgency);
+
+        this.logger.info(`Selling ${ethers.utils.formatUnits(amountIn, decimals)} ${symbol || token.address} (min out ${ethers.utils.formatEther(amountOutMin)} ${this.nativeSymbol})`);
+
+        const tx = this.useFeeOnTransfer(feeOnTransfer)
+            ? await this.router.swapExactTokensForETHSupportingFeeOnTransferTokens(amountIn, amountOutMin, path, to, deadline, overrides)
+            : await this.router.swapExactTokensForETH(amountIn, amountOutMin, path, to, deadline, overrides);
+        const receipt = await this.waitForSwap(tx);
+
+        const amountOut = this.sumWithdrawals(receipt);
+
+        return this.buildFill({
+            receipt,
+            approvalReceipt,
+            side: 'sell',
+            tokenAddress: token.address,
+            symbol,
+            amountIn,
+            amountOut,
+            nativeAmount: amountOut,
+            tokenAmount: amountIn,
+            decimals
+        });
+    }
+
+    /**
+     * Raw amount to sell and the token's decimals. Float rounding can ask for a hair more than
+     * we hold, so the amount never exceeds the balance.
+     */
+    async getSellAmount(token, symbol, amount) {
+        const [decimals, balance] = await Promise.all([
+            token.decimals(),
+            token.balanceOf(this.wallet.address)
+        ]);
+
+        let amountIn = ethers.utils.parseUnits(this.formatAmount(amount, decimals), decimals);
+        if (amountIn.gt(balance)) {
+            amountIn = balance;
+        }
+        if (amountIn.isZero()) {
+            throw new Error(`No ${symbol || token.address} balance to sell`);
+        }
+        return { decimals, amountIn };
+    }
+
+    getToken(tokenAddress) {
+        return new ethers.Contract(ethers.utils.getAddress(tokenAddress), ERC20_ABI, this.wallet);
+    }
+
+    /**
+     * Approve the router for the token if its allowance does not cover the amount
+     */
+    async ensureAllowance(token, amount, urgency) {
+        const allowance = await token.allowance(this.wallet.address, this.router.address);
+        if (allowance.gte(amount)) {
+            return null;
+        }
+
+        this.logger.info(`Approving router ${this.router.address} to spend ${token.address}`);
+        const tx = await token.approve(this.router.address, ethers.constants.MaxUint256, await this.getTxOverrides(urgency));
+        const receipt = await tx.wait();
+        if (receipt.status !== 1) {
+            throw new Error(`Approval transaction ${tx.hash} reverted`);
+        }
+        return receipt;
+    }
+
+    /**
+     * Quote the swap and take off the token tax and slippage tolerance (percentages). The quote
+     * is what the pair pays out, before the token takes its cut.
+     */
+    async getAmountOutMin(amountIn, path, slippageTolerance, tax) {
+        const amounts = await this.router.getAmountsOut(amountIn, path);
+        return this.applySlippage(amounts[amounts.length - 1], slippageTolerance, tax);
+    }
+
+    /**
+     * Quote against given reserves the way the V2 router does, 0.3% fee included
+     */
+    getAmountOutMinFromReserves(amountIn, reserveIn, reserveOut, slippageTolerance, tax) {
+        const amountInWithFee = amountIn.mul(997);
+        const quoted = amountInWithFee.mul(reserveOut).div(ethers.BigNumber.from(reserveIn).mul(1000).add(amountInWithFee));
+        return this.applySlippage(quoted, slippageTolerance, tax);
+    }
+
+    applySlippage(quoted, slippageTolerance, tax) {
+        const tolerance = parseFloat(slippageTolerance !== undefined ? slippageTolerance : this.config.slippageTolerance);
+        const basisPoints = Math.round((Number.isFinite(tolerance) ? tolerance : 1) * 100);
+        if (basisPoints < 0 || basisPoints >= 10000) {
+            throw new Error(`Invalid slippage tolerance ${slippageTolerance}%`);
+        }
+        const taxBasisPoints = Math.round((parseFloat(tax) || 0) * 100);
+        if (taxBasisPoints < 0 || taxBasisPoints >= 10000) {
+            throw new Error(`Invalid token tax ${tax}%`);
+        }
+        return quoted.mul(10000 - taxBasisPoints).div(10000).mul(10000 - basisPoints).div(10000);
+    }
+
+    getDeadline() {
+        const seconds = parseInt(this.config.swapDeadlineSeconds) || 120;
+        return Math.floor(Date.now() / 1000) + seconds;
+    }
+
+    /**
+     * The SupportingFeeOnTransferTokens variants work for every token, so they are the default
+     */
+    useFeeOnTransfer(feeOnTransfer) {
+        if (feeOnTransfer !== undefined) {
+            return !!feeOnTransfer;
+        }
+        return this.config.feeOnTransferSwaps !== false;
+    }
+
+    async getTxOverrides(urgency) {
+        const overrides = this.gasOracle ? await this.gasOracle.getOverrides(urgency) : {};
+        if (this.config.gasLimit) {
+            overrides.gasLimit = parseInt(this.config.gasLimit);
+        }
+        return overrides;
+    }
+
+    /**
+     * Copies the pending transaction's fees, held to the fee cap
+     */
+    getPendingLiquidityOverrides(pendingLiquidity) {
+        let fees = {};
+        if (pendingLiquidity.maxFeePerGas) {
+            fees = {
+                maxFeePerGas: ethers.BigNumber.from(pendingLiquidity.maxFeePerGas),
+                maxPriorityFeePerGas: ethers.BigNumber.from(pendingLiquidity.maxPriorityFeePerGas)
+            };
+        } else if (pendingLiquidity.gasPrice) {
+            fees = { gasPrice: ethers.BigNumber.from(pendingLiquidity.gasPrice) };
+        }
+        if (this.gasOracle) {
+            fees = this.gasOracle.applyFeeCap(fees);
+        }
+        return { gasLimit: parseInt(this.config.gasLimit) || PENDING_LIQUIDITY_GAS_LIMIT, ...fees };
+    }
+
+    async waitForSwap(tx) {
+        this.logger.info(`Swap submitted: ${tx.hash}`);
+        const receipt = await tx.wait();
+        if (receipt.status !== 1) {
+            throw new Error(`Swap transaction ${tx.hash} reverted`);
+        }
+        return receipt;
+    }
+
+    sumTransfersTo(receipt, tokenAddress, recipient) {
+        const recipientTopic = ethers.utils.hexZeroPad(recipient, 32).toLowerCase();
+        return receipt.logs
+            .filter(log => log.address.toLowerCase() === tokenAddress.toLowerCase() &&
+                log.topics[0] === TRANSFER_TOPIC &&
+                log.topics[2] && log.topics[2].toLowerCase() === recipientTopic)
+            .reduce((total, log) => total.add(ethers.BigNumber.from(log.data)), ethers.constants.Zero);
+    }
+
+    sumWithdrawals(receipt) {
+        return receipt.logs
+            .filter(log => log.address.toLowerCase() === this.wrappedNativeAddress.toLowerCase() &&
+                log.topics[0] === WITHDRAWAL_TOPIC)
+            .reduce((total, log) => total.add(ethers.BigNumber.from(log.data)), ethers.constants.Zero);
+    }
+
+    getGasCost(receipt) {
+        if (!receipt) {
+            return ethers.constants.Zero;
+        }
+        const gasPrice = receipt.effectiveGasPrice || ethers.constants.Zero;
+        return receipt.gasUsed.mul(gasPrice);
+    }
+
+    /**
+     * Fill in the shape the engine expects: quantity is the token amount, price is native coin per token
+     */
+    buildFill({ receipt, approvalReceipt, side, tokenAddress, symbol, amountIn, amountOut, nativeAmount, tokenAmount, decimals }) {
+        const native = parseFloat(ethers.utils.formatEther(nativeAmount));
+        const tokens = parseFloat(ethers.utils.formatUnits(tokenAmount, decimals));
+        const gasCost = this.getGasCost(receipt).add(this.getGasCost(approvalReceipt));
+
+        return {
+            txHash: receipt.transactionHash,
+            approvalTxHash: approvalReceipt ? approvalReceipt.transactionHash : null,
+            blockNumber: receipt.blockNumber,
+            tokenAddress,
+            symbol,
+            side,
+            amountIn: side === 'buy' ? native : tokens,
+            amountInRaw: amountIn.toString(),
+            amountOut: side === 'buy' ? tokens : native,
+            amountOutRaw: amountOut.toString(),
+            quantity: tokens,
+            price: tokens > 0 ? native / tokens : 0,
+            gasUsed: receipt.gasUsed.toString(),
+            gasCost: parseFloat(ethers.utils.formatEther(gasCost)),
+            gasAsset: this.nativeSymbol,
+            status: 'completed',
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Decimal string for parseUnits: no exponent notation and no more decimals than the token has
+     */
+    formatAmount(amount, decimals) {
+        const value = Number(amount);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid swap amount ${amount}`);
+        }
+        const fixed = value.toFixed(Math.min(decimals, 18));
+        return fixed.includes('.') ? fixed.replace(/0+$/, '').replace(/\.$/, '') : fixed;
+    }
+}
+
+module.exports = { DexSwapper };
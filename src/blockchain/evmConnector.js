@@ -0,0 +1,518 @@
+const { ethers } = require('ethers');
+const ERC20_ABI = require('./abis/erc20.json');
+const FACTORY_ABI = require('./abis/uniswapFactory.json');
+const ROUTER_ABI = require('./abis/uniswapRouter.json');
+const PAIR_ABI = require('./abis/uniswapPair.json');
+const V3_ROUTER_ABI = require('./abis/uniswapV3SwapRouter.json');
+const V3_QUOTER_ABI = require('./abis/uniswapV3Quoter.json');
+const { DexSwapper } = require('./dexSwapper');
+const { GasOracle } = require('./gasOracle');
+const { HoneypotChecker } = require('./honeypotChecker');
+const { MempoolWatcher, createMempoolProvider } = require('./mempoolWatcher');
+const { ProviderPool } = require('./providerPool');
+const { TransactionManager } = require('./transactionManager');
+const { V3PoolReader } = require('./v3Pools');
+const { V3Swapper } = require('./v3Swapper');
+const { defineNetwork } = require('./networks');
+
+/**
+ * Connector for any EVM chain with Uniswap V2 compatible DEXes, defined by its config section:
+ *
+ *   chains: {
+ *     arbitrum: {
+ *       enabled: true,
+ *       chainId: 42161,
+ *       name: 'Arbitrum One',
+ *       rpcUrls: ['https://arb1.arbitrum.io/rpc'],
+ *       wrappedNative: { symbol: 'WETH', address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 },
+ *       stablecoins: [{ symbol: 'USDC', address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 }],
+ *       dexes: [{
+ *         name: 'SushiSwap',
+ *         factoryAddress: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+ *         routerAddress: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+ *       }]
+ *     }
+ *   }
+ *
+ * Chain settings not given fall back to networks.js for the chains listed there. The first DEX
+ * is the chain's main one: the mempool watcher follows its router. Every RPC URL is used, with
+ * failover between them; rpcQuorum above 1 makes price reads agree across that many. Other
+ * settings (privateKey, nodeUrl, gasLimit, maxFeePerGasGwei, replaceStuckAfterSeconds, slippage,
+ * liquidityLockers, mempool, v3) are the same as for the built-in chains.
+ */
+class EvmConnector {
+    constructor(network, config, logger) {
+        if (!logger || typeof logger.error !== 'function' ||
+            typeof logger.info !== 'function' ||
+            typeof logger.warn !== 'function') {
+            throw new Error(`Invalid logger provided to ${this.constructor.name}`);
+        }
+
+        this.network = network;
+        this.config = config || {};
+        this.logger = logger;
+
+        this.chain = defineNetwork(network, this.config);
+        this.nativeSymbol = this.chain.nativeSymbol;
+        this.wrappedNativeAddress = this.chain.wrappedNative.address;
+
+        this.provider = null;
+        this.priceProvider = null;
+        this.wallet = null;
+        this.signer = null;
+        this.gasOracle = null;
+        this.transactions = null;
+        this.dexes = [];
+        this.swapper = null;
+        this.v3Pools = null;
+        this.v3Prices = null;
+        this.v3Swapper = null;
+        this.honeypotChecker = null;
+        this.mempoolWatcher = null;
+        this.routes = new Map();
+    }
+
+    /**
+     * Connect, load the wallet and DEX contracts and check the chain answers. Rejects when any
+     * of it fails, so the engine leaves the chain out rather than trading on a dead connector.
+     */
+    async initialize() {
+        try {
+            this.logger.info(`Initializing ${this.chain.name} connector`);
+
+            // Validate private key
+            const privateKey = this.config.privateKey;
+            if (!privateKey || typeof privateKey !== 'string') {
+                throw new Error(`Missing or invalid private key for ${this.chain.name}`);
+            }
+
+            this.provider = await this.connectProvider();
+            this.priceProvider = this.provider.getQuorumProvider();
+
+            // Ensure private key has 0x prefix
+            const formattedPrivateKey = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+
+            // Set up wallet with error handling
+            try {
+                this.wallet = new ethers.Wallet(formattedPrivateKey, this.provider);
+            } catch (walletError) {
+                throw new Error(`Failed to initialize ${this.chain.name} wallet: ${walletError.message}`);
+            }
+
+            this.gasOracle = new GasOracle({
+                provider: this.provider,
+                chainName: this.chain.name,
+                config: this.config,
+                logger: this.logger
+            });
+
+            // Everything the connector sends goes through one nonce sequence
+            this.transactions = new TransactionManager({
+                wallet: this.wallet,
+                gasOracle: this.gasOracle,
+                chainName: this.chain.name,
+                config: this.config,
+                logger: this.logger
+            });
+            this.signer = this.transactions.signer;
+
+            // V3 pools, for tokens that only trade there
+            let v3 = null;
+            if (this.chain.v3) {
+                v3 = {
+                    router: new ethers.Contract(this.chain.v3.swapRouterAddress, V3_ROUTER_ABI, this.signer),
+                    quoter: new ethers.Contract(this.chain.v3.quoterAddress, V3_QUOTER_ABI, this.provider)
+                };
+                this.v3Pools = new V3PoolReader({
+                    provider: this.provider,
+                    factoryAddress: this.chain.v3.factoryAddress,
+                    feeTiers: this.chain.v3.feeTiers
+                });
+                this.v3Prices = new V3PoolReader({
+                    provider: this.priceProvider,
+                    factoryAddress: this.chain.v3.factoryAddress,
+                    feeTiers: this.chain.v3.feeTiers
+                });
+                this.v3Swapper = new V3Swapper({
+                    wallet: this.signer,
+                    router: v3.router,
+                    gasOracle: this.gasOracle,
+                    quoter: v3.quoter,
+                    pools: this.v3Pools,
+                    wrappedNativeAddress: this.wrappedNativeAddress,
+                    nativeSymbol: this.nativeSymbol,
+                    config: this.config,
+                    logger: this.logger
+                });
+            }
+
+            // Set up the V2 DEX contracts
+            try {
+                this.dexes = this.chain.dexes.map(dex => {
+                    const router = new ethers.Contract(dex.routerAddress, ROUTER_ABI, this.signer);
+                    return {
+                        ...dex,
+                        factory: new ethers.Contract(dex.factoryAddress, FACTORY_ABI, this.provider),
+                        router,
+                        swapper: new DexSwapper({
+                            wallet: this.signer,
+                            router,
+                            gasOracle: this.gasOracle,
+                            wrappedNativeAddress: this.wrappedNativeAddress,
+                            nativeSymbol: this.nativeSymbol,
+                            config: this.config,
+                            logger: this.logger
+                        }),
+                        honeypotChecker: new HoneypotChecker({
+                            provider: this.provider,
+                            router,
+                            v3,
+                            wrappedNativeAddress: this.wrappedNativeAddress,
+                            nativeSymbol: this.nativeSymbol,
+                            config: this.config,
+                            logger: this.logger
+                        })
+                    };
+                });
+            } catch (contractError) {
+                throw new Error(`Failed to initialize ${this.chain.name} DEX contracts: ${contractError.message}`);
+            }
+            this.swapper = this.dexes[0].swapper;
+            this.honeypotChecker = this.dexes[0].honeypotChecker;
+
+            const mempoolConfig = this.config.mempool || {};
+            this.mempoolWatcher = new MempoolWatcher({
+                provider: createMempoolProvider(mempoolConfig.nodeUrl, this.provider),
+                network: this.network,
+                routerAddress: this.dexes[0].routerAddress,
+                wrappedNativeAddress: this.wrappedNativeAddress,
+                logger: this.logger
+            });
+            for (const tokenAddress of mempoolConfig.watchedTokens || []) {
+                this.mempoolWatcher.watchToken(tokenAddress);
+            }
+
+            // Verify connection and contracts
+            try {
+                const [blockNumber, factoryPairCount] = await Promise.all([
+                    this.provider.getBlockNumber(),
+                    this.dexes[0].factory.allPairsLength()
+                ]);
+
+                this.logger.info(`${this.chain.name} connector initialized successfully`, {
+                    address: this.wallet.address,
+                    blockNumber,
+                    dexes: this.dexes.map(dex => dex.name),
+                    pairCount: factoryPairCount.toString()
+                });
+
+                return true;
+            } catch (verificationError) {
+                throw new Error(`Failed to verify ${this.chain.name} connection: ${verificationError.message}`);
+            }
+        } catch (error) {
+            this.logger.error(`Failed to initialize ${this.chain.name} connector`, error);
+            throw error;
+        }
+    }
+
+    async connectProvider() {
+        return await ProviderPool.connect(this.network, this.config, this.logger);
+    }
+
+    getAddress() {
+        return this.wallet?.address || null;
+    }
+
+    getProvider() {
+        return this.provider;
+    }
+
+    getRpcStatus() {
+        return this.provider ? this.provider.getStatus() : null;
+    }
+
+    getFactory() {
+        return this.dexes[0]?.factory || null;
+    }
+
+    getRouter() {
+        return this.dexes[0]?.router || null;
+    }
+
+    async getBalances() {
+        try {
+            if (!this.provider || !this.wallet) {
+                throw new Error(`${this.chain.name} connector not properly initialized`);
+            }
+
+            const nativeBalance = await this.provider.getBalance(this.wallet.address);
+            const balances = {
+                [this.nativeSymbol]: ethers.utils.formatEther(nativeBalance)
+            };
+
+            // Get token balances if configured
+            if (Array.isArray(this.config.tokens)) {
+                for (const token of this.config.tokens) {
+                    try {
+                        if (!token.address || typeof token.address !== 'string') {
+                            this.logger.warn(`Invalid token address for ${token.symbol || 'unknown token'}`);
+                            continue;
+                        }
+
+                        const tokenContract = new ethers.Contract(
+                            token.address,
+                            ERC20_ABI,
+                            this.provider
+                        );
+
+                        const [balance, decimals] = await Promise.all([
+                            tokenContract.balanceOf(this.wallet.address),
+                            tokenContract.decimals()
+                        ]);
+
+                        balances[token.symbol] = ethers.utils.formatUnits(balance, decimals);
+                    } catch (tokenError) {
+                        this.logger.error(`Error getting balance for token ${token.symbol || token.address}`, tokenError);
+                    }
+                }
+            }
+
+            return balances;
+        } catch (error) {
+            this.logger.error(`Error getting ${this.chain.name} balances`, error);
+            return null;
+        }
+    }
+
+    async getTokenBalance(tokenAddress) {
+        try {
+            if (!this.provider || !this.wallet) {
+                throw new Error(`${this.chain.name} connector not properly initialized`);
+            }
+
+            const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+            const [balance, decimals] = await Promise.all([
+                tokenContract.balanceOf(this.wallet.address),
+                tokenContract.decimals()
+            ]);
+
+            return parseFloat(ethers.utils.formatUnits(balance, decimals));
+        } catch (error) {
+            this.logger.error(`Error getting token balance for ${tokenAddress}`, error);
+            return null;
+        }
+    }
+
+    async getTokenPrice(tokenAddress) {
+        try {
+            if (this.dexes.length === 0 || !this.wallet) {
+                throw new Error(`${this.chain.name} connector not properly initialized`);
+            }
+
+            const route = await this.getRoute(tokenAddress);
+            if (!route) {
+                throw new Error('No liquidity pair found');
+            }
+
+            // Stop losses and take profits act on this price, so it is read through the quorum
+            const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.priceProvider);
+            if (route.version === 3) {
+                return await this.v3Prices.getPrice(route.poolAddress, tokenAddress, await token.decimals(), 18);
+            }
+
+            const pair = new ethers.Contract(route.pairAddress, PAIR_ABI, this.priceProvider);
+
+            const [token0, reserves, decimals] = await Promise.all([
+                pair.token0(),
+                pair.getReserves(),
+                token.decimals()
+            ]);
+
+            // Price in the native coin per whole token, so it matches swap fills
+            const tokenIsToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+            const reserve0 = parseFloat(ethers.utils.formatUnits(reserves[0], tokenIsToken0 ? decimals : 18));
+            const reserve1 = parseFloat(ethers.utils.formatUnits(reserves[1], tokenIsToken0 ? 18 : decimals));
+            const nativePrice = tokenIsToken0 ?
+                reserve1 / reserve0 :
+                reserve0 / reserve1;
+
+            return nativePrice;
+        } catch (error) {
+            this.logger.error(`Error getting token price for ${tokenAddress}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Swap on the DEX the token trades on. Buys spend `amount` of the native coin, sells dispose of
+     * `amount` tokens. Resolves to a fill with tx hash, amounts in and out, effective price (native
+     * coin per token) and gas cost. Buys given `pendingLiquidity` are sent behind a pending liquidity
+     * transaction; see DexSwapper.buy. Tokens without a V2 pair are swapped in their deepest V3
+     * pool instead. urgency picks the gas fee tier, standard by default. tax is the token's buy or
+     * sell tax (a percentage), which V2 swaps take off the minimum out.
+     */
+    async swap({ tokenAddress, symbol, side, amount, slippageTolerance, feeOnTransfer, pendingLiquidity, urgency, tax }) {
+        if (!this.swapper) {
+            throw new Error(`${this.chain.name} connector not properly initialized`);
+        }
+
+        // Pending liquidity is always added through the main DEX's router
+        const route = pendingLiquidity ? null : await this.getRoute(tokenAddress);
+        const swapper = this.getSwapper(route);
+
+        const params = { tokenAddress, symbol, amount, slippageTolerance, feeOnTransfer, urgency, tax, fee: route ? route.fee : undefined };
+        if (side === 'buy') {
+            return await swapper.buy({ ...params, pendingLiquidity });
+        }
+        if (side === 'sell') {
+            return await swapper.sell(params);
+        }
+        throw new Error(`Unsupported swap side ${side}`);
+    }
+
+    /**
+     * Simulate buying `amount` of the native coin of a token and selling it straight back, without
+     * sending anything. Resolves to a honeypot report; see HoneypotChecker.simulate and simulateV3.
+     */
+    async simulateRoundTrip(tokenAddress, { amount, maxRoundTripLoss } = {}) {
+        if (!this.honeypotChecker) {
+            throw new Error(`${this.chain.name} connector not properly initialized`);
+        }
+
+        const route = await this.getRoute(tokenAddress);
+        if (route && route.version === 3) {
+            return await this.honeypotChecker.simulateV3(tokenAddress, { fee: route.fee, amount, maxRoundTripLoss });
+        }
+
+        const dex = this.getDex(route);
+        return await dex.honeypotChecker.simulate(tokenAddress, {
+            amount,
+            maxRoundTripLoss,
+            from: this.wallet.address
+        });
+    }
+
+    /**
+     * Where a token trades against the native coin: { version: 2, dex, pairAddress } for the first
+     * DEX with a V2 pair, otherwise { version: 3, poolAddress, fee } for its deepest V3 pool, or
+     * null if it has neither. Cached once found.
+     */
+    async getRoute(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+        if (this.routes.has(key)) {
+            return this.routes.get(key);
+        }
+
+        let route = null;
+        for (const dex of this.dexes) {
+            const pairAddress = await dex.factory.getPair(tokenAddress, this.wrappedNativeAddress);
+            if (pairAddress !== ethers.constants.AddressZero) {
+                route = { version: 2, dex: dex.name, pairAddress };
+                break;
+            }
+        }
+        if (!route && this.v3Pools) {
+            const pool = await this.v3Pools.findDeepestPool(tokenAddress, this.wrappedNativeAddress);
+            if (pool) {
+                route = { version: 3, poolAddress: pool.address, fee: pool.fee };
+            }
+        }
+
+        if (route) {
+            this.routes.set(key, route);
+        }
+        return route;
+    }
+
+    /**
+     * V2 DEX of a route, the main DEX when there is none
+     */
+    getDex(route) {
+        return (route && this.dexes.find(dex => dex.name === route.dex)) || this.dexes[0];
+    }
+
+    getSwapper(route) {
+        return route && route.version === 3 ? this.v3Swapper : this.getDex(route).swapper;
+    }
+
+    /**
+     * Report pending liquidity additions and enable-trading calls for a token as
+     * liquidityPending events on the mempool watcher
+     */
+    watchToken(tokenAddress) {
+        if (!this.mempoolWatcher) {
+            throw new Error(`${this.chain.name} connector not properly initialized`);
+        }
+        this.mempoolWatcher.watchToken(tokenAddress);
+    }
+
+    unwatchToken(tokenAddress) {
+        if (this.mempoolWatcher) {
+            this.mempoolWatcher.unwatchToken(tokenAddress);
+        }
+    }
+
+    /**
+     * Start watching pending transactions if the mempool watcher is enabled in config
+     */
+    startMempoolWatcher() {
+        if (!this.mempoolWatcher || !(this.config.mempool && this.config.mempool.enabled)) {
+            return false;
+        }
+        try {
+            this.mempoolWatcher.start();
+            return true;
+        } catch (error) {
+            this.logger.error(`Failed to start the ${this.chain.name} mempool watcher`, error);
+            return false;
+        }
+    }
+
+    stopMempoolWatcher() {
+        if (this.mempoolWatcher) {
+            this.mempoolWatcher.stop();
+        }
+    }
+
+    /**
+     * Pending and recently finished transactions sent from the wallet; see TransactionManager
+     */
+    getTransactions() {
+        return this.transactions ? this.transactions.getTransactions() : [];
+    }
+
+    async speedUpTransaction(hash) {
+        if (!this.transactions) {
+            throw new Error(`${this.chain.name} connector not properly initialized`);
+        }
+        return await this.transactions.speedUp(hash);
+    }
+
+    async cancelTransaction(hash) {
+        if (!this.transactions) {
+            throw new Error(`${this.chain.name} connector not properly initialized`);
+        }
+        return await this.transactions.cancel(hash);
+    }
+
+    /**
+     * Sell a trade's remaining tokens back to the native coin. slippageTolerance is the trade's
+     * strategy setting; without one the chain's own applies.
+     */
+    async closePosition(trade, { urgency, slippageTolerance } = {}) {
+        const fill = await this.swap({
+            tokenAddress: trade.tokenAddress,
+            symbol: trade.symbol,
+            side: 'sell',
+            amount: trade.quantity,
+            slippageTolerance,
+            urgency,
+            tax: trade.taxes ? trade.taxes.sell : undefined
+        });
+        trade.closePrice = fill.price;
+        return fill;
+    }
+}
+
+module.exports = { EvmConnector };
@@ -0,0 +1,139 @@
+const { ethers } = require('ethers');
+
+// Priority fee percentile of recent blocks each urgency pays, and how far the base fee may rise
+// (12.5% a block at most) before its max fee stops covering it
+const FEE_TIERS = {
+    slow: { percentile: 10, baseFeeMultiplier: 1.25, gasPriceMultiplier: 1 },
+    standard: { percentile: 30, baseFeeMultiplier: 1.5, gasPriceMultiplier: 1.05 },
+    fast: { percentile: 60, baseFeeMultiplier: 2, gasPriceMultiplier: 1.15 },
+    urgent: { percentile: 90, baseFeeMultiplier: 2.5, gasPriceMultiplier: 1.3 }
+};
+const URGENCIES = Object.keys(FEE_TIERS);
+// Blocks of history the priority fees are taken from
+const FEE_HISTORY_BLOCKS = 10;
+// Priority fee when recent blocks paid none, ethers' own default
+const DEFAULT_PRIORITY_FEE = ethers.utils.parseUnits('1.5', 'gwei');
+const CACHE_MS = 3000;
+
+/**
+ * EIP-1559 fees for a chain from its node: the pending block's base fee and the priority fees
+ * recent blocks paid, as slow, standard, fast and urgent tiers. Chains without a base fee get
+ * legacy gas prices instead. Fees above the chain's maxFeePerGasGwei are never paid.
+ */
+class GasOracle {
+    constructor({ provider, chainName, config = {}, logger }) {
+        this.provider = provider;
+        this.chainName = chainName;
+        this.logger = logger;
+        this.maxFeePerGas = parseFloat(config.maxFeePerGasGwei) > 0
+            ? ethers.utils.parseUnits(String(config.maxFeePerGasGwei), 'gwei')
+            : null;
+        this.cache = null;
+    }
+
+    /**
+     * { slow, standard, fast, urgent }, each { baseFee, maxFeePerGas, maxPriorityFeePerGas } or
+     * { gasPrice } (BigNumbers, wei)
+     */
+    async getFeeTiers() {
+        if (this.cache && Date.now() - this.cache.timestamp < CACHE_MS) {
+            return this.cache.tiers;
+        }
+
+        let tiers = null;
+        try {
+            tiers = await this.getEip1559Tiers();
+        } catch (error) {
+            this.logger.debug(`eth_feeHistory unavailable on ${this.chainName}: ${error.message}`);
+        }
+        if (!tiers) {
+            tiers = await this.getLegacyTiers();
+        }
+
+        this.cache = { tiers, timestamp: Date.now() };
+        return tiers;
+    }
+
+    async getEip1559Tiers() {
+        const history = await this.provider.send('eth_feeHistory', [
+            ethers.utils.hexValue(FEE_HISTORY_BLOCKS),
+            'latest',
+            URGENCIES.map(urgency => FEE_TIERS[urgency].percentile)
+        ]);
+
+        // One base fee more than blocks asked for: the last is the pending block's
+        const baseFees = history.baseFeePerGas || [];
+        if (!baseFees.length) {
+            return null;
+        }
+        const baseFee = ethers.BigNumber.from(baseFees[baseFees.length - 1]);
+        const rewards = history.reward || [];
+
+        return Object.fromEntries(URGENCIES.map((urgency, i) => {
+            const { baseFeeMultiplier } = FEE_TIERS[urgency];
+            // Empty blocks report zero rewards, which say nothing about what gets a transaction in
+            const paid = rewards
+                .map(blockRewards => ethers.BigNumber.from(blockRewards[i] || 0))
+                .filter(reward => !reward.isZero());
+            const maxPriorityFeePerGas = paid.length ? median(paid) : DEFAULT_PRIORITY_FEE;
+            const maxFeePerGas = baseFee.mul(Math.round(baseFeeMultiplier * 100)).div(100).add(maxPriorityFeePerGas);
+            return [urgency, { baseFee, maxFeePerGas, maxPriorityFeePerGas }];
+        }));
+    }
+
+    async getLegacyTiers() {
+        const gasPrice = await this.provider.getGasPrice();
+        return Object.fromEntries(URGENCIES.map(urgency => [urgency, {
+            gasPrice: gasPrice.mul(Math.round(FEE_TIERS[urgency].gasPriceMultiplier * 100)).div(100)
+        }]));
+    }
+
+    /**
+     * Transaction fee overrides for an urgency, within the fee cap
+     */
+    async getOverrides(urgency = 'standard') {
+        if (!FEE_TIERS[urgency]) {
+            throw new Error(`Unknown gas urgency ${urgency}, expected one of ${URGENCIES.join(', ')}`);
+        }
+
+        const tier = (await this.getFeeTiers())[urgency];
+        const overrides = tier.gasPrice
+            ? { gasPrice: tier.gasPrice }
+            : { maxFeePerGas: tier.maxFeePerGas, maxPriorityFeePerGas: tier.maxPriorityFeePerGas };
+        return this.applyFeeCap(overrides, tier.baseFee);
+    }
+
+    /**
+     * Hold fee overrides to the cap. The headroom kept for base fee rises is trimmed, but a
+     * transaction that would already cost more than the cap to get in is refused.
+     */
+    applyFeeCap(overrides, baseFee = ethers.constants.Zero) {
+        if (!this.maxFeePerGas) {
+            return overrides;
+        }
+
+        const required = overrides.gasPrice
+            ? ethers.BigNumber.from(overrides.gasPrice)
+            : ethers.BigNumber.from(baseFee).add(overrides.maxPriorityFeePerGas || 0);
+        if (required.gt(this.maxFeePerGas)) {
+            throw new Error(`Gas on ${this.chainName} is ${formatGwei(required)} gwei, above the ${formatGwei(this.maxFeePerGas)} gwei cap`);
+        }
+
+        if (overrides.maxFeePerGas && ethers.BigNumber.from(overrides.maxFeePerGas).gt(this.maxFeePerGas)) {
+            this.logger.warn(`Capping max fee on ${this.chainName} at ${formatGwei(this.maxFeePerGas)} gwei (wanted ${formatGwei(overrides.maxFeePerGas)})`);
+            return { ...overrides, maxFeePerGas: this.maxFeePerGas };
+        }
+        return overrides;
+    }
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function formatGwei(value) {
+    return parseFloat(ethers.utils.formatUnits(value, 'gwei')).toFixed(2);
+}
+
+module.exports = { GasOracle, GAS_URGENCIES: URGENCIES };
@@ -0,0 +1,187 @@
+const { ethers } = require('ethers');
+const ERC20_ABI = require('./abis/erc20.json');
+const { BURN_ADDRESSES } = require('./networks');
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const LOG_CHUNK_SIZE = 2000;
+const BURN_SET = new Set(BURN_ADDRESSES.map(address => address.toLowerCase()));
+
+/**
+ * Binary search for the first block with code at the address. Needs a node that serves
+ * historical state.
+ */
+async function findDeploymentBlock(provider, address) {
+    let high = await provider.getBlockNumber();
+    if (await provider.getCode(address, high) === '0x') {
+        throw new Error(`No contract deployed at ${address}`);
+    }
+
+    let low = 0;
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (await provider.getCode(address, middle) === '0x') {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+function toAddress(topic) {
+    return ethers.utils.getAddress(ethers.utils.hexDataSlice(topic, 12));
+}
+
+/**
+ * Rebuilds a token's holder balances by replaying its Transfer events from the deployment block.
+ * Balances are kept per token, so later analyses only replay the blocks added since.
+ */
+class HolderAnalyzer {
+    constructor({ provider, logger }) {
+        this.provider = provider;
+        this.logger = logger;
+        this.tokens = new Map();
+        this.pending = new Map();
+    }
+
+    /**
+     * Holder distribution of a token. Shares are percentages of total supply; the top-10 share and
+     * the largest holder leave out the LP pair and burn addresses, which are reported on their own.
+     *
+     * token: { address, pairAddress, deployer, deploymentBlock }; deployer and deploymentBlock are
+     * looked up when not given.
+     */
+    async analyze(token) {
+        const key = token.address.toLowerCase();
+        // Concurrent analyses of one token share the replay
+        if (this.pending.has(key)) {
+            return await this.pending.get(key);
+        }
+
+        const analysis = this.replay(token).then(state => this.summarize(state, token));
+        this.pending.set(key, analysis);
+        try {
+            return await analysis;
+        } finally {
+            this.pending.delete(key);
+        }
+    }
+
+    async replay(token) {
+        const key = token.address.toLowerCase();
+        let state = this.tokens.get(key);
+        if (!state) {
+            const deploymentBlock = token.deploymentBlock !== undefined
+                ? token.deploymentBlock
+                : await findDeploymentBlock(this.provider, token.address);
+            this.logger.debug(`Token ${token.address} deployed at block ${deploymentBlock}`);
+            state = {
+                address: ethers.utils.getAddress(token.address),
+                deploymentBlock,
+                lastBlock: deploymentBlock - 1,
+                deployer: token.deployer || null,
+                balances: new Map()
+            };
+            this.tokens.set(key, state);
+        }
+
+        const latestBlock = await this.provider.getBlockNumber();
+        for (let start = state.lastBlock + 1; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+            const end = Math.min(latestBlock, start + LOG_CHUNK_SIZE - 1);
+            const logs = await this.provider.getLogs({
+                address: state.address,
+                topics: [TRANSFER_TOPIC],
+                fromBlock: start,
+                toBlock: end
+            });
+
+            for (const log of logs) {
+                this.applyTransfer(state, log);
+            }
+            // Only advance once the whole chunk is applied, so a failed fetch is retried next time
+            state.lastBlock = end;
+        }
+
+        return state;
+    }
+
+    applyTransfer(state, log) {
+        // ERC-721 shares the event signature but indexes the token id instead of logging a value
+        if (log.topics.length !== 3) {
+            return;
+        }
+
+        const from = toAddress(log.topics[1]);
+        const to = toAddress(log.topics[2]);
+        const value = ethers.BigNumber.from(log.data);
+
+        // Whoever receives the first mint is taken to be the deployer; LP tokens mint a
+        // minimum amount to the zero address first
+        if (!state.deployer && from === ethers.constants.AddressZero && to !== ethers.constants.AddressZero) {
+            state.deployer = to;
+        }
+
+        this.adjustBalance(state.balances, from, value.mul(-1));
+        this.adjustBalance(state.balances, to, value);
+    }
+
+    adjustBalance(balances, address, delta) {
+        if (address === ethers.constants.AddressZero) {
+            return;
+        }
+
+        const key = address.toLowerCase();
+        const balance = (balances.get(key) || ethers.constants.Zero).add(delta);
+        if (balance.lte(0)) {
+            balances.delete(key);
+        } else {
+            balances.set(key, balance);
+        }
+    }
+
+    async summarize(state, token) {
+        const contract = new ethers.Contract(state.address, ERC20_ABI, this.provider);
+        const totalSupply = await contract.totalSupply();
+        const share = amount => totalSupply.isZero()
+            ? 0
+            : amount.mul(1000000).div(totalSupply).toNumber() / 10000;
+
+        const pair = token.pairAddress ? token.pairAddress.toLowerCase() : null;
+        const deployer = state.deployer ? state.deployer.toLowerCase() : null;
+
+        let burned = ethers.constants.Zero;
+        const wallets = [];
+        for (const [address, balance] of state.balances) {
+            if (BURN_SET.has(address)) {
+                burned = burned.add(balance);
+            } else if (address !== pair) {
+                wallets.push({ address, balance });
+            }
+        }
+        wallets.sort((a, b) => (b.balance.gt(a.balance) ? 1 : b.balance.lt(a.balance) ? -1 : 0));
+
+        const top10 = wallets.slice(0, 10).reduce((total, wallet) => total.add(wallet.balance), ethers.constants.Zero);
+        const largest = wallets[0] || null;
+
+        return {
+            tokenAddress: state.address,
+            holderCount: wallets.length + (pair && state.balances.has(pair) ? 1 : 0),
+            top10Share: share(top10),
+            deployer: state.deployer,
+            deployerShare: deployer ? share(state.balances.get(deployer) || ethers.constants.Zero) : null,
+            pairShare: pair ? share(state.balances.get(pair) || ethers.constants.Zero) : null,
+            burnShare: share(burned),
+            largestHolder: largest
+                ? { address: ethers.utils.getAddress(largest.address), share: share(largest.balance) }
+                : null,
+            topHolders: wallets.slice(0, 10).map(wallet => ({
+                address: ethers.utils.getAddress(wallet.address),
+                share: share(wallet.balance)
+            })),
+            fromBlock: state.deploymentBlock,
+            toBlock: state.lastBlock
+        };
+    }
+}
+
+module.exports = { HolderAnalyzer, findDeploymentBlock, TRANSFER_TOPIC };
@@ -0,0 +1,497 @@
+const { ethers } = require('ethers');
+const ERC20_ABI = require('./abis/erc20.json');
+const MULTICALL3_ABI = require('./abis/multicall3.json');
+const { MULTICALL3_ADDRESS } = require('./networks');
+const { extractRevertData, decodeRevertReason, isRevert } = require('./revertReasons');
+
+// Token balances and allowances live in mappings declared near the top of the contract
+const MAX_STORAGE_SLOT = 30;
+const PROBE_VALUE = ethers.BigNumber.from('0x5ca1ab1e5ca1ab1e');
+// Measured amounts are accurate to one basis point of the expected amount
+const MEASURE_PRECISION_BPS = 1;
+
+/**
+ * Detects honeypots and measures token taxes by simulating a buy and an immediate sell through
+ * the router with eth_call.
+ *
+ * Nothing is sent: the buy runs against the current block with the simulating address funded
+ * through a state override, and the sell runs with the token balance and router allowance
+ * written into the token's storage, so no tokens have to be held. Tokens that only block
+ * sells some blocks after a buy are not caught by this.
+ */
+class HoneypotChecker {
+    /**
+     * v3: { router, quoter } contracts for simulating V3-only tokens, optional
+     */
+    constructor({ provider, router, v3 = null, wrappedNativeAddress, nativeSymbol, config = {}, logger }) {
+        this.provider = provider;
+        this.router = router;
+        this.v3 = v3;
+        this.wrappedNativeAddress = wrappedNativeAddress;
+        this.nativeSymbol = nativeSymbol;
+        this.config = config;
+        this.logger = logger;
+        this.erc20 = new ethers.utils.Interface(ERC20_ABI);
+        this.multicall = new ethers.utils.Interface(MULTICALL3_ABI);
+        this.multicallAddress = config.multicallAddress || MULTICALL3_ADDRESS;
+        this.storageSlots = new Map();
+    }
+
+    /**
+     * Simulate buying `amount` of the native coin worth of the token and selling it all back.
+     *
+     * Taxes are measured against what the pair reserves promise: buyTax on the tokens received,
+     * sellTax on the native coin returned for them, and transferTax on a plain wallet-to-wallet
+     * transfer. A token whose buy or sell reverts, or whose round trip loses more than
+     * maxRoundTripLoss percent, is treated as a honeypot. `simulated` is false when the round
+     * trip could not be run at all (no pair, no state override support, unusual storage layout).
+     */
+    async simulate(tokenAddress, { amount = 0.01, maxRoundTripLoss = 50, from } = {}) {
+        const token = ethers.utils.getAddress(tokenAddress);
+        const account = from || ethers.Wallet.createRandom().address;
+        const report = this.createReport(token, amount);
+
+        try {
+            const blockNumber = await this.provider.getBlockNumber();
+            const blockTag = ethers.utils.hexValue(blockNumber);
+            report.blockNumber = blockNumber;
+
+            const amountIn = ethers.utils.parseEther(String(amount));
+            const buyPath = [this.wrappedNativeAddress, token];
+            const sellPath = [token, this.wrappedNativeAddress];
+
+            let expectedTokens;
+            try {
+                [, expectedTokens] = await this.router.getAmountsOut(amountIn, buyPath, { blockTag });
+            } catch (error) {
+                report.reason = `No ${this.nativeSymbol} pair to quote: ${decodeRevertReason(extractRevertData(error))}`;
+                return report;
+            }
+            report.expectedTokens = expectedTokens.toString();
+
+            // 1. Buy, with the account funded so the simulation does not depend on our wallet balance
+            const buyOverrides = { [account]: { balance: ethers.utils.hexValue(amountIn.mul(2)) } };
+            const buyTx = amountOutMin => ({
+                from: account,
+                to: this.router.address,
+                value: ethers.utils.hexValue(amountIn),
+                data: this.router.interface.encodeFunctionData(
+                    'swapExactETHForTokensSupportingFeeOnTransferTokens',
+                    [amountOutMin, buyPath, account, this.getDeadline()]
+                )
+            });
+
+            const buy = await this.tryCall(buyTx(0), blockTag, buyOverrides);
+            report.canBuy = buy.success;
+            if (!buy.success) {
+                return this.markHoneypot(report, buy.revertReason, `Buy reverts: ${buy.revertReason}`);
+            }
+
+            const receivedTokens = await this.measureAmountOut(buyTx, expectedTokens, blockTag, buyOverrides);
+            report.receivedTokens = receivedTokens.toString();
+            report.buyTax = HoneypotChecker.percentageLost(expectedTokens, receivedTokens);
+            if (receivedTokens.isZero()) {
+                return this.markHoneypot(report, null, 'Buy delivers no tokens');
+            }
+
+            // 2. Sell what the buy delivered, holding it through storage overrides
+            const slots = await this.findStorageSlots(token, account, blockTag);
+            if (!slots) {
+                report.reason = 'Could not locate the token balance and allowance storage';
+                return report;
+            }
+
+            const sellOverrides = this.getHoldingOverrides(token, slots, receivedTokens);
+            const sellTx = amountOutMin => ({
+                from: account,
+                to: this.router.address,
+                data: this.router.interface.encodeFunctionData(
+                    'swapExactTokensForETHSupportingFeeOnTransferTokens',
+                    [receivedTokens, amountOutMin, sellPath, account, this.getDeadline()]
+                )
+            });
+
+            const sell = await this.tryCall(sellTx(0), blockTag, sellOverrides);
+            report.canSell = sell.success;
+            if (!sell.success) {
+                return this.markHoneypot(report, sell.revertReason, `Sell reverts: ${sell.revertReason}`);
+            }
+
+            const [, expectedOut] = await this.router.getAmountsOut(receivedTokens, sellPath, { blockTag });
+            const amountOut = await this.measureAmountOut(sellTx, expectedOut, blockTag, sellOverrides);
+            report.expectedOut = ethers.utils.formatEther(expectedOut);
+            report.amountOut = ethers.utils.formatEther(amountOut);
+            report.sellTax = HoneypotChecker.percentageLost(expectedOut, amountOut);
+
+            // 3. Plain transfer between wallets
+            report.transferTax = await this.measureTransferTax(token, receivedTokens, blockTag);
+
+            return this.completeReport(report, amountIn, amountOut, maxRoundTripLoss);
+        } catch (error) {
+            this.logger.warn(`Honeypot simulation failed for ${token}: ${error.message}`);
+            report.reason = `Simulation failed: ${error.message}`;
+            return report;
+        }
+    }
+
+    /**
+     * The same round trip through a V3 pool with fee tier `fee`, for tokens without a V2 pair.
+     *
+     * V3 swaps cannot be measured by raising the minimum out, so each swap runs inside a
+     * Multicall3 batch that reads the recipient's balance right after it. Multicall3 is funded
+     * and given the tokens to sell through state overrides.
+     */
+    async simulateV3(tokenAddress, { fee, amount = 0.01, maxRoundTripLoss = 50 } = {}) {
+        const token = ethers.utils.getAddress(tokenAddress);
+        const report = this.createReport(token, amount);
+        if (!this.v3) {
+            report.reason = 'V3 simulation is not configured';
+            return report;
+        }
+
+        try {
+            const blockNumber = await this.provider.getBlockNumber();
+            const blockTag = ethers.utils.hexValue(blockNumber);
+            report.blockNumber = blockNumber;
+
+            const amountIn = ethers.utils.parseEther(String(amount));
+            let expectedTokens;
+            try {
+                expectedTokens = await this.quoteV3(this.wrappedNativeAddress, token, amountIn, fee, blockTag);
+            } catch (error) {
+                report.reason = `No ${this.nativeSymbol} V3 pool to quote: ${decodeRevertReason(extractRevertData(error))}`;
+                return report;
+            }
+            report.expectedTokens = expectedTokens.toString();
+
+            // 1. Buy, paying from Multicall3's overridden balance
+            const buy = await this.swapAndMeasureV3({
+                tokenIn: this.wrappedNativeAddress,
+                tokenOut: token,
+                fee,
+                amountIn,
+                value: amountIn
+            }, blockTag, { [this.multicallAddress]: { balance: ethers.utils.hexValue(amountIn.mul(2)) } });
+            report.canBuy = buy.success;
+            if (!buy.success) {
+                return this.markHoneypot(report, buy.revertReason, `Buy reverts: ${buy.revertReason}`);
+            }
+
+            const receivedTokens = buy.received;
+            report.receivedTokens = receivedTokens.toString();
+            report.buyTax = HoneypotChecker.percentageLost(expectedTokens, receivedTokens);
+            if (receivedTokens.isZero()) {
+                return this.markHoneypot(report, null, 'Buy delivers no tokens');
+            }
+
+            // 2. Sell what the buy delivered, held by Multicall3 through storage overrides
+            const slots = await this.findStorageSlots(token, this.multicallAddress, blockTag, this.v3.router.address);
+            if (!slots) {
+                report.reason = 'Could not locate the token balance and allowance storage';
+                return report;
+            }
+
+            const sell = await this.swapAndMeasureV3({
+                tokenIn: token,
+                tokenOut: this.wrappedNativeAddress,
+                fee,
+                amountIn: receivedTokens,
+                value: ethers.constants.Zero
+            }, blockTag, this.getHoldingOverrides(token, slots, receivedTokens));
+            report.canSell = sell.success;
+            if (!sell.success) {
+                return this.markHoneypot(report, sell.revertReason, `Sell reverts: ${sell.revertReason}`);
+            }
+
+            const expectedOut = await this.quoteV3(token, this.wrappedNativeAddress, receivedTokens, fee, blockTag);
+            report.expectedOut = ethers.utils.formatEther(expectedOut);
+            report.amountOut = ethers.utils.formatEther(sell.received);
+            report.sellTax = HoneypotChecker.percentageLost(expectedOut, sell.received);
+
+            // 3. Plain transfer between wallets
+            report.transferTax = await this.measureTransferTax(token, receivedTokens, blockTag);
+
+            return this.completeReport(report, amountIn, sell.received, maxRoundTripLoss);
+        } catch (error) {
+            this.logger.warn(`V3 honeypot simulation failed for ${token}: ${error.message}`);
+            report.reason = `Simulation failed: ${error.message}`;
+            return report;
+        }
+    }
+
+    createReport(tokenAddress, amount) {
+        return {
+            tokenAddress,
+            simulated: false,
+            isHoneypot: null,
+            canBuy: null,
+            canSell: null,
+            amountIn: amount,
+            expectedTokens: null,
+            receivedTokens: null,
+            expectedOut: null,
+            amountOut: null,
+            buyTax: null,
+            sellTax: null,
+            transferTax: null,
+            roundTripLoss: null,
+            revertReason: null,
+            reason: null,
+            blockNumber: null,
+            checkedAt: Date.now()
+        };
+    }
+
+    completeReport(report, amountIn, amountOut, maxRoundTripLoss) {
+        report.simulated = true;
+        report.roundTripLoss = HoneypotChecker.percentageLost(amountIn, amountOut);
+        report.isHoneypot = report.roundTripLoss > maxRoundTripLoss;
+        if (report.isHoneypot) {
+            report.reason = `Round trip loses ${report.roundTripLoss.toFixed(2)}% of the ${this.nativeSymbol} spent`;
+        }
+        return report;
+    }
+
+    async quoteV3(tokenIn, tokenOut, amountIn, fee, blockTag) {
+        const { amountOut } = await this.v3.quoter.callStatic.quoteExactInputSingle(
+            { tokenIn, tokenOut, amountIn, fee, sqrtPriceLimitX96: 0 },
+            { blockTag }
+        );
+        return amountOut;
+    }
+
+    /**
+     * V3 swap from Multicall3 to a fresh address, followed in the same batch by the fresh
+     * address's balance of tokenOut. Resolves to { success, received, revertReason }.
+     */
+    async swapAndMeasureV3({ tokenIn, tokenOut, fee, amountIn, value }, blockTag, stateOverrides) {
+        const recipient = ethers.Wallet.createRandom().address;
+        const data = this.multicall.encodeFunctionData('aggregate3Value', [[
+            {
+                target: this.v3.router.address,
+                allowFailure: true,
+                value,
+                callData: this.v3.router.interface.encodeFunctionData('exactInputSingle', [{
+                    tokenIn,
+                    tokenOut,
+                    fee,
+                    recipient,
+                    deadline: this.getDeadline(),
+                    amountIn,
+                    amountOutMinimum: 0,
+                    sqrtPriceLimitX96: 0
+                }])
+            },
+            {
+                target: tokenOut,
+                allowFailure: false,
+                value: 0,
+                callData: this.erc20.encodeFunctionData('balanceOf', [recipient])
+            }
+        ]]);
+
+        const result = await this.call(
+            { from: this.multicallAddress, to: this.multicallAddress, value: ethers.utils.hexValue(value), data },
+            blockTag,
+            stateOverrides
+        );
+        const [[swap, balance]] = this.multicall.decodeFunctionResult('aggregate3Value', result);
+        if (!swap.success) {
+            return { success: false, received: null, revertReason: decodeRevertReason(swap.returnData) };
+        }
+        return {
+            success: true,
+            received: this.erc20.decodeFunctionResult('balanceOf', balance.returnData)[0],
+            revertReason: null
+        };
+    }
+
+    markHoneypot(report, revertReason, reason) {
+        report.simulated = true;
+        report.isHoneypot = true;
+        report.revertReason = revertReason;
+        report.reason = reason;
+        return report;
+    }
+
+    /**
+     * The SupportingFeeOnTransferTokens swaps check what actually arrived against amountOutMin,
+     * so the largest amountOutMin that still succeeds is the amount received
+     */
+    async measureAmountOut(buildTx, expected, blockTag, stateOverrides) {
+        const full = await this.tryCall(buildTx(expected), blockTag, stateOverrides);
+        if (full.success) {
+            return expected;
+        }
+
+        const precision = expected.mul(MEASURE_PRECISION_BPS).div(10000);
+        let low = ethers.constants.Zero;
+        let high = expected;
+        while (high.sub(low).gt(precision.isZero() ? 1 : precision)) {
+            const middle = low.add(high).div(2);
+            const attempt = await this.tryCall(buildTx(middle), blockTag, stateOverrides);
+            if (attempt.success) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Transfer tokens from one holder to a fresh address and read the recipient's balance in the
+     * same call, batched through Multicall3. Resolves to null if the transfer cannot be simulated.
+     */
+    async measureTransferTax(token, amount, blockTag) {
+        try {
+            const slots = await this.findStorageSlots(token, this.multicallAddress, blockTag);
+            if (!slots) {
+                return null;
+            }
+
+            const recipient = ethers.Wallet.createRandom().address;
+            const data = this.multicall.encodeFunctionData('aggregate3', [[
+                { target: token, allowFailure: false, callData: this.erc20.encodeFunctionData('transfer', [recipient, amount]) },
+                { target: token, allowFailure: false, callData: this.erc20.encodeFunctionData('balanceOf', [recipient]) }
+            ]]);
+
+            const result = await this.call(
+                { to: this.multicallAddress, data },
+                blockTag,
+                this.getHoldingOverrides(token, slots, amount)
+            );
+            const [results] = this.multicall.decodeFunctionResult('aggregate3', result);
+            const [received] = this.erc20.decodeFunctionResult('balanceOf', results[1].returnData);
+            return HoneypotChecker.percentageLost(amount, received);
+        } catch (error) {
+            this.logger.debug(`Could not simulate a transfer of ${token}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Share of `expected` (BigNumbers) that did not arrive, as a percentage with two decimals
+     */
+    static percentageLost(expected, actual) {
+        if (expected.isZero()) {
+            return 0;
+        }
+        const lost = expected.sub(actual).mul(10000).div(expected).toNumber() / 100;
+        return Math.max(0, lost);
+    }
+
+    /**
+     * eth_call that resolves to { success, result, revertReason }; errors other than reverts are rethrown
+     */
+    async tryCall(tx, blockTag, stateOverrides) {
+        try {
+            const result = await this.call(tx, blockTag, stateOverrides);
+            return { success: true, result, revertReason: null };
+        } catch (error) {
+            if (!isRevert(error)) {
+                throw error;
+            }
+            return { success: false, result: null, revertReason: decodeRevertReason(extractRevertData(error)) };
+        }
+    }
+
+    async call(tx, blockTag, stateOverrides) {
+        const params = [tx, blockTag];
+        if (stateOverrides) {
+            params.push(stateOverrides);
+        }
+        return await this.provider.send('eth_call', params);
+    }
+
+    /**
+     * State override giving a holder a token balance and an unlimited router allowance
+     */
+    getHoldingOverrides(token, slots, amount) {
+        return {
+            [token]: {
+                stateDiff: {
+                    [slots.balanceKey]: ethers.utils.hexZeroPad(ethers.utils.hexValue(amount), 32),
+                    [slots.allowanceKey]: ethers.utils.hexZeroPad(ethers.utils.hexValue(ethers.constants.MaxUint256), 32)
+                }
+            }
+        };
+    }
+
+    /**
+     * Find the storage keys of `account`'s balance and allowance for `spender` (the router unless
+     * given) by writing a marker value
+     * to candidate slots and reading it back through balanceOf/allowance. Slot numbers and layout
+     * are cached per token; the keys depend on the account.
+     */
+    async findStorageSlots(token, account, blockTag, spender = this.router.address) {
+        let slots = this.storageSlots.get(token);
+        if (!slots) {
+            const balance = await this.probeMapping(token, blockTag,
+                (slot, layout) => HoneypotChecker.mappingKey(slot, layout, account),
+                this.erc20.encodeFunctionData('balanceOf', [account]));
+            if (!balance) {
+                return null;
+            }
+
+            const allowance = await this.probeMapping(token, blockTag,
+                (slot, layout) => HoneypotChecker.nestedMappingKey(slot, layout, account, spender),
+                this.erc20.encodeFunctionData('allowance', [account, spender]));
+            if (!allowance) {
+                return null;
+            }
+
+            slots = { balance, allowance };
+            this.storageSlots.set(token, slots);
+        }
+
+        return {
+            balanceKey: HoneypotChecker.mappingKey(slots.balance.slot, slots.balance.layout, account),
+            allowanceKey: HoneypotChecker.nestedMappingKey(slots.allowance.slot, slots.allowance.layout, account, spender)
+        };
+    }
+
+    async probeMapping(token, blockTag, keyFor, data) {
+        const probe = ethers.utils.hexZeroPad(PROBE_VALUE.toHexString(), 32);
+
+        for (let slot = 0; slot <= MAX_STORAGE_SLOT; slot++) {
+            for (const layout of ['solidity', 'vyper']) {
+                const result = await this.call({ to: token, data }, blockTag, {
+                    [token]: { stateDiff: { [keyFor(slot, layout)]: probe } }
+                });
+                if (result && result !== '0x' && ethers.BigNumber.from(result).eq(PROBE_VALUE)) {
+                    return { slot, layout };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Storage key of mapping(address => uint256)[key]; Solidity hashes key then slot, Vyper slot then key
+     */
+    static mappingKey(slot, layout, key) {
+        const encoded = layout === 'vyper'
+            ? ethers.utils.defaultAbiCoder.encode(['uint256', 'address'], [slot, key])
+            : ethers.utils.defaultAbiCoder.encode(['address', 'uint256'], [key, slot]);
+        return ethers.utils.keccak256(encoded);
+    }
+
+    /**
+     * Storage key of mapping(address => mapping(address => uint256))[outer][inner]
+     */
+    static nestedMappingKey(slot, layout, outer, inner) {
+        const outerKey = HoneypotChecker.mappingKey(slot, layout, outer);
+        const encoded = layout === 'vyper'
+            ? ethers.utils.defaultAbiCoder.encode(['bytes32', 'address'], [outerKey, inner])
+            : ethers.utils.defaultAbiCoder.encode(['address', 'bytes32'], [inner, outerKey]);
+        return ethers.utils.keccak256(encoded);
+    }
+
+    getDeadline() {
+        return Math.floor(Date.now() / 1000) + 300;
+    }
+}
+
+module.exports = { HoneypotChecker };
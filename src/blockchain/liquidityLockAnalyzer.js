@@ -0,0 +1,103 @@
+const { ethers } = require('ethers');
+const PAIR_ABI = require('./abis/uniswapPair.json');
+const { BURN_ADDRESSES } = require('./networks');
+const { findDeploymentBlock, TRANSFER_TOPIC } = require('./holderAnalyzer');
+
+const ZERO_TOPIC = ethers.utils.hexZeroPad(ethers.constants.AddressZero, 32);
+// Liquidity is normally added in the pair's creation transaction or soon after
+const FIRST_MINT_BLOCK_WINDOW = 2000;
+
+/**
+ * Works out who holds a V2 pair's LP tokens: burned, held by locker contracts or held by
+ * whoever added the liquidity. Only burned and locked liquidity cannot be pulled out by the
+ * deployer.
+ */
+class LiquidityLockAnalyzer {
+    constructor({ provider, lockers = [], logger }) {
+        this.provider = provider;
+        this.lockers = lockers.map(locker => ({ name: locker.name, address: ethers.utils.getAddress(locker.address) }));
+        this.logger = logger;
+        this.liquidityProviders = new Map();
+    }
+
+    /**
+     * Resolves to { pairAddress, token0, token1, totalSupply, burnedShare, lockedShare,
+     * lockedOrBurnedShare, lockers: [{ name, address, share }], deployer, deployerShare }.
+     * Shares are percentages of the LP supply. The deployer is whoever received the first LP
+     * mint when not given.
+     */
+    async analyze(pairAddress, { deployer } = {}) {
+        const address = ethers.utils.getAddress(pairAddress);
+        const pair = new ethers.Contract(address, PAIR_ABI, this.provider);
+
+        const [token0, token1, totalSupply] = await Promise.all([
+            pair.token0(),
+            pair.token1(),
+            pair.totalSupply()
+        ]);
+        const share = amount => totalSupply.isZero()
+            ? 0
+            : amount.mul(1000000).div(totalSupply).toNumber() / 10000;
+
+        const burnBalances = await Promise.all(BURN_ADDRESSES.map(holder => pair.balanceOf(holder)));
+        const burned = burnBalances.reduce((total, balance) => total.add(balance), ethers.constants.Zero);
+
+        const lockers = [];
+        let locked = ethers.constants.Zero;
+        const lockerBalances = await Promise.all(this.lockers.map(locker => pair.balanceOf(locker.address)));
+        lockerBalances.forEach((balance, i) => {
+            if (balance.isZero()) return;
+            locked = locked.add(balance);
+            lockers.push({ ...this.lockers[i], share: share(balance) });
+        });
+
+        const liquidityProvider = deployer || await this.findLiquidityProvider(address);
+        const deployerShare = liquidityProvider ? share(await pair.balanceOf(liquidityProvider)) : null;
+
+        return {
+            pairAddress: address,
+            token0,
+            token1,
+            totalSupply: totalSupply.toString(),
+            burnedShare: share(burned),
+            lockedShare: share(locked),
+            lockedOrBurnedShare: share(burned.add(locked)),
+            lockers,
+            deployer: liquidityProvider,
+            deployerShare
+        };
+    }
+
+    /**
+     * Recipient of the pair's first LP mint, skipping the minimum liquidity the pair mints to
+     * the zero address. Cached per pair once found; null until then.
+     */
+    async findLiquidityProvider(pairAddress) {
+        if (this.liquidityProviders.has(pairAddress)) {
+            return this.liquidityProviders.get(pairAddress);
+        }
+
+        try {
+            const fromBlock = await findDeploymentBlock(this.provider, pairAddress);
+            const latestBlock = await this.provider.getBlockNumber();
+            const logs = await this.provider.getLogs({
+                address: pairAddress,
+                topics: [TRANSFER_TOPIC, ZERO_TOPIC],
+                fromBlock,
+                toBlock: Math.min(latestBlock, fromBlock + FIRST_MINT_BLOCK_WINDOW - 1)
+            });
+
+            const mint = logs.find(log => log.topics[2] !== ZERO_TOPIC);
+            const provider = mint ? ethers.utils.getAddress(ethers.utils.hexDataSlice(mint.topics[2], 12)) : null;
+            if (provider) {
+                this.liquidityProviders.set(pairAddress, provider);
+            }
+            return provider;
+        } catch (error) {
+            this.logger.debug(`Could not find the liquidity provider of ${pairAddress}: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = { LiquidityLockAnalyzer };
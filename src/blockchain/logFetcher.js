@@ -0,0 +1,61 @@
+const { ethers } = require('ethers');
+const { getRpcMessage } = require('./revertReasons');
+
+const INITIAL_CHUNK_BLOCKS = 2000;
+const MAX_CHUNK_BLOCKS = 10000;
+// What nodes answer when a log query spans too many blocks or matches too many logs
+const RANGE_ERROR_PATTERN = /range|too many|more than|limit|exceed|too large|response size/i;
+
+/**
+ * Reads event logs over a block range in chunks. The chunk size adapts to the node: it is
+ * halved when the node refuses a range as too large and doubled again after full-size chunks
+ * come back, and it carries over between calls.
+ */
+class LogFetcher {
+    constructor({ provider, chainName, chunkSize = INITIAL_CHUNK_BLOCKS, maxChunkSize = MAX_CHUNK_BLOCKS, logger }) {
+        this.provider = provider;
+        this.chainName = chainName;
+        this.chunkSize = chunkSize;
+        this.maxChunkSize = maxChunkSize;
+        this.logger = logger;
+    }
+
+    /**
+     * Logs matching `filter` ({ address, topics }; address may be a list) from fromBlock to
+     * toBlock inclusive. onChunk(logs, endBlock) is awaited after every chunk in block order, so
+     * callers can act on logs and record progress before the whole range is read.
+     */
+    async getLogs(filter, fromBlock, toBlock, onChunk) {
+        let start = fromBlock;
+        while (start <= toBlock) {
+            const size = this.chunkSize;
+            const end = Math.min(toBlock, start + size - 1);
+
+            let logs;
+            try {
+                logs = await this.provider.send('eth_getLogs', [{
+                    ...filter,
+                    fromBlock: ethers.utils.hexValue(start),
+                    toBlock: ethers.utils.hexValue(end)
+                }]);
+            } catch (error) {
+                if (end === start || !RANGE_ERROR_PATTERN.test(getRpcMessage(error))) {
+                    throw error;
+                }
+                this.chunkSize = Math.max(Math.floor((end - start + 1) / 2), 1);
+                this.logger.debug(`${this.chainName} refused logs for ${end - start + 1} blocks, trying ${this.chunkSize}: ${getRpcMessage(error)}`);
+                continue;
+            }
+
+            // Only a full-size chunk says anything about whether a bigger one would do
+            if (end - start + 1 === size) {
+                this.chunkSize = Math.min(size * 2, this.maxChunkSize);
+            }
+
+            await onChunk(logs.map(log => this.provider.formatter.filterLog(log)), end);
+            start = end + 1;
+        }
+    }
+}
+
+module.exports = { LogFetcher };
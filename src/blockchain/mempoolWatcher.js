@@ -0,0 +1,219 @@
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+
+const ROUTER_INTERFACE = new ethers.utils.Interface([
+    'function addLiquidity(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline)',
+    'function addLiquidityETH(address token, uint amountTokenDesired, uint amountTokenMin, uint amountETHMin, address to, uint deadline)'
+]);
+
+// Calls token templates use to switch trading on once liquidity is in
+const ENABLE_TRADING_INTERFACE = new ethers.utils.Interface([
+    'function enableTrading()',
+    'function openTrading()',
+    'function startTrading()',
+    'function launch()',
+    'function setTradingEnabled(bool enabled)',
+    'function setTrading(bool enabled)',
+    'function tradingStatus(bool enabled)'
+]);
+
+// Bounds the memory used to skip transactions that are announced more than once
+const MAX_SEEN_TRANSACTIONS = 10000;
+
+/**
+ * Provider for pending transactions: WebSocket endpoints push them, HTTP endpoints are polled
+ * with a pending transaction filter (local dev nodes such as Anvil and Hardhat support both).
+ * Falls back to the given provider when no URL is configured.
+ */
+function createMempoolProvider(nodeUrl, fallbackProvider) {
+    if (!nodeUrl) {
+        return fallbackProvider;
+    }
+    return /^wss?:\/\//.test(nodeUrl)
+        ? new ethers.providers.WebSocketProvider(nodeUrl)
+        : new ethers.providers.JsonRpcProvider(nodeUrl);
+}
+
+/**
+ * Watches pending transactions for liquidity being added to watched tokens through the router,
+ * or for a watched token's trading being switched on, and emits `liquidityPending` before the
+ * transaction is mined.
+ */
+class MempoolWatcher extends EventEmitter {
+    constructor({ provider, network, routerAddress, wrappedNativeAddress, logger }) {
+        super();
+        this.provider = provider;
+        this.network = network;
+        this.routerAddress = ethers.utils.getAddress(routerAddress);
+        this.wrappedNativeAddress = ethers.utils.getAddress(wrappedNativeAddress);
+        this.logger = logger;
+        this.watchedTokens = new Set();
+        this.seenTransactions = new Set();
+        this.running = false;
+        this.onPendingTransaction = this.onPendingTransaction.bind(this);
+    }
+
+    watchToken(tokenAddress) {
+        this.watchedTokens.add(ethers.utils.getAddress(tokenAddress));
+    }
+
+    unwatchToken(tokenAddress) {
+        this.watchedTokens.delete(ethers.utils.getAddress(tokenAddress));
+    }
+
+    isWatched(tokenAddress) {
+        return this.watchedTokens.has(ethers.utils.getAddress(tokenAddress));
+    }
+
+    start() {
+        if (this.running) return;
+        this.provider.on('pending', this.onPendingTransaction);
+        this.running = true;
+        this.logger.info(`Watching the ${this.network} mempool for ${this.watchedTokens.size} tokens`);
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.provider.off('pending', this.onPendingTransaction);
+        this.running = false;
+        this.logger.info(`Stopped watching the ${this.network} mempool`);
+    }
+
+    /**
+     * WebSocket subscriptions announce a pending transaction's hash; ethers' polled filters fetch
+     * the transaction itself and hand that over instead (or null once it is gone)
+     */
+    async onPendingTransaction(pending) {
+        if (!pending) {
+            return;
+        }
+        const txHash = typeof pending === 'string' ? pending : pending.hash;
+        if (this.watchedTokens.size === 0 || this.seenTransactions.has(txHash)) {
+            return;
+        }
+        if (this.seenTransactions.size >= MAX_SEEN_TRANSACTIONS) {
+            this.seenTransactions.clear();
+        }
+        this.seenTransactions.add(txHash);
+
+        try {
+            // Dropped or replaced transactions can no longer be fetched
+            const tx = typeof pending === 'string' ? await this.provider.getTransaction(txHash) : pending;
+            if (!tx || tx.blockNumber) {
+                return;
+            }
+
+            const event = this.decodeTransaction(tx);
+            if (event) {
+                this.logger.info(`Pending ${event.method} for ${event.tokenAddress} on ${this.network}: ${tx.hash}`);
+                this.emit('liquidityPending', event);
+            }
+        } catch (error) {
+            this.logger.debug(`Could not inspect pending transaction ${txHash}: ${error.message}`);
+        }
+    }
+
+    /**
+     * liquidityPending event for a transaction, or null if it does not concern a watched token.
+     * Amounts are raw; quoteAmount is in the pooled quote asset (wrapped native for
+     * addLiquidityETH), and both are null for enable-trading calls.
+     */
+    decodeTransaction(tx) {
+        if (!tx.to || !tx.data || tx.data.length < 10) {
+            return null;
+        }
+
+        const to = ethers.utils.getAddress(tx.to);
+        if (to === this.routerAddress) {
+            return this.decodeAddLiquidity(tx);
+        }
+        if (this.watchedTokens.has(to)) {
+            return this.decodeEnableTrading(tx, to);
+        }
+        return null;
+    }
+
+    decodeAddLiquidity(tx) {
+        let call;
+        try {
+            call = ROUTER_INTERFACE.parseTransaction({ data: tx.data, value: tx.value });
+        } catch (error) {
+            // Swaps and other router calls
+            return null;
+        }
+
+        let tokenAddress, quoteAddress, tokenAmount, quoteAmount;
+        if (call.name === 'addLiquidityETH') {
+            tokenAddress = call.args.token;
+            quoteAddress = this.wrappedNativeAddress;
+            tokenAmount = call.args.amountTokenDesired;
+            quoteAmount = tx.value;
+        } else if (this.isWatched(call.args.tokenA)) {
+            tokenAddress = call.args.tokenA;
+            quoteAddress = call.args.tokenB;
+            tokenAmount = call.args.amountADesired;
+            quoteAmount = call.args.amountBDesired;
+        } else {
+            tokenAddress = call.args.tokenB;
+            quoteAddress = call.args.tokenA;
+            tokenAmount = call.args.amountBDesired;
+            quoteAmount = call.args.amountADesired;
+        }
+
+        if (!this.isWatched(tokenAddress)) {
+            return null;
+        }
+
+        return this.buildEvent(tx, {
+            type: 'addLiquidity',
+            method: call.name,
+            tokenAddress: ethers.utils.getAddress(tokenAddress),
+            quoteAddress: ethers.utils.getAddress(quoteAddress),
+            tokenAmount: tokenAmount.toString(),
+            quoteAmount: quoteAmount.toString()
+        });
+    }
+
+    decodeEnableTrading(tx, tokenAddress) {
+        let call;
+        try {
+            call = ENABLE_TRADING_INTERFACE.parseTransaction({ data: tx.data });
+        } catch (error) {
+            return null;
+        }
+
+        // setTradingEnabled(false) and the like switch trading off
+        if (call.args.length > 0 && call.args[0] !== true) {
+            return null;
+        }
+
+        return this.buildEvent(tx, {
+            type: 'enableTrading',
+            method: call.name,
+            tokenAddress,
+            quoteAddress: null,
+            tokenAmount: null,
+            quoteAmount: null
+        });
+    }
+
+    /**
+     * Gas fields are kept so a buy can be priced to land right behind the transaction
+     */
+    buildEvent(tx, details) {
+        const toString = value => (value ? value.toString() : null);
+        return {
+            network: this.network,
+            ...details,
+            txHash: tx.hash,
+            from: tx.from,
+            nonce: tx.nonce,
+            gasPrice: tx.maxFeePerGas ? null : toString(tx.gasPrice),
+            maxFeePerGas: toString(tx.maxFeePerGas),
+            maxPriorityFeePerGas: toString(tx.maxPriorityFeePerGas),
+            detectedAt: Date.now()
+        };
+    }
+}
+
+module.exports = { MempoolWatcher, createMempoolProvider };
@@ -0,0 +1,170 @@
+/**
+ * Reference data for the supported chains: chain ID, V2 and V3 DEX contracts, wrapped native coin,
+ * the stablecoins used as quote assets and for USD conversion, and the common LP locker contracts.
+ * Other EVM chains are added from config through defineNetwork.
+ */
+
+// Multicall3 is deployed at the same address on Ethereum, BNB Chain and most EVM chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Tokens sent here can never move again, so they do not count towards circulating supply
+const BURN_ADDRESSES = [
+    '0x0000000000000000000000000000000000000000',
+    '0x000000000000000000000000000000000000dEaD'
+];
+
+const NETWORKS = {
+    ethereum: {
+        chainId: 1,
+        name: 'Ethereum',
+        nativeSymbol: 'ETH',
+        rpcUrls: [],
+        dexes: [
+            {
+                name: 'Uniswap V2',
+                factoryAddress: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+                routerAddress: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D'
+            }
+        ],
+        v3: {
+            name: 'Uniswap V3',
+            factoryAddress: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+            swapRouterAddress: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+            quoterAddress: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e', // QuoterV2
+            feeTiers: [100, 500, 3000, 10000]
+        },
+        wrappedNative: { symbol: 'WETH', address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 },
+        stablecoins: [
+            { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+            { symbol: 'USDT', address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 }
+        ],
+        // About an hour of blocks
+        volumeBlockWindow: 300,
+        liquidityLockers: [
+            { name: 'Unicrypt', address: '0x663A5C229c09b049E36dCc11a9B0d4a8Eb9db214' },
+            { name: 'Team Finance', address: '0xE2fE530C047f2d85298b07D9333C05737f1435fB' }
+        ]
+    },
+    bnbChain: {
+        chainId: 56,
+        name: 'BNB Chain',
+        nativeSymbol: 'BNB',
+        rpcUrls: [
+            'https://bsc-dataseed1.binance.org',
+            'https://bsc-dataseed2.binance.org',
+            'https://bsc-dataseed3.binance.org',
+            'https://bsc-dataseed4.binance.org'
+        ],
+        dexes: [
+            {
+                name: 'PancakeSwap V2',
+                factoryAddress: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73',
+                routerAddress: '0x10ED43C718714eb63d5aA57B78B54704E256024E'
+            }
+        ],
+        v3: {
+            name: 'PancakeSwap V3',
+            factoryAddress: '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865',
+            swapRouterAddress: '0x1b81D678ffb9C0263b24A97847620C99d213eB14',
+            quoterAddress: '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997', // QuoterV2
+            feeTiers: [100, 500, 2500, 10000]
+        },
+        wrappedNative: { symbol: 'WBNB', address: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', decimals: 18 },
+        stablecoins: [
+            { symbol: 'USDT', address: '0x55d398326f99059fF775485246999027B3197955', decimals: 18 },
+            { symbol: 'BUSD', address: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56', decimals: 18 },
+            { symbol: 'USDC', address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', decimals: 18 }
+        ],
+        volumeBlockWindow: 1200,
+        liquidityLockers: [
+            { name: 'PinkLock', address: '0x407993575c91ce7643a4d4cCACc9A98c36eE1BBE' },
+            { name: 'Unicrypt', address: '0xC765bddB93b0D1c1A88282BA0fa6B2d00E3e0c83' }
+        ]
+    }
+};
+
+// Chain settings that config may set or override
+const CHAIN_KEYS = ['chainId', 'name', 'nativeSymbol', 'rpcUrls', 'wrappedNative', 'stablecoins', 'dexes', 'v3', 'volumeBlockWindow'];
+
+/**
+ * Register a chain from its config section, or override parts of a known chain, so everything
+ * that looks chains up here sees it. Returns the chain's reference data.
+ *
+ * A new chain needs a chainId, its wrappedNative coin ({ symbol, address, decimals }) and at least
+ * one Uniswap V2 compatible DEX ({ name, factoryAddress, routerAddress }). `v3` takes a Uniswap V3
+ * factory, SwapRouter and QuoterV2 as in the entries above.
+ */
+function defineNetwork(network, definition = {}) {
+    const reference = {
+        name: network,
+        rpcUrls: [],
+        stablecoins: [],
+        v3: null,
+        volumeBlockWindow: 300,
+        liquidityLockers: [],
+        ...NETWORKS[network]
+    };
+
+    for (const key of CHAIN_KEYS) {
+        if (definition[key] === undefined || definition[key] === null) continue;
+        reference[key] = key === 'v3' && reference.v3 ? { ...reference.v3, ...definition.v3 } : definition[key];
+    }
+    if (!reference.nativeSymbol && reference.wrappedNative) {
+        reference.nativeSymbol = reference.wrappedNative.symbol.replace(/^W/, '');
+    }
+
+    if (!reference.chainId || !reference.wrappedNative || !Array.isArray(reference.dexes) || reference.dexes.length === 0) {
+        throw new Error(`Chain ${network} needs a chainId, a wrappedNative coin and at least one DEX`);
+    }
+
+    NETWORKS[network] = reference;
+    return reference;
+}
+
+/**
+ * RPC endpoints of a chain in order of preference: a configured node, Infura and Alchemy on
+ * Ethereum when their keys are set, then the chain's rpcUrls
+ */
+function getRpcUrls(network, config = {}) {
+    const urls = [];
+    if (config.nodeUrl) {
+        urls.push(config.nodeUrl);
+    }
+    if (network === 'ethereum') {
+        if (config.infuraId) {
+            urls.push(`https://mainnet.infura.io/v3/${config.infuraId}`);
+        }
+        if (config.alchemyKey) {
+            urls.push(`https://eth-mainnet.g.alchemy.com/v2/${config.alchemyKey}`);
+        }
+    }
+    const reference = NETWORKS[network];
+    urls.push(...(config.rpcUrls || (reference ? reference.rpcUrls : [])));
+    return [...new Set(urls)];
+}
+
+/**
+ * Assets a new token is usually paired against, wrapped native coin first
+ */
+function getQuoteAssets(network) {
+    const reference = NETWORKS[network];
+    if (!reference) {
+        return [];
+    }
+    return [reference.wrappedNative, ...reference.stablecoins];
+}
+
+/**
+ * Known LP locker contracts plus any configured for the chain, given as addresses or
+ * { name, address }
+ */
+function getLiquidityLockers(network, configured = []) {
+    const reference = NETWORKS[network];
+    const lockers = reference ? [...reference.liquidityLockers] : [];
+    for (const locker of configured) {
+        lockers.push(typeof locker === 'string' ? { name: 'Custom locker', address: locker } : locker);
+    }
+    return lockers;
+}
+
+module.exports = { NETWORKS, BURN_ADDRESSES, MULTICALL3_ADDRESS, defineNetwork, getRpcUrls, getQuoteAssets, getLiquidityLockers };
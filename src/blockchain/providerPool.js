@@ -0,0 +1,377 @@
+const { ethers } = require('ethers');
+const { NETWORKS, getRpcUrls } = require('./networks');
+const { getRpcMessage } = require('./revertReasons');
+
+const HEALTH_CHECK_INTERVAL_MS = 15000;
+const REQUEST_TIMEOUT_MS = 10000;
+// An endpoint further behind the best one than this serves stale state
+const MAX_BLOCK_LAG = 3;
+// JSON-RPC errors that are the endpoint's fault (rate and response size limits) rather than the
+// request's, like a revert
+const ENDPOINT_RPC_ERRORS = [-32005];
+// Reads that must give every honest node the same answer once pinned to a block, and where
+// their block tag goes
+const QUORUM_BLOCK_PARAM = {
+    eth_call: 1,
+    eth_getBalance: 1,
+    eth_getCode: 1,
+    eth_getStorageAt: 2
+};
+// Filters exist only on the node that created them
+const FILTER_INSTALL_METHODS = ['eth_newFilter', 'eth_newBlockFilter', 'eth_newPendingTransactionFilter'];
+const FILTER_METHODS = ['eth_getFilterChanges', 'eth_getFilterLogs', 'eth_uninstallFilter'];
+const FILTER_LOST_PATTERN = /filter.*(not found|not exist)|(unknown|invalid) filter/i;
+
+/**
+ * JSON-RPC provider over several endpoints of one chain. Requests go to the active endpoint and
+ * fail over to the next healthiest when it does not answer; health checks score every endpoint
+ * by latency and block height and move off one that is down, behind or on the wrong chain.
+ *
+ * A signed transaction is only ever sent to one endpoint: one that times out may still have taken
+ * it. Filters stay on the endpoint that created them and are installed again elsewhere, under the
+ * same id, if it stops answering.
+ *
+ * With a quorum above 1, getQuorumProvider() gives a provider whose calls have to come out the
+ * same on that many healthy endpoints, for reads a trade depends on.
+ */
+class ProviderPool extends ethers.providers.StaticJsonRpcProvider {
+    constructor({ urls, chainId, chainName, quorum = 1, logger }) {
+        if (!urls || urls.length === 0) {
+            throw new Error(`No RPC endpoints configured for ${chainName}`);
+        }
+        super(urls[0], chainId);
+
+        this.chainId = chainId;
+        this.chainName = chainName;
+        this.quorum = Math.max(parseInt(quorum) || 1, 1);
+        this.logger = logger;
+        this.endpoints = urls.map(url => ({
+            url,
+            provider: new ethers.providers.StaticJsonRpcProvider({ url, timeout: REQUEST_TIMEOUT_MS }, chainId),
+            healthy: true,
+            latencyMs: null,
+            blockNumber: null,
+            blocksBehind: null,
+            errorCount: 0,
+            lastError: null,
+            lastCheckedAt: null
+        }));
+        this.active = this.endpoints[0];
+        // Filter id handed out -> { endpoint, nodeId, method, params } it was installed with
+        this.filters = new Map();
+        this.quorumProvider = null;
+        this.healthTimer = null;
+    }
+
+    /**
+     * Pool over a chain's RPC endpoints (see getRpcUrls) with health checks running, once at
+     * least one endpoint is healthy
+     */
+    static async connect(network, config = {}, logger) {
+        const chain = NETWORKS[network];
+        const pool = new ProviderPool({
+            urls: getRpcUrls(network, config),
+            chainId: chain.chainId,
+            chainName: chain.name,
+            quorum: config.rpcQuorum,
+            logger
+        });
+
+        const healthy = await pool.checkHealth();
+        if (healthy === 0) {
+            throw new Error(`Failed to connect to any ${chain.name} RPC endpoint`);
+        }
+        logger.info(`Connected to ${healthy} of ${pool.endpoints.length} ${chain.name} RPC endpoints`);
+
+        pool.start();
+        return pool;
+    }
+
+    async send(method, params) {
+        if (method === 'eth_sendRawTransaction') {
+            return this.sendOnce(this.rankEndpoints()[0], method, params);
+        }
+        if (FILTER_INSTALL_METHODS.includes(method)) {
+            return this.installFilter(method, params);
+        }
+        if (FILTER_METHODS.includes(method) && this.filters.has(params[0])) {
+            return this.sendFilterRequest(method, params);
+        }
+        return (await this.sendWithFailover(method, params)).result;
+    }
+
+    /**
+     * Send to the best endpoint, then the next ones while they fail. Resolves to the result and
+     * the endpoint that gave it.
+     */
+    async sendWithFailover(method, params) {
+        let lastError;
+        for (const endpoint of this.rankEndpoints()) {
+            try {
+                const result = await endpoint.provider.send(method, params);
+                if (endpoint !== this.active) {
+                    this.switchTo(endpoint, lastError && describeError(lastError));
+                }
+                return { result, endpoint };
+            } catch (error) {
+                if (!isEndpointFailure(error)) {
+                    throw error;
+                }
+                this.recordFailure(endpoint, error);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    async sendOnce(endpoint, method, params) {
+        try {
+            return await endpoint.provider.send(method, params);
+        } catch (error) {
+            if (isEndpointFailure(error)) {
+                this.recordFailure(endpoint, error);
+            }
+            throw error;
+        }
+    }
+
+    async installFilter(method, params) {
+        const { result: id, endpoint } = await this.sendWithFailover(method, params);
+        this.filters.set(id, { endpoint, nodeId: id, method, params });
+        return id;
+    }
+
+    /**
+     * Poll, read or remove a filter on the endpoint holding it. If that endpoint is down or has
+     * forgotten the filter, it is installed again on the best endpoint and asked there; changes
+     * in between are lost.
+     */
+    async sendFilterRequest(method, [id, ...rest]) {
+        const filter = this.filters.get(id);
+        if (method === 'eth_uninstallFilter') {
+            this.filters.delete(id);
+            return this.sendOnce(filter.endpoint, method, [filter.nodeId]);
+        }
+
+        try {
+            return await this.sendOnce(filter.endpoint, method, [filter.nodeId, ...rest]);
+        } catch (error) {
+            const reason = isEndpointFailure(error) ? describeError(error) : getRpcMessage(error);
+            if (!isEndpointFailure(error) && !FILTER_LOST_PATTERN.test(reason)) {
+                throw error;
+            }
+            const { result: nodeId, endpoint } = await this.sendWithFailover(filter.method, filter.params);
+            this.logger.warn(`Installed ${this.chainName} ${filter.method} filter again on ${maskUrl(endpoint.url)}: ${reason}`);
+            Object.assign(filter, { endpoint, nodeId });
+            return await this.sendOnce(endpoint, method, [nodeId, ...rest]);
+        }
+    }
+
+    /**
+     * Send a read to every healthy endpoint, pinned to the newest block they all have, and return
+     * the answer `quorum` of them agree on (all of them if fewer are healthy)
+     */
+    async sendWithQuorum(method, params) {
+        const endpoints = this.endpoints.filter(endpoint => endpoint.healthy && endpoint.blockNumber !== null);
+        const blockParam = QUORUM_BLOCK_PARAM[method];
+        if (this.quorum <= 1 || endpoints.length < 2 || blockParam === undefined) {
+            return this.send(method, params);
+        }
+
+        const pinned = [...params];
+        if (pinned[blockParam] === undefined || pinned[blockParam] === 'latest') {
+            pinned[blockParam] = ethers.utils.hexValue(Math.min(...endpoints.map(endpoint => endpoint.blockNumber)));
+        }
+
+        const responses = await Promise.all(endpoints.map(endpoint => endpoint.provider.send(method, pinned)
+            .then(result => ({ endpoint, result }), error => ({ endpoint, error }))));
+
+        const votes = new Map();
+        for (const response of responses) {
+            if (response.error) {
+                if (isEndpointFailure(response.error)) {
+                    this.recordFailure(response.endpoint, response.error);
+                }
+                continue;
+            }
+            const key = JSON.stringify(response.result);
+            votes.set(key, (votes.get(key) || 0) + 1);
+        }
+
+        const required = Math.min(this.quorum, endpoints.length);
+        for (const [key, count] of votes) {
+            if (count >= required) {
+                return JSON.parse(key);
+            }
+        }
+
+        // Every endpoint refusing the call (a revert, say) is an answer in itself
+        const failed = responses.find(response => response.error);
+        if (votes.size === 0 && failed) {
+            throw failed.error;
+        }
+        const error = new Error(`${method} on ${this.chainName}: fewer than ${required} of ${endpoints.length} endpoints agree`);
+        error.quorumFailure = true;
+        throw error;
+    }
+
+    /**
+     * Provider for price-critical reads, through the quorum when one is configured
+     */
+    getQuorumProvider() {
+        if (this.quorum <= 1) {
+            return this;
+        }
+        if (!this.quorumProvider) {
+            const pool = this;
+            this.quorumProvider = new (class extends ethers.providers.StaticJsonRpcProvider {
+                send(method, params) {
+                    return pool.sendWithQuorum(method, params);
+                }
+
+                // ethers reports any failed call as a revert; a split quorum is not one
+                async perform(method, params) {
+                    try {
+                        return await super.perform(method, params);
+                    } catch (error) {
+                        throw error.error && error.error.quorumFailure ? error.error : error;
+                    }
+                }
+            })(this.endpoints[0].url, this.chainId);
+        }
+        return this.quorumProvider;
+    }
+
+    /**
+     * Time a block number request to every endpoint and check its chain ID and how far behind the
+     * best endpoint it is. Resolves to the number of healthy endpoints.
+     */
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async endpoint => {
+            const startedAt = Date.now();
+            try {
+                const [chainId, blockNumber] = await Promise.all([
+                    endpoint.provider.send('eth_chainId', []),
+                    endpoint.provider.send('eth_blockNumber', [])
+                ]);
+                if (parseInt(chainId, 16) !== this.chainId) {
+                    throw new Error(`Serves chain ${parseInt(chainId, 16)}, expected ${this.chainId}`);
+                }
+                endpoint.latencyMs = Date.now() - startedAt;
+                endpoint.blockNumber = parseInt(blockNumber, 16);
+                endpoint.lastError = null;
+            } catch (error) {
+                endpoint.latencyMs = null;
+                endpoint.errorCount++;
+                endpoint.lastError = describeError(error);
+            }
+            endpoint.lastCheckedAt = Date.now();
+        }));
+
+        const bestBlock = Math.max(...this.endpoints.map(endpoint => endpoint.blockNumber || 0));
+        for (const endpoint of this.endpoints) {
+            endpoint.blocksBehind = endpoint.blockNumber === null ? null : bestBlock - endpoint.blockNumber;
+            endpoint.healthy = !endpoint.lastError && endpoint.blocksBehind <= MAX_BLOCK_LAG;
+        }
+
+        const [best] = this.rankEndpoints();
+        if (!this.active.healthy && best.healthy) {
+            this.switchTo(best, this.active.lastError || `${this.active.blocksBehind} blocks behind`);
+        }
+
+        const healthy = this.endpoints.filter(endpoint => endpoint.healthy).length;
+        if (healthy === 0) {
+            this.logger.error(`No healthy ${this.chainName} RPC endpoints`);
+        }
+        return healthy;
+    }
+
+    start() {
+        if (!this.healthTimer) {
+            this.healthTimer = setInterval(() => {
+                this.checkHealth().catch(error => this.logger.error(`${this.chainName} RPC health check failed`, error));
+            }, HEALTH_CHECK_INTERVAL_MS);
+            // Health checks alone should not keep the process alive
+            this.healthTimer.unref();
+        }
+    }
+
+    stop() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    /**
+     * Active endpoint first while it is healthy, then the other healthy ones fastest first, then
+     * the rest as a last resort
+     */
+    rankEndpoints() {
+        const score = endpoint => (endpoint.healthy ? 0 : 1e9) + (endpoint.latencyMs === null ? 1e6 : endpoint.latencyMs);
+        const ranked = [...this.endpoints].sort((a, b) => score(a) - score(b));
+        return this.active.healthy ? [this.active, ...ranked.filter(endpoint => endpoint !== this.active)] : ranked;
+    }
+
+    recordFailure(endpoint, error) {
+        endpoint.healthy = false;
+        endpoint.errorCount++;
+        endpoint.lastError = describeError(error);
+    }
+
+    switchTo(endpoint, reason) {
+        this.logger.warn(`${this.chainName} RPC failing over from ${maskUrl(this.active.url)} to ${maskUrl(endpoint.url)}${reason ? `: ${reason}` : ''}`);
+        this.active = endpoint;
+    }
+
+    getStatus() {
+        return {
+            chainId: this.chainId,
+            name: this.chainName,
+            quorum: this.quorum,
+            active: maskUrl(this.active.url),
+            endpoints: this.endpoints.map(endpoint => ({
+                url: maskUrl(endpoint.url),
+                active: endpoint === this.active,
+                healthy: endpoint.healthy,
+                latencyMs: endpoint.latencyMs,
+                blockNumber: endpoint.blockNumber,
+                blocksBehind: endpoint.blocksBehind,
+                errorCount: endpoint.errorCount,
+                lastError: endpoint.lastError,
+                lastCheckedAt: endpoint.lastCheckedAt
+            }))
+        };
+    }
+}
+
+/**
+ * Timeouts, connection errors, bad HTTP statuses and rate limits mean trying another endpoint;
+ * JSON-RPC errors such as reverts would come back the same from any of them
+ */
+function isEndpointFailure(error) {
+    const rpcError = error.error;
+    if (rpcError && typeof rpcError.code === 'number') {
+        return ENDPOINT_RPC_ERRORS.includes(rpcError.code);
+    }
+    return ['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR'].includes(error.code);
+}
+
+/**
+ * ethers puts the request URL in its messages, so keep to the reason and HTTP status
+ */
+function describeError(error) {
+    const description = error.reason || error.message;
+    return maskUrl(error.status ? `${description} (HTTP ${error.status})` : description);
+}
+
+/**
+ * Endpoint URLs carry API keys (Infura, Alchemy and most paid RPCs put them in the path)
+ */
+function maskUrl(url) {
+    return url
+        .replace(/\/\/[^/@]+@/, '//***@')
+        .replace(/[A-Za-z0-9_-]{20,}/g, '***');
+}
+
+module.exports = { ProviderPool, isEndpointFailure };
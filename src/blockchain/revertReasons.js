@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+const PANIC_CODES = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division by zero',
+    0x32: 'array index out of bounds'
+};
+
+// Custom errors declared in any of the ABIs, so their selectors decode to names and arguments
+const CUSTOM_ERRORS = loadCustomErrors(path.join(__dirname, 'abis'));
+
+function loadCustomErrors(directory) {
+    const fragments = [];
+    for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.json'))) {
+        const abi = new ethers.utils.Interface(require(path.join(directory, file)));
+        fragments.push(...Object.values(abi.errors));
+    }
+
+    const errors = new Map();
+    for (const fragment of fragments) {
+        const selector = ethers.utils.Interface.getSighash(fragment);
+        if (!errors.has(selector)) {
+            errors.set(selector, new ethers.utils.Interface([fragment]));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Dig the revert data out of an ethers or JSON-RPC error, whichever way it was wrapped
+ */
+function extractRevertData(error) {
+    for (let current = error; current; current = current.error) {
+        if (typeof current.data === 'string' && current.data.startsWith('0x')) {
+            return current.data;
+        }
+        if (current.data && typeof current.data.data === 'string') {
+            return current.data.data;
+        }
+        if (typeof current.body === 'string') {
+            try {
+                const body = JSON.parse(current.body);
+                if (body.error && typeof body.error.data === 'string') {
+                    return body.error.data;
+                }
+            } catch (parseError) {
+                // Not a JSON-RPC body
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Human readable reason for revert data: require() messages, panics, custom errors from the
+ * ABIs with their arguments, or the selector of one we do not know
+ */
+function decodeRevertReason(data) {
+    if (!data || data === '0x') {
+        return 'reverted without a reason';
+    }
+
+    try {
+        const selector = data.slice(0, 10);
+        if (selector === ERROR_SELECTOR) {
+            return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+        }
+        if (selector === PANIC_SELECTOR) {
+            const code = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`)[0].toNumber();
+            return `panic: ${PANIC_CODES[code] || `code 0x${code.toString(16)}`}`;
+        }
+        if (CUSTOM_ERRORS.has(selector)) {
+            const description = CUSTOM_ERRORS.get(selector).parseError(data);
+            return `${description.name}(${description.args.map(arg => arg.toString()).join(', ')})`;
+        }
+        return `custom error ${selector}`;
+    } catch (error) {
+        return `undecodable revert data ${data.slice(0, 10)}`;
+    }
+}
+
+function isRevert(error) {
+    return extractRevertData(error) !== null || /revert/i.test(error.message || '');
+}
+
+/**
+ * The reason without the prefixes nodes and routers put on it ("execution reverted:
+ * UniswapV2Router: EXPIRED") or the arguments of a custom error, for grouping and display
+ */
+function shortRevertReason(reason) {
+    return reason.replace(/^([\w ]+: )+(?=\S)/, '').replace(/\(.*\)$/, '');
+}
+
+/**
+ * The node's own message for an error, without the request and URL ethers wraps around it
+ */
+function getRpcMessage(error) {
+    let message = error.reason || error.message;
+    for (let current = error.error; current; current = current.error) {
+        if (current.message) {
+            message = current.message;
+        }
+    }
+    return message;
+}
+
+module.exports = { extractRevertData, decodeRevertReason, isRevert, shortRevertReason, getRpcMessage };
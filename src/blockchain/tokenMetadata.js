@@ -0,0 +1,95 @@
+const { ethers } = require('ethers');
+const ERC20_ABI = require('./abis/erc20.json');
+const MULTICALL3_ABI = require('./abis/multicall3.json');
+const { MULTICALL3_ADDRESS } = require('./networks');
+const { isEndpointFailure } = require('./providerPool');
+
+const ERC20 = new ethers.utils.Interface(ERC20_ABI);
+// Early tokens (MKR, SAI) return their name and symbol as bytes32
+const BYTES32_ERC20 = new ethers.utils.Interface([
+    'function name() view returns (bytes32)',
+    'function symbol() view returns (bytes32)'
+]);
+const FIELDS = ['name', 'symbol', 'decimals', 'totalSupply'];
+// Tokens per multicall, four calls each
+const BATCH_SIZE = 50;
+
+/**
+ * Name, symbol, decimals and total supply of tokens, read in batches through Multicall3.
+ * Resolves to a Map from address to { name, symbol, decimals, totalSupply }, or to null for an
+ * address without decimals or a total supply, which is not an ERC-20 token. A missing name or
+ * symbol is left empty. Rejects when the node cannot be reached, rather than taking tokens it
+ * never got an answer for as not ERC-20.
+ */
+async function readTokenMetadata(provider, addresses, { multicallAddress = MULTICALL3_ADDRESS } = {}) {
+    const multicall = new ethers.Contract(multicallAddress, MULTICALL3_ABI, provider);
+    const metadata = new Map();
+
+    for (let i = 0; i < addresses.length; i += BATCH_SIZE) {
+        const batch = addresses.slice(i, i + BATCH_SIZE);
+        const calls = batch.flatMap(address => FIELDS.map(field => ({
+            target: address,
+            allowFailure: true,
+            callData: ERC20.encodeFunctionData(field)
+        })));
+
+        let results;
+        try {
+            results = await multicall.callStatic.aggregate3(calls);
+        } catch (error) {
+            // A chain without Multicall3, or one token breaking the whole call
+            if (isUnanswered(error)) {
+                throw error;
+            }
+            results = await Promise.all(calls.map(call => provider.call({ to: call.target, data: call.callData })
+                .then(returnData => ({ success: true, returnData }), (callError) => {
+                    if (isUnanswered(callError)) {
+                        throw callError;
+                    }
+                    return { success: false, returnData: '0x' };
+                })));
+        }
+
+        batch.forEach((address, index) => {
+            const [name, symbol, decimals, totalSupply] = FIELDS.map((field, offset) => decodeField(field, results[index * FIELDS.length + offset]));
+            metadata.set(address, decimals === null || totalSupply === null
+                ? null
+                : { name: name || '', symbol: symbol || '', decimals, totalSupply });
+        });
+    }
+
+    return metadata;
+}
+
+/**
+ * The node never answered the call. ethers reports any failed call as CALL_EXCEPTION, so the
+ * transport error is looked for among the errors it wraps.
+ */
+function isUnanswered(error) {
+    for (let current = error; current; current = current.error) {
+        if (isEndpointFailure(current)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function decodeField(field, { success, returnData }) {
+    if (!success || returnData === '0x') {
+        return null;
+    }
+    try {
+        return ERC20.decodeFunctionResult(field, returnData)[0];
+    } catch (error) {
+        if (field !== 'name' && field !== 'symbol') {
+            return null;
+        }
+    }
+    try {
+        return ethers.utils.parseBytes32String(BYTES32_ERC20.decodeFunctionResult(field, returnData)[0]);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { readTokenMetadata };
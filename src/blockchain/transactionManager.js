@@ -0,0 +1,433 @@
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const { extractRevertData, decodeRevertReason, isRevert, shortRevertReason, getRpcMessage } = require('./revertReasons');
+
+const POLL_INTERVAL_MS = 3000;
+// Nodes only accept a replacement paying at least 10% more, so bump by a bit over that
+const FEE_BUMP_PERCENT = 12.5;
+const MAX_AUTO_REPLACEMENTS = 3;
+// Transactions still unmined this long after they were last sent are given up on
+const PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+const CANCEL_GAS_LIMIT = 21000;
+// Finished transactions kept for the dashboard
+const MAX_FINISHED = 100;
+// Send errors after which our nonce count is off from the node's
+const NONCE_ERRORS = ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+// Errors that mean the node could not be asked, rather than that it refused the transaction
+const UNREACHABLE_ERRORS = ['TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR'];
+
+/**
+ * Sends a wallet's transactions with nonces handed out locally, so strategies trading at the same
+ * time never collide, and follows each one until it is mined, failed (reverted), dropped (its
+ * nonce used by a transaction we did not send, or still unmined after PENDING_TIMEOUT_MS) or
+ * cancelled. Transactions pending longer than replaceStuckAfterSeconds are re-sent with higher
+ * fees; speedUp and cancel do the same on request. Emits `transactionUpdated` with the transaction's summary on every change.
+ *
+ * Every transaction is simulated before it is sent; one that would revert is never broadcast.
+ *
+ * Contracts send through `signer`, whose transactions' wait() resolves to the receipt of
+ * whichever version got mined.
+ */
+class TransactionManager extends EventEmitter {
+    constructor({ wallet, gasOracle, chainName, config = {}, logger }) {
+        super();
+        this.wallet = wallet;
+        this.gasOracle = gasOracle;
+        this.chainName = chainName;
+        this.logger = logger;
+        this.stuckAfterMs = (parseFloat(config.replaceStuckAfterSeconds) || 0) * 1000;
+        this.signer = new ManagedSigner(this);
+
+        this.nextNonce = null;
+        this.freeNonces = [];
+        this.nonceLock = Promise.resolve();
+        this.transactions = new Map();
+        this.finished = [];
+        this.pollTimer = null;
+    }
+
+    /**
+     * simulate: false skips the pre-flight simulation, for transactions that can only succeed
+     * once another pending one is mined
+     */
+    async sendTransaction(transaction, { simulate = true } = {}) {
+        const request = await ethers.utils.resolveProperties(transaction);
+        if (simulate) {
+            await this.simulate(request);
+        }
+        const nonce = await this.allocateNonce();
+
+        let response;
+        try {
+            response = await this.wallet.sendTransaction({ ...request, nonce });
+        } catch (error) {
+            this.releaseNonce(nonce, error);
+            throw error;
+        }
+
+        const record = this.track(response);
+        response.wait = () => record.done;
+        return response;
+    }
+
+    /**
+     * Run the transaction through eth_estimateGas and an eth_call against the pending block.
+     * Rejects with a SIMULATION_FAILED error if it would revert, run out of its gas limit or
+     * cannot be paid for; the error has the decoded revert `reason` ("INSUFFICIENT_OUTPUT_AMOUNT"),
+     * the full `revertReason`, the raw `revertData` and the `stage` it failed at.
+     */
+    async simulate(request) {
+        const provider = this.wallet.provider;
+        const transaction = ethers.providers.JsonRpcProvider.hexlifyTransaction(
+            { ...request, from: this.wallet.address },
+            { from: true }
+        );
+
+        // Estimated without fees, so the gas needed does not depend on what the wallet can pay
+        const { gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, type, ...estimateRequest } = transaction;
+        let estimate;
+        try {
+            estimate = ethers.BigNumber.from(await provider.send('eth_estimateGas', [estimateRequest]));
+        } catch (error) {
+            throw this.simulationError('estimateGas', error, request);
+        }
+        if (gas && estimate.gt(gas)) {
+            throw this.simulationError('estimateGas', new Error(`out of gas, needs ${estimate.toString()} with a limit of ${ethers.BigNumber.from(gas).toString()}`), request);
+        }
+
+        try {
+            await provider.send('eth_call', [transaction, 'pending']);
+        } catch (error) {
+            throw this.simulationError('call', error, request);
+        }
+    }
+
+    simulationError(stage, error, request) {
+        // A node that cannot be reached says nothing about the transaction
+        if (UNREACHABLE_ERRORS.includes(error.code) && !isRevert(error) && !(error.error && error.error.code)) {
+            return error;
+        }
+
+        const revertData = extractRevertData(error);
+        const revertReason = revertData !== null ? decodeRevertReason(revertData) : getRpcMessage(error);
+        this.logger.warn(`Not sending ${this.chainName} transaction to ${request.to}, ${stage} failed: ${revertReason}`);
+
+        const simulationError = new Error(`${this.chainName} transaction would fail: ${revertReason}`);
+        simulationError.code = 'SIMULATION_FAILED';
+        simulationError.reason = shortRevertReason(revertReason);
+        simulationError.revertReason = revertReason;
+        simulationError.revertData = revertData;
+        simulationError.stage = stage;
+        return simulationError;
+    }
+
+    /**
+     * Nonces come from the node once, then count up locally; ones given back by failed sends
+     * are used first so no gap holds up later transactions
+     */
+    allocateNonce() {
+        const allocation = this.nonceLock.then(async () => {
+            if (this.nextNonce === null) {
+                this.nextNonce = await this.wallet.getTransactionCount('pending');
+                this.freeNonces = [];
+            }
+            return this.freeNonces.length ? this.freeNonces.shift() : this.nextNonce++;
+        });
+        this.nonceLock = allocation.catch(() => {});
+        return allocation;
+    }
+
+    releaseNonce(nonce, error) {
+        // A node that stopped answering may have taken the transaction first, so only it can say
+        // whether the nonce was used
+        const unreachable = UNREACHABLE_ERRORS.includes(error.code) && !(error.error && error.error.code);
+        if (unreachable || NONCE_ERRORS.includes(error.code) || /nonce/i.test(error.message)) {
+            this.logger.warn(`Resyncing ${this.chainName} nonce after: ${error.reason || error.message}`);
+            this.nextNonce = null;
+            return;
+        }
+        if (nonce === this.nextNonce - 1) {
+            this.nextNonce--;
+        } else {
+            this.freeNonces.push(nonce);
+            this.freeNonces.sort((a, b) => a - b);
+        }
+    }
+
+    track(response) {
+        const record = {
+            hash: response.hash,
+            hashes: [response.hash],
+            cancelHash: null,
+            nonce: response.nonce,
+            to: response.to,
+            value: response.value,
+            data: response.data,
+            gasLimit: response.gasLimit,
+            fees: getFees(response),
+            status: 'pending',
+            replacements: 0,
+            autoReplacements: 0,
+            receipt: null,
+            error: null,
+            submittedAt: Date.now(),
+            lastSubmittedAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        record.done = new Promise((resolve, reject) => {
+            record.resolve = resolve;
+            record.reject = reject;
+        });
+        // Nobody may be waiting, e.g. after a cancel
+        record.done.catch(() => {});
+
+        this.transactions.set(record.hash, record);
+        this.logger.info(`Sent ${this.chainName} transaction ${record.hash} with nonce ${record.nonce}`);
+        this.emitUpdate(record);
+        this.schedulePoll();
+        return record;
+    }
+
+    /**
+     * Re-send a pending transaction with the same nonce and higher fees
+     */
+    async speedUp(hash) {
+        const record = this.getPending(hash);
+        const fees = await this.getReplacementFees(record);
+        const response = await this.wallet.sendTransaction({
+            to: record.to,
+            value: record.value,
+            data: record.data,
+            gasLimit: record.gasLimit,
+            nonce: record.nonce,
+            ...fees
+        });
+
+        this.addReplacement(record, response);
+        this.logger.info(`Sped up ${this.chainName} transaction ${record.hashes[0]} as ${response.hash}`);
+        return this.summarize(record);
+    }
+
+    /**
+     * Replace a pending transaction with an empty transfer to ourselves, which uses up its nonce
+     */
+    async cancel(hash) {
+        const record = this.getPending(hash);
+        const fees = await this.getReplacementFees(record);
+        const response = await this.wallet.sendTransaction({
+            to: this.wallet.address,
+            value: 0,
+            data: '0x',
+            gasLimit: CANCEL_GAS_LIMIT,
+            nonce: record.nonce,
+            ...fees
+        });
+
+        record.cancelHash = response.hash;
+        this.addReplacement(record, response);
+        this.logger.info(`Cancelling ${this.chainName} transaction ${record.hashes[0]} with ${response.hash}`);
+        return this.summarize(record);
+    }
+
+    getPending(hash) {
+        const record = [...this.transactions.values()].find(candidate => candidate.hashes.includes(hash));
+        if (!record) {
+            throw new Error(`No pending ${this.chainName} transaction ${hash}`);
+        }
+        return record;
+    }
+
+    /**
+     * The bump nodes require over the last fees, or the current fast fees if those are higher,
+     * within the fee cap
+     */
+    async getReplacementFees(record) {
+        const bump = value => ethers.BigNumber.from(value).mul(Math.round((100 + FEE_BUMP_PERCENT) * 100)).div(10000).add(1);
+        const max = (a, b) => (a.gt(b) ? a : b);
+        const current = this.gasOracle ? await this.gasOracle.getOverrides('fast') : {};
+
+        let fees;
+        if (record.fees.gasPrice) {
+            fees = { gasPrice: max(bump(record.fees.gasPrice), current.gasPrice || ethers.constants.Zero) };
+        } else {
+            fees = {
+                maxFeePerGas: max(bump(record.fees.maxFeePerGas), current.maxFeePerGas || ethers.constants.Zero),
+                maxPriorityFeePerGas: max(bump(record.fees.maxPriorityFeePerGas), current.maxPriorityFeePerGas || ethers.constants.Zero)
+            };
+        }
+        return this.gasOracle ? this.gasOracle.applyFeeCap(fees) : fees;
+    }
+
+    addReplacement(record, response) {
+        record.hash = response.hash;
+        record.hashes.push(response.hash);
+        record.fees = getFees(response);
+        record.replacements++;
+        record.lastSubmittedAt = Date.now();
+        this.emitUpdate(record);
+    }
+
+    schedulePoll() {
+        if (this.pollTimer || this.transactions.size === 0) return;
+        this.pollTimer = setTimeout(async () => {
+            try {
+                await this.poll();
+            } catch (error) {
+                this.logger.error(`Error checking ${this.chainName} transactions`, error);
+            }
+            this.pollTimer = null;
+            this.schedulePoll();
+        }, POLL_INTERVAL_MS);
+    }
+
+    async poll() {
+        const provider = this.wallet.provider;
+        // Read the nonce before the receipts: a nonce used up by then has its receipt by then
+        const minedNonce = await provider.getTransactionCount(this.wallet.address, 'latest');
+
+        for (const record of [...this.transactions.values()]) {
+            const receipts = await Promise.all(record.hashes.map(hash => provider.getTransactionReceipt(hash)));
+            const receipt = receipts.find(Boolean);
+
+            if (receipt) {
+                record.hash = receipt.transactionHash;
+                record.receipt = receipt;
+                if (receipt.transactionHash === record.cancelHash) {
+                    this.finish(record, 'cancelled', new Error(`Transaction ${record.hashes[0]} was cancelled`));
+                } else if (receipt.status === 1) {
+                    this.finish(record, 'mined');
+                } else {
+                    this.finish(record, 'failed');
+                }
+            } else if (minedNonce > record.nonce) {
+                this.finish(record, 'dropped', new Error(`Transaction ${record.hashes[0]} was dropped: nonce ${record.nonce} was used by another transaction`));
+            } else if (this.isStuck(record)) {
+                record.autoReplacements++;
+                try {
+                    this.logger.warn(`${this.chainName} transaction ${record.hash} pending for ${Math.round((Date.now() - record.lastSubmittedAt) / 1000)}s, replacing it with higher fees`);
+                    await this.speedUp(record.hash);
+                } catch (error) {
+                    this.logger.error(`Could not replace stuck ${this.chainName} transaction ${record.hash}`, error);
+                }
+            } else if (Date.now() - record.lastSubmittedAt > PENDING_TIMEOUT_MS) {
+                this.abandon(record);
+            }
+        }
+    }
+
+    /**
+     * Give up on a transaction that is not getting mined, most likely evicted from the mempool.
+     * Its nonce would hold up every later one, so the next nonce is read from the node again.
+     */
+    abandon(record) {
+        this.logger.warn(`${this.chainName} transaction ${record.hash} not mined ${PENDING_TIMEOUT_MS / 60000} minutes after it was last sent, giving up on nonce ${record.nonce}`);
+        this.nextNonce = null;
+        this.finish(record, 'dropped', new Error(`Transaction ${record.hashes[0]} was dropped: not mined within ${PENDING_TIMEOUT_MS / 60000} minutes`));
+    }
+
+    isStuck(record) {
+        return this.stuckAfterMs > 0 &&
+            record.autoReplacements < MAX_AUTO_REPLACEMENTS &&
+            Date.now() - record.lastSubmittedAt > this.stuckAfterMs;
+    }
+
+    /**
+     * Reverted transactions still resolve to their receipt, as with ethers; only ones that never
+     * ran reject
+     */
+    finish(record, status, error = null) {
+        record.status = status;
+        record.error = error && error.message;
+        this.transactions.delete(record.hashes[0]);
+        this.finished.unshift(record);
+        this.finished.length = Math.min(this.finished.length, MAX_FINISHED);
+
+        if (error) {
+            record.reject(error);
+        } else {
+            record.resolve(record.receipt);
+        }
+        this.logger.info(`${this.chainName} transaction ${record.hash} ${status}`);
+        this.emitUpdate(record);
+    }
+
+    emitUpdate(record) {
+        record.updatedAt = Date.now();
+        this.emit('transactionUpdated', this.summarize(record));
+    }
+
+    /**
+     * Pending transactions first, then recently finished ones
+     */
+    getTransactions() {
+        return [...this.transactions.values(), ...this.finished].map(record => this.summarize(record));
+    }
+
+    summarize(record) {
+        const gwei = value => (value ? ethers.utils.formatUnits(value, 'gwei') : null);
+        return {
+            hash: record.hash,
+            originalHash: record.hashes[0],
+            hashes: [...record.hashes],
+            nonce: record.nonce,
+            to: record.to,
+            value: ethers.utils.formatEther(record.value || 0),
+            status: record.status,
+            cancelling: record.status === 'pending' && record.cancelHash !== null,
+            replacements: record.replacements,
+            maxFeePerGas: gwei(record.fees.maxFeePerGas || record.fees.gasPrice),
+            maxPriorityFeePerGas: gwei(record.fees.maxPriorityFeePerGas),
+            blockNumber: record.receipt ? record.receipt.blockNumber : null,
+            error: record.error,
+            submittedAt: record.submittedAt,
+            updatedAt: record.updatedAt
+        };
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+}
+
+function getFees(transaction) {
+    return transaction.maxFeePerGas
+        ? { maxFeePerGas: transaction.maxFeePerGas, maxPriorityFeePerGas: transaction.maxPriorityFeePerGas }
+        : { gasPrice: transaction.gasPrice };
+}
+
+/**
+ * Signer for contracts that sends through the transaction manager
+ */
+class ManagedSigner extends ethers.Signer {
+    constructor(manager) {
+        super();
+        ethers.utils.defineReadOnly(this, 'provider', manager.wallet.provider);
+        ethers.utils.defineReadOnly(this, 'address', manager.wallet.address);
+        this.manager = manager;
+    }
+
+    getAddress() {
+        return Promise.resolve(this.address);
+    }
+
+    signMessage(message) {
+        return this.manager.wallet.signMessage(message);
+    }
+
+    signTransaction(transaction) {
+        return this.manager.wallet.signTransaction(transaction);
+    }
+
+    sendTransaction(transaction, options) {
+        return this.manager.sendTransaction(transaction, options);
+    }
+
+    connect() {
+        throw new Error('A managed signer stays on its wallet\'s provider');
+    }
+}
+
+module.exports = { TransactionManager };
@@ -0,0 +1,95 @@
+const { ethers } = require('ethers');
+const ERC20_ABI = require('./abis/erc20.json');
+const V3_FACTORY_ABI = require('./abis/uniswapV3Factory.json');
+const V3_POOL_ABI = require('./abis/uniswapV3Pool.json');
+
+// PancakeSwap V3 pools add the protocol fees to their Swap event, so its signature differs
+const V3_SWAP_TOPICS = [
+    ethers.utils.id('Swap(address,address,int256,int256,uint160,uint128,int24)'),
+    ethers.utils.id('Swap(address,address,int256,int256,uint160,uint128,int24,uint128,uint128)')
+];
+const Q96 = 2 ** 96;
+
+/**
+ * Finds and reads Uniswap V3 style pools (Uniswap V3, PancakeSwap V3). A token pair has one
+ * pool per fee tier, so lookups cover every tier the factory supports.
+ */
+class V3PoolReader {
+    constructor({ provider, factoryAddress, feeTiers }) {
+        this.provider = provider;
+        this.factory = new ethers.Contract(factoryAddress, V3_FACTORY_ABI, provider);
+        this.feeTiers = feeTiers;
+    }
+
+    /**
+     * Existing pools of a pair: [{ address, fee }]
+     */
+    async getPools(tokenA, tokenB) {
+        const addresses = await Promise.all(this.feeTiers.map(fee => this.factory.getPool(tokenA, tokenB, fee)));
+        return addresses
+            .map((address, i) => ({ address, fee: this.feeTiers[i] }))
+            .filter(pool => pool.address !== ethers.constants.AddressZero);
+    }
+
+    /**
+     * Pools of a pair with the amounts of both tokens they hold (BigNumbers), deepest in
+     * `quote` first. Resolves to [{ address, fee, tokenBalance, quoteBalance }].
+     */
+    async getPoolBalances(tokenAddress, quoteAddress) {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+        const quote = new ethers.Contract(quoteAddress, ERC20_ABI, this.provider);
+
+        const pools = await Promise.all((await this.getPools(tokenAddress, quoteAddress)).map(async pool => {
+            const [tokenBalance, quoteBalance] = await Promise.all([
+                token.balanceOf(pool.address),
+                quote.balanceOf(pool.address)
+            ]);
+            return { ...pool, tokenBalance, quoteBalance };
+        }));
+
+        return pools.sort((a, b) => (b.quoteBalance.gt(a.quoteBalance) ? 1 : b.quoteBalance.lt(a.quoteBalance) ? -1 : 0));
+    }
+
+    /**
+     * The pair's pool holding the most `quote`, or null if it has none with liquidity
+     */
+    async findDeepestPool(tokenAddress, quoteAddress) {
+        const [deepest] = await this.getPoolBalances(tokenAddress, quoteAddress);
+        return deepest && !deepest.quoteBalance.isZero() ? deepest : null;
+    }
+
+    async getPoolState(poolAddress) {
+        const pool = new ethers.Contract(poolAddress, V3_POOL_ABI, this.provider);
+        const [token0, token1, slot0, liquidity] = await Promise.all([
+            pool.token0(),
+            pool.token1(),
+            pool.slot0(),
+            pool.liquidity()
+        ]);
+        return { token0, token1, sqrtPriceX96: slot0.sqrtPriceX96, tick: slot0.tick, liquidity };
+    }
+
+    /**
+     * Price of `tokenAddress` in the pool's other token, in whole units, from slot0
+     */
+    async getPrice(poolAddress, tokenAddress, tokenDecimals, quoteDecimals) {
+        const state = await this.getPoolState(poolAddress);
+        const tokenIsToken0 = state.token0.toLowerCase() === tokenAddress.toLowerCase();
+        const price0 = V3PoolReader.priceFromSqrtPriceX96(
+            state.sqrtPriceX96,
+            tokenIsToken0 ? tokenDecimals : quoteDecimals,
+            tokenIsToken0 ? quoteDecimals : tokenDecimals
+        );
+        return tokenIsToken0 ? price0 : (price0 > 0 ? 1 / price0 : 0);
+    }
+
+    /**
+     * token0 priced in token1: (sqrtPriceX96 / 2^96)^2, adjusted for decimals
+     */
+    static priceFromSqrtPriceX96(sqrtPriceX96, decimals0, decimals1) {
+        const sqrtPrice = parseFloat(sqrtPriceX96.toString()) / Q96;
+        return sqrtPrice * sqrtPrice * Math.pow(10, decimals0 - decimals1);
+    }
+}
+
+module.exports = { V3PoolReader, V3_SWAP_TOPICS };
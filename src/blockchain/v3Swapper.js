@@ -0,0 +1,131 @@
+const { ethers } = require('ethers');
+const { DexSwapper } = require('./dexSwapper');
+
+/**
+ * Buys and sells tokens against the native coin through a V3 SwapRouter (Uniswap V3 on
+ * Ethereum, PancakeSwap V3 on BNB Chain), one pool deep, with minimum amounts quoted by the
+ * QuoterV2. Fills have the same shape as DexSwapper's. Token taxes are not taken off the
+ * minimum: the router checks what the pool pays out, before the token takes its cut.
+ */
+class V3Swapper extends DexSwapper {
+    constructor({ wallet, router, gasOracle, quoter, pools, wrappedNativeAddress, nativeSymbol, config = {}, logger }) {
+        super({ wallet, router, gasOracle, wrappedNativeAddress, nativeSymbol, config, logger });
+        this.quoter = quoter;
+        this.pools = pools;
+    }
+
+    /**
+     * Spend `amount` of the native coin on a token in the pool with fee tier `fee`, by default
+     * the token's deepest pool against the wrapped native coin
+     */
+    async buy({ tokenAddress, symbol, amount, slippageTolerance, fee, urgency }) {
+        const token = this.getToken(tokenAddress);
+        const decimals = await token.decimals();
+        const amountIn = ethers.utils.parseEther(this.formatAmount(amount, 18));
+        const poolFee = fee || await this.getPoolFee(token.address);
+
+        const amountOutMin = await this.quoteAmountOutMin(this.wrappedNativeAddress, token.address, amountIn, poolFee, slippageTolerance);
+        const to = this.wallet.address;
+        const overrides = { ...await this.getTxOverrides(urgency), value: amountIn };
+
+        this.logger.info(`Buying ${symbol || token.address} with ${amount} ${this.nativeSymbol} in the ${poolFee / 10000}% V3 pool (min out ${amountOutMin.toString()})`);
+
+        // The router wraps the native coin sent along with the swap
+        const tx = await this.router.exactInputSingle({
+            tokenIn: this.wrappedNativeAddress,
+            tokenOut: token.address,
+            fee: poolFee,
+            recipient: to,
+            deadline: this.getDeadline(),
+            amountIn,
+            amountOutMinimum: amountOutMin,
+            sqrtPriceLimitX96: 0
+        }, overrides);
+        const receipt = await this.waitForSwap(tx);
+        const amountOut = this.sumTransfersTo(receipt, token.address, to);
+
+        return this.buildFill({
+            receipt,
+            side: 'buy',
+            tokenAddress: token.address,
+            symbol,
+            amountIn,
+            amountOut,
+            nativeAmount: amountIn,
+            tokenAmount: amountOut,
+            decimals
+        });
+    }
+
+    /**
+     * Sell `amount` tokens for the native coin in the pool with fee tier `fee`
+     */
+    async sell({ tokenAddress, symbol, amount, slippageTolerance, fee, urgency }) {
+        const token = this.getToken(tokenAddress);
+        const { decimals, amountIn } = await this.getSellAmount(token, symbol, amount);
+        const poolFee = fee || await this.getPoolFee(token.address);
+
+        const approvalReceipt = await this.ensureAllowance(token, amountIn, urgency);
+
+        const amountOutMin = await this.quoteAmountOutMin(token.address, this.wrappedNativeAddress, amountIn, poolFee, slippageTolerance);
+        const to = this.wallet.address;
+        const overrides = await this.getTxOverrides(urgency);
+
+        this.logger.info(`Selling ${ethers.utils.formatUnits(amountIn, decimals)} ${symbol || token.address} in the ${poolFee / 10000}% V3 pool (min out ${ethers.utils.formatEther(amountOutMin)} ${this.nativeSymbol})`);
+
+        // The router takes the wrapped coin itself and unwraps it to us in the same transaction
+        const tx = await this.router.multicall([
+            this.router.interface.encodeFunctionData('exactInputSingle', [{
+                tokenIn: token.address,
+                tokenOut: this.wrappedNativeAddress,
+                fee: poolFee,
+                recipient: this.router.address,
+                deadline: this.getDeadline(),
+                amountIn,
+                amountOutMinimum: amountOutMin,
+                sqrtPriceLimitX96: 0
+            }]),
+            this.router.interface.encodeFunctionData('unwrapWETH9', [amountOutMin, to])
+        ], overrides);
+        const receipt = await this.waitForSwap(tx);
+        const amountOut = this.sumWithdrawals(receipt);
+
+        return this.buildFill({
+            receipt,
+            approvalReceipt,
+            side: 'sell',
+            tokenAddress: token.address,
+            symbol,
+            amountIn,
+            amountOut,
+            nativeAmount: amountOut,
+            tokenAmount: amountIn,
+            decimals
+        });
+    }
+
+    async getPoolFee(tokenAddress) {
+        const pool = await this.pools.findDeepestPool(tokenAddress, this.wrappedNativeAddress);
+        if (!pool) {
+            throw new Error(`No ${this.nativeSymbol} V3 pool for ${tokenAddress}`);
+        }
+        return pool.fee;
+    }
+
+    /**
+     * The quoter runs the swap to price it, so it is not a view function and has to be called
+     * statically
+     */
+    async quoteAmountOutMin(tokenIn, tokenOut, amountIn, fee, slippageTolerance) {
+        const { amountOut } = await this.quoter.callStatic.quoteExactInputSingle({
+            tokenIn,
+            tokenOut,
+            amountIn,
+            fee,
+            sqrtPriceLimitX96: 0
+        });
+        return this.applySlippage(amountOut, slippageTolerance);
+    }
+}
+
+module.exports = { V3Swapper };
@@ -240,6 +240,36 @@ class BinanceExchange {
         }
     }
     
+    async fetchOHLCV(symbol, timeframe = '1h', since = undefined, limit = 100) {
+        try {
+            return await this.exchange.fetchOHLCV(symbol, timeframe, since, limit);
+        } catch (error) {
+            this.logger.error(`Error getting ${timeframe} candles for ${symbol}`, error);
+            return [];
+        }
+    }
+    
+    getMarketLimits(symbol) {
+        const market = this.markets && this.markets[symbol];
+        if (!market || !market.limits) {
+            return null;
+        }
+        
+        return {
+            minAmount: (market.limits.amount && market.limits.amount.min) || 0,
+            minCost: (market.limits.cost && market.limits.cost.min) || 0
+        };
+    }
+    
+    amountToPrecision(symbol, amount) {
+        try {
+            return parseFloat(this.exchange.amountToPrecision(symbol, amount));
+        } catch (error) {
+            // Amounts below the smallest step cannot be represented
+            return 0;
+        }
+    }
+    
     isValidSymbol(symbol) {
         return !!this.markets && !!this.markets[symbol];
     }
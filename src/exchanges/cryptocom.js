@@ -261,6 +261,45 @@ class CryptocomExchange {
     }
   }
   
+  /**
+   * Get OHLCV candles for a symbol, as [timestamp, open, high, low, close, volume] arrays
+   */
+  async fetchOHLCV(symbol, timeframe = '1h', since = undefined, limit = 100) {
+    try {
+      return await this.exchange.fetchOHLCV(symbol, timeframe, since, limit);
+    } catch (error) {
+      this.logger.error(`Error getting ${timeframe} candles for ${symbol}`, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Get the minimum order amount and cost of a market
+   */
+  getMarketLimits(symbol) {
+    const market = this.markets && this.markets[symbol];
+    if (!market || !market.limits) {
+      return null;
+    }
+    
+    return {
+      minAmount: (market.limits.amount && market.limits.amount.min) || 0,
+      minCost: (market.limits.cost && market.limits.cost.min) || 0
+    };
+  }
+  
+  /**
+   * Round an amount down to the market's amount precision
+   */
+  amountToPrecision(symbol, amount) {
+    try {
+      return parseFloat(this.exchange.amountToPrecision(symbol, amount));
+    } catch (error) {
+      // Amounts below the smallest step cannot be represented
+      return 0;
+    }
+  }
+  
   /**
    * Check if a symbol is valid
    */
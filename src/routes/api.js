@@ -37,6 +37,10 @@ module.exports = function(securityManager, configManager) {
                 delete sanitizedConfig.bnbChain.privateKey;
             }
             
+            Object.values(sanitizedConfig.chains || {}).forEach(chain => {
+                if (chain) delete chain.privateKey;
+            });
+            
             if (sanitizedConfig.exchanges) {
                 if (sanitizedConfig.exchanges.binanceUS) {
                     delete sanitizedConfig.exchanges.binanceUS.apiKey;
@@ -97,6 +101,14 @@ module.exports = function(securityManager, configManager) {
                 }
             }
 
+            if (newSettings.chains) {
+                for (const [network, chain] of Object.entries(newSettings.chains)) {
+                    if (chain && !chain.privateKey && currentConfig.chains?.[network]?.privateKey) {
+                        chain.privateKey = currentConfig.chains[network].privateKey;
+                    }
+                }
+            }
+
             if (newSettings.exchanges) {
                 if (newSettings.exchanges.binanceUS) {
                     if (!newSettings.exchanges.binanceUS.apiKey) {
@@ -7,7 +7,13 @@ const { ethers } = require('ethers');
 const { Logger } = require('../utils/logger');
 const IERC20 = require('../contracts/IERC20.json');
 const IUniswapV2Factory = require('../contracts/IUniswapV2Factory.json');
-const IPancakeFactory = require('../contracts/IPancakeFactory.json');
+const { ContractAnalyzer } = require('../blockchain/contractAnalyzer');
+const { LiquidityLockAnalyzer } = require('../blockchain/liquidityLockAnalyzer');
+const { NETWORKS, getLiquidityLockers } = require('../blockchain/networks');
+const V3_FACTORY_ABI = require('../blockchain/abis/uniswapV3Factory.json');
+
+const V3_FACTORY_INTERFACE = new ethers.utils.Interface(V3_FACTORY_ABI);
+const POOL_CREATED_TOPIC = V3_FACTORY_INTERFACE.getEventTopic('PoolCreated');
 
 class EnhancedTokenScanner extends TokenScanner {
     constructor(blockchain, exchanges, config, logger) {
@@ -60,6 +66,9 @@ class EnhancedTokenScanner extends TokenScanner {
         this.blacklistedTokens = new Set();
         this.whitelistedTokens = new Set();
         this.tokenScores = new Map();
+        this.contractAnalyzers = new Map();
+        this.liquidityLockAnalyzers = new Map();
+        this.pairLiquidityLocks = new Map();
         
         // Scanning configuration
         this.scanDelay = 1000; // Delay between token analyses to prevent rate limiting
@@ -96,6 +105,7 @@ class EnhancedTokenScanner extends TokenScanner {
             // Initialize our providers and factories maps if not already done
             if (!this.providers) this.providers = new Map();
             if (!this.factories) this.factories = new Map();
+            if (!this.factoryChains) this.factoryChains = new Map();
             if (!this.knownTokens) this.knownTokens = new Map();
             if (!this.scanStats) {
                 this.scanStats = {
@@ -106,75 +116,28 @@ class EnhancedTokenScanner extends TokenScanner {
                 };
             }
 
-            // Setup providers and factories based on blockchain connectors
-            if (this.blockchain.ethereum) {
-                this.logger.info('Setting up Ethereum provider and Uniswap factory');
-                const ethProvider = this.blockchain.ethereum.getProvider();
-                if (ethProvider) {
-                    this.providers.set('ethereum', ethProvider);
-                    
-                    // Get Uniswap factory address from config
-                    const uniswapFactoryAddress = this.directConfig.ethereum && 
-                                              this.directConfig.ethereum.uniswapFactoryAddress;
-                    
-                    if (uniswapFactoryAddress) {
-                        // Initialize Uniswap factory
-                        const uniswapFactory = new ethers.Contract(
-                            uniswapFactoryAddress,
-                            IUniswapV2Factory.abi,
-                            ethProvider
-                        );
-                        this.factories.set('uniswap', uniswapFactory);
-                        
-                        this.logger.info(`Initialized Uniswap factory at ${uniswapFactoryAddress}`);
-                    } else {
-                        this.logger.warn('Missing Uniswap factory address in config, cannot initialize factory');
-                    }
-                    
-                    // Setup network stats
-                    this.scanStats.networkStats.set('ethereum', {
-                        pairsScanned: 0,
-                        newTokens: 0,
-                        lastBlock: 0
-                    });
-                } else {
-                    this.logger.warn('Could not get Ethereum provider from blockchain connector');
+            // Setup providers and factories from the blockchain connectors, a factory per DEX
+            for (const [network, connector] of Object.entries(this.blockchain)) {
+                const provider = connector.getProvider();
+                if (!provider) {
+                    this.logger.warn(`Could not get ${network} provider from blockchain connector`);
+                    continue;
                 }
-            }
-            
-            if (this.blockchain.bnbChain) {
-                this.logger.info('Setting up BNB Chain provider and PancakeSwap factory');
-                const bscProvider = this.blockchain.bnbChain.getProvider();
-                if (bscProvider) {
-                    this.providers.set('bsc', bscProvider);
-                    
-                    // Get PancakeSwap factory address from config
-                    const pancakeFactoryAddress = this.directConfig.bnbChain && 
-                                             this.directConfig.bnbChain.pancakeFactoryAddress;
-                                             
-                    if (pancakeFactoryAddress) {
-                        // Initialize PancakeSwap factory
-                        const pancakeFactory = new ethers.Contract(
-                            pancakeFactoryAddress,
-                            IPancakeFactory.abi,
-                            bscProvider
-                        );
-                        this.factories.set('pancakeswap', pancakeFactory);
-                        
-                        this.logger.info(`Initialized PancakeSwap factory at ${pancakeFactoryAddress}`);
-                    } else {
-                        this.logger.warn('Missing PancakeSwap factory address in config, cannot initialize factory');
-                    }
-                    
-                    // Setup network stats
-                    this.scanStats.networkStats.set('bsc', {
-                        pairsScanned: 0,
-                        newTokens: 0,
-                        lastBlock: 0
-                    });
-                } else {
-                    this.logger.warn('Could not get BSC provider from blockchain connector');
+                this.providers.set(network, provider);
+                
+                for (const dex of NETWORKS[network].dexes) {
+                    const factoryKey = `${network}:${dex.name}`;
+                    this.factories.set(factoryKey, new ethers.Contract(dex.factoryAddress, IUniswapV2Factory.abi, provider));
+                    this.factoryChains.set(factoryKey, network);
+                    this.logger.info(`Initialized ${dex.name} factory on ${network} at ${dex.factoryAddress}`);
                 }
+                
+                // Setup network stats
+                this.scanStats.networkStats.set(network, {
+                    pairsScanned: 0,
+                    newTokens: 0,
+                    lastBlock: 0
+                });
             }
             
             // Fallback to parent initialization if needed, but don't let it fail us
@@ -260,6 +223,7 @@ class EnhancedTokenScanner extends TokenScanner {
                 () => this.scan(),
                 scanIntervalMs
             );
+            this.subscribeToBlocks();
 
             this.logger.info('Token scanner started');
             this.emit('scannerStarted');
@@ -290,6 +254,7 @@ class EnhancedTokenScanner extends TokenScanner {
                 clearInterval(this.scanInterval);
                 this.scanInterval = null;
             }
+            this.unsubscribeFromBlocks();
 
             this.logger.info('Token scanner stopped');
             this.emit('scannerStopped');
@@ -332,6 +297,37 @@ class EnhancedTokenScanner extends TokenScanner {
         }
     }
     
+    /**
+     * The V2 factories plus the chain's V3 factory, whose pools are announced by PoolCreated
+     */
+    getPairSources(chain) {
+        const sources = super.getPairSources(chain);
+        const v3 = NETWORKS[chain] && NETWORKS[chain].v3;
+        if (v3) {
+            sources.push({
+                dex: `${chain}:${v3.name}`,
+                address: v3.factoryAddress,
+                topic: POOL_CREATED_TOPIC,
+                parse: (log) => {
+                    const { token0, token1, fee, pool } = V3_FACTORY_INTERFACE.parseLog(log).args;
+                    return { pairAddress: pool, token0, token1, fee, version: 3 };
+                }
+            });
+        }
+        return sources;
+    }
+
+    /**
+     * Check how new V2 pairs' LP tokens are held before their tokens are analyzed; V3 positions
+     * are NFTs, which the lock analysis does not cover
+     */
+    async analyzePairs(pairs, chain) {
+        for (const pair of pairs.filter(candidate => candidate.version === 2)) {
+            await this.recordLiquidityLock(pair.pairAddress, chain);
+        }
+        await super.analyzePairs(pairs, chain);
+    }
+    
     /**
      * Custom scan implementation if parent's scan is not available
      */
@@ -418,6 +414,29 @@ class EnhancedTokenScanner extends TokenScanner {
             healthScore -= 10;
         }
 
+        // Owner privileges found in the contract weigh up to 40 points
+        const contractRisk = await this.analyzeContract(tokenInfo);
+        if (contractRisk) {
+            this.tokenMetadata.set(tokenInfo.address.toLowerCase(), {
+                ...this.tokenMetadata.get(tokenInfo.address.toLowerCase()),
+                contractRisk
+            });
+            if (contractRisk.flags.length > 0) {
+                this.logger.warn(`Token ${tokenInfo.symbol} contract risks: ${contractRisk.flags.map(flag => flag.flag).join(', ')}`);
+            }
+            healthScore -= Math.round(contractRisk.riskScore * 0.4);
+        }
+
+        // Liquidity that is neither burned nor locked can be pulled, up to 20 points
+        const metadata = this.tokenMetadata.get(tokenInfo.address.toLowerCase());
+        if (metadata && metadata.liquidityLock) {
+            const { lockedOrBurnedShare } = metadata.liquidityLock;
+            if (lockedOrBurnedShare < 50) {
+                this.logger.warn(`Token ${tokenInfo.symbol} has only ${lockedOrBurnedShare.toFixed(1)}% of its liquidity locked or burned`);
+            }
+            healthScore -= Math.round((100 - lockedOrBurnedShare) * 0.2);
+        }
+
         // Check for scam indicators in name
         const scamWords = ['test', 'scam', 'fake', 'honeypot', 'airdrop'];
         const nameAndSymbol = (tokenInfo.name + ' ' + tokenInfo.symbol).toLowerCase();
@@ -436,7 +455,91 @@ class EnhancedTokenScanner extends TokenScanner {
         return null;
     }
 }
-        /**
+
+    /**
+     * Check how a found pair's LP tokens are held before its tokens are analyzed, so the
+     * result is in the token metadata by the time their health is scored
+     */
+    async analyzePair(pairAddress, network) {
+        await this.recordLiquidityLock(pairAddress, network);
+        await super.analyzePair(pairAddress, network);
+    }
+
+    /**
+     * Put a pair's liquidity lock in its tokens' metadata
+     */
+    async recordLiquidityLock(pairAddress, network) {
+        const liquidityLock = await this.analyzeLiquidityLock(pairAddress, network);
+        if (liquidityLock) {
+            this.pairLiquidityLocks.set(pairAddress.toLowerCase(), liquidityLock);
+            for (const token of [liquidityLock.token0, liquidityLock.token1]) {
+                this.tokenMetadata.set(token.toLowerCase(), {
+                    ...this.tokenMetadata.get(token.toLowerCase()),
+                    liquidityLock
+                });
+            }
+            this.logger.debug(`Pair ${pairAddress}: ${liquidityLock.burnedShare}% of LP burned, ${liquidityLock.lockedShare}% locked, ${liquidityLock.deployerShare === null ? 'unknown' : `${liquidityLock.deployerShare}%`} held by the deployer`);
+            this.emit('liquidityLock', { network, ...liquidityLock });
+        }
+    }
+
+    /**
+     * Burned, locked and deployer-held shares of a pair's LP tokens, or null if they could not
+     * be read
+     */
+    async analyzeLiquidityLock(pairAddress, network) {
+        try {
+            const chain = this.getChain(network);
+            const provider = this.providers.get(chain);
+            if (!provider) {
+                return null;
+            }
+
+            if (!this.liquidityLockAnalyzers.has(chain)) {
+                const connector = this.blockchain[chain];
+                this.liquidityLockAnalyzers.set(chain, new LiquidityLockAnalyzer({
+                    provider,
+                    lockers: getLiquidityLockers(chain, connector && connector.config && connector.config.liquidityLockers),
+                    logger: this.logger
+                }));
+            }
+            return await this.liquidityLockAnalyzers.get(chain).analyze(pairAddress);
+        } catch (error) {
+            this.logger.error(`Error analyzing liquidity locks of pair ${pairAddress}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the LP burn and lock analysis of a pair
+     */
+    getLiquidityLock(pairAddress) {
+        if (!pairAddress) return undefined;
+        return this.pairLiquidityLocks.get(pairAddress.toLowerCase());
+    }
+
+    /**
+     * Bytecode and owner privilege analysis of a token, or null if it could not be done
+     */
+    async analyzeContract(tokenInfo) {
+        try {
+            const network = this.getChain(tokenInfo.network);
+            const provider = this.providers.get(network);
+            if (!provider) {
+                return null;
+            }
+
+            if (!this.contractAnalyzers.has(network)) {
+                this.contractAnalyzers.set(network, new ContractAnalyzer({ provider, logger: this.logger }));
+            }
+            return await this.contractAnalyzers.get(network).analyze(tokenInfo.address);
+        } catch (error) {
+            this.logger.error(`Error analyzing contract of ${tokenInfo.symbol}`, error);
+            return null;
+        }
+    }
+
+    /**
      * Get token by address
      * @param {string} address Token address
      * @returns {Object|undefined} Token information if found
@@ -181,15 +181,47 @@ class SecurityManager {
                 nodeUrl: '',
                 privateKey: '',
                 gasLimit: 250000,
-                gasPriceMultiplier: 1.1
+                // More RPC endpoints to fail over to; with rpcQuorum above 1, prices must agree
+                // across that many of them
+                rpcUrls: [],
+                rpcQuorum: 1,
+                // Never pay more per gas than this; 0 for no cap
+                maxFeePerGasGwei: 150,
+                // Re-send transactions pending this long with higher fees; 0 to leave them
+                replaceStuckAfterSeconds: 60,
+                slippageTolerance: 1,
+                swapDeadlineSeconds: 120,
+                feeOnTransferSwaps: true,
+                // Extra LP locker contracts, on top of the well-known ones
+                liquidityLockers: [],
+                // Pending liquidity for watched tokens; nodeUrl is a WebSocket or HTTP endpoint
+                // that serves pending transactions, the connector's own node when empty
+                mempool: {
+                    enabled: false,
+                    nodeUrl: '',
+                    watchedTokens: []
+                }
             },
             bnbChain: { 
                 enabled: false,
                 nodeUrl: '',
                 privateKey: '',
                 gasLimit: 250000,
-                gasPriceMultiplier: 1.1
+                rpcQuorum: 1,
+                maxFeePerGasGwei: 10,
+                replaceStuckAfterSeconds: 30,
+                slippageTolerance: 1,
+                swapDeadlineSeconds: 120,
+                feeOnTransferSwaps: true,
+                liquidityLockers: [],
+                mempool: {
+                    enabled: false,
+                    nodeUrl: '',
+                    watchedTokens: []
+                }
             },
+            // Other EVM chains keyed by name; see defineNetwork in blockchain/networks.js
+            chains: {},
             exchanges: { 
                 binanceUS: { 
                     enabled: false,
@@ -208,6 +240,18 @@ class SecurityManager {
                     maxTransactionAmount: 0.1,
                     slippageTolerance: 3,
                     autoSellTimeoutMinutes: 30,
+                    honeypotSimulationAmount: 0.01,
+                    maxRoundTripLoss: 50,
+                    maxBuyTax: 10,
+                    maxSellTax: 10,
+                    maxTransferTax: 10,
+                    maxHolderConcentration: 10,
+                    maxContractRiskScore: 50,
+                    minLiquidityLockedPercentage: 80,
+                    // Buy right behind pending liquidity instead of after it is mined and checked
+                    buyOnPendingLiquidity: false,
+                    // Gas fee tiers (slow, standard, fast, urgent) for buys and sells
+                    gasUrgency: { entry: 'urgent', exit: 'fast' },
                     stopLossPercentage: 10,
                     takeProfitPercentage: 50
                 },
@@ -229,12 +273,91 @@ class SecurityManager {
                             signalPeriod: 9
                         }
                     }
+                },
+                // Further instances can be added under any name with a `type`, e.g.
+                // scalpEth: { type: 'scalping', enabled: true, exchange: 'binanceUS', symbols: ['ETH/USDT'] }
+                // Any instance can be given a capital budget per venue, as a share of the venue's
+                // capital and/or an absolute cap: capital: { percentage: 25, limits: { binanceUS: 500 } }
+                scalping: {
+                    enabled: false,
+                    exchange: 'binanceUS',
+                    symbols: ['BTC/USDT', 'ETH/USDT'],
+                    minPriceChange: 0.5
+                },
+                enhancedTrendTrading: {
+                    enabled: false,
+                    exchange: 'binanceUS',
+                    symbols: ['BTC/USDT', 'ETH/USDT', 'SOL/USDT'],
+                    rsiLow: 30,
+                    rsiHigh: 70
+                },
+                simpleMA: {
+                    enabled: false,
+                    exchange: 'binanceUS',
+                    symbols: ['BTC/USDT', 'ETH/USDT'],
+                    fastPeriod: 9,
+                    slowPeriod: 21
                 }
             },
             trading: {
                 autoStart: false,
                 maxConcurrentTrades: 3,
-                defaultRiskPercentage: 2
+                maxTradesPerHour: 10,
+                walletBuyPercentage: 10,
+                defaultRiskPercentage: 2,
+                stopLossPercentage: 5,
+                takeProfitPercentage: 10,
+                trailingStop: {
+                    enabled: false,
+                    type: 'percentage',
+                    percentage: 10,
+                    atrMultiplier: 3,
+                    atrPeriod: 14,
+                    atrTimeframe: '1h',
+                    activationPercentage: 0
+                },
+                takeProfitLadder: [],
+                // Blocks of pair creations the token scanner goes back over when it starts
+                scanLookbackBlocks: 0,
+                marketAnalysis: {
+                    // Blocks of Swap events counted as recent volume
+                    volumeBlockWindow: { ethereum: 300, bnbChain: 1200 }
+                },
+                positionSizing: {
+                    model: 'fixedPercentage',
+                    percentage: 2,
+                    riskPercentage: 1,
+                    maxPercentage: 10,
+                    atrMultiplier: 2,
+                    atrPeriod: 14,
+                    atrTimeframe: '1h',
+                    kellyFraction: 0.25,
+                    kellyLookback: 50,
+                    kellyMinTrades: 20,
+                    fallbackModel: 'fixedPercentage',
+                    gasReserve: {
+                        ethereum: 0.02,
+                        bnbChain: 0.005
+                    }
+                },
+                risk: {
+                    maxConcurrentTradesPerStrategy: 2,
+                    maxTradesPerDay: 50,
+                    maxTokenExposurePercentage: 20,
+                    maxChainExposurePercentage: 50,
+                    maxDailyLoss: 0
+                },
+                paperTrading: {
+                    enabled: false,
+                    feePercentage: 0.1,
+                    slippagePercentage: 0.5,
+                    startingBalances: {
+                        binanceUS: { USDT: 10000 },
+                        cryptoCom: { USDT: 10000 },
+                        ethereum: { ETH: 5 },
+                        bnbChain: { BNB: 20 }
+                    }
+                }
             }
         };
     }
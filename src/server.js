@@ -13,10 +13,14 @@ const { Logger } = require('./utils/logger');
 const { ConfigManager } = require('./config/configManager');
 const { SecurityManager } = require('./security/securityManager');
 const { TradingEngine } = require('./trading/engine');
+const { Backtester } = require('./trading/backtester');
 
 // Initialize logger
 const logger = new Logger('Server');
 
+// Historical candle files available to /api/backtest
+const BACKTEST_DATA_DIR = path.join(__dirname, '..', 'data', 'backtest');
+
 // Express App Setup
 const app = express();
 const server = http.createServer(app);
@@ -144,7 +148,8 @@ function setupRoutes() {
         res.json({ 
             authenticated: !!req.session.authenticated,
             initialized: !!tradingEngine,
-            running: tradingEngine ? tradingEngine.isRunning() : false
+            running: tradingEngine ? tradingEngine.isRunning() : false,
+            paperTrading: tradingEngine ? tradingEngine.isPaperTrading() : false
         });
     });
     
@@ -245,14 +250,24 @@ function setupRoutes() {
             return res.status(500).json({ success: false, message: 'Trading engine not initialized' });
         }
         
-        const activeTrades = tradingEngine.getActiveTrades();
-        const tradeHistory = tradingEngine.getTradeHistory();
-        
-        res.json({ 
-            success: true, 
-            activeTrades, 
-            tradeHistory 
-        });
+        try {
+            // Supported filters: page, limit, from, to, strategy, exchange, symbol, outcome, paper
+            const { page, limit, from, to, strategy, exchange, symbol, outcome, paper } = req.query;
+            const activeTrades = tradingEngine.getActiveTrades();
+            const { trades: tradeHistory, pagination } = tradingEngine.queryTradeHistory({
+                page, limit, from, to, strategy, exchange, symbol, outcome, paper
+            });
+            
+            res.json({ 
+                success: true, 
+                activeTrades, 
+                tradeHistory,
+                pagination
+            });
+        } catch (error) {
+            logger.error('Failed to query trade history', error);
+            res.status(500).json({ success: false, message: 'Failed to query trade history' });
+        }
     });
     
     app.get('/api/balances', (req, res) => {
@@ -281,6 +296,117 @@ function setupRoutes() {
         });
     });
 
+    app.get('/api/transactions', (req, res) => {
+        if (!tradingEngine) {
+            return res.status(500).json({ success: false, message: 'Trading engine not initialized' });
+        }
+        
+        res.json({ 
+            success: true, 
+            transactions: tradingEngine.getTransactions() 
+        });
+    });
+    
+    app.post('/api/transactions/:network/:hash/speed-up', async (req, res) => {
+        if (!tradingEngine) {
+            return res.status(500).json({ success: false, message: 'Trading engine not initialized' });
+        }
+        
+        try {
+            const transaction = await tradingEngine.speedUpTransaction(req.params.network, req.params.hash);
+            res.json({ success: true, transaction });
+        } catch (error) {
+            logger.error('Error speeding up transaction', error);
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+    
+    app.post('/api/transactions/:network/:hash/cancel', async (req, res) => {
+        if (!tradingEngine) {
+            return res.status(500).json({ success: false, message: 'Trading engine not initialized' });
+        }
+        
+        try {
+            const transaction = await tradingEngine.cancelTransaction(req.params.network, req.params.hash);
+            res.json({ success: true, transaction });
+        } catch (error) {
+            logger.error('Error cancelling transaction', error);
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+
+    app.get('/api/rpc/status', (req, res) => {
+        if (!tradingEngine) {
+            return res.status(500).json({ success: false, message: 'Trading engine not initialized' });
+        }
+        
+        res.json({ 
+            success: true, 
+            networks: tradingEngine.getRpcStatus() 
+        });
+    });
+
+    app.get('/api/risk', (req, res) => {
+        if (!tradingEngine) {
+            return res.status(500).json({ success: false, message: 'Trading engine not initialized' });
+        }
+        
+        res.json({ 
+            success: true, 
+            risk: tradingEngine.getRiskStatus() 
+        });
+    });
+    
+    app.post('/api/risk/resume', (req, res) => {
+        if (!tradingEngine) {
+            return res.status(500).json({ success: false, message: 'Trading engine not initialized' });
+        }
+        
+        tradingEngine.resumeTrading();
+        
+        res.json({ 
+            success: true, 
+            risk: tradingEngine.getRiskStatus() 
+        });
+    });
+
+    // API Routes - Backtesting
+    app.post('/api/backtest', async (req, res) => {
+        const { strategy, strategyConfig, dataFile, candles, symbol, options } = req.body || {};
+
+        if (!strategy || (!dataFile && !candles)) {
+            return res.status(400).json({ success: false, message: 'strategy and either dataFile or candles are required' });
+        }
+
+        try {
+            let candleSet = candles;
+            if (dataFile) {
+                // Only files inside the backtest data directory may be replayed
+                const filePath = path.resolve(BACKTEST_DATA_DIR, dataFile);
+                if (!filePath.startsWith(BACKTEST_DATA_DIR + path.sep)) {
+                    return res.status(400).json({ success: false, message: 'Invalid data file' });
+                }
+                candleSet = Backtester.loadCandles(filePath, symbol);
+            } else if (Array.isArray(candles)) {
+                candleSet = { [symbol || 'BTC/USDT']: candles };
+            }
+
+            const backtester = new Backtester();
+            const report = await backtester.run({
+                ...(options || {}),
+                strategy,
+                strategyConfig: strategyConfig || {},
+                candles: candleSet,
+                verbose: false
+            });
+
+            res.json({ success: true, report });
+        } catch (error) {
+            logger.error('Backtest failed', error);
+            res.status(400).json({ success: false, message: error.message });
+        }
+    });
+
     // Serve static files from 'public' directory - AFTER API routes
     app.use(express.static(path.join(__dirname, '..', 'public')));
     
@@ -323,6 +449,12 @@ function getMaskedConfig(config) {
         maskedConfig.bnbChain.privateKey = maskedConfig.bnbChain.privateKey.replace(/./g, '*');
     }
     
+    Object.values(maskedConfig.chains || {}).forEach(chain => {
+        if (chain && chain.privateKey) {
+            chain.privateKey = chain.privateKey.replace(/./g, '*');
+        }
+    });
+    
     if (maskedConfig.exchanges) {
         if (maskedConfig.exchanges.binanceUS && maskedConfig.exchanges.binanceUS.apiSecret) {
             maskedConfig.exchanges.binanceUS.apiSecret = maskedConfig.exchanges.binanceUS.apiSecret.replace(/./g, '*');
@@ -1,5 +1,4 @@
 import { logger } from '../utils/logger.js';
-import { fetchGasFees } from './realtimeGasFees.js';
 import { getNewsSentiment } from './newsSentiment.js';
 import { getBinancePrice, getCryptoComPrice, getHistoricalData } from '../exchangeServices.js'; // Import exchange services
 import { calculateRSI, calculateMACD, getFibonacciLevels } from '../technicalIndicators.js'; // Import technical indicators
@@ -49,9 +48,6 @@ async function executeTrade(exchange, symbol, side, amount, price) {
 
 export async function executeTrades() {
     try {
-        const gasFees = await fetchGasFees();
-        logger.info(`Gas Fees - Fast: ${gasFees.fast} Gwei, Average: ${gasFees.average} Gwei, SafeLow: ${gasFees.safeLow} Gwei`);
-
         const sentiment = await getNewsSentiment();
         logger.info(`Current news sentiment score: ${sentiment}`);
 
@@ -65,6 +65,9 @@ class EnhancedTrendTradingStrategy {
 
     this.lastUpdate = 0;
     this.updateInterval = 30000; // 30 seconds
+    
+    // Time source, replaced with a simulated clock when backtesting
+    this.clock = Date;
   }
   
   /**
@@ -75,7 +78,7 @@ class EnhancedTrendTradingStrategy {
     
     try {
       // Only update data periodically to prevent API rate limits
-      const now = Date.now();
+      const now = this.clock.now();
       if (now - this.lastUpdate < this.updateInterval) {
         this.logger.debug('Using cached data for trading opportunities');
         // We can still use the latest indicators without refetching
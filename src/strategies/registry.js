@@ -0,0 +1,343 @@
+/**
+ * Strategy Registry
+ *
+ * Builds strategies from the `strategies` config map and wraps each one in a common
+ * lifecycle: initialize, start, stop, onTick, onNewToken, onLiquidityPending and
+ * findOpportunities.
+ *
+ * Each config entry is an instance. Its `type` selects the strategy class and defaults
+ * to the entry's name, so several instances of one strategy can run side by side:
+ *
+ *   strategies: {
+ *     trendTrading: { enabled: true },
+ *     scalpBtc: { type: 'scalping', enabled: true, exchange: 'binanceUS', symbols: ['BTC/USDT'] }
+ *   }
+ */
+
+const { Logger } = require('../utils/logger');
+const { TokenSniperStrategy } = require('./tokenSniper');
+const { ScalpingStrategy } = require('./scalping');
+const { EnhancedTrendTradingStrategy } = require('./enhancedTrendTrading');
+const TrendTradingStrategy = require('./trendTrading');
+const SimpleMAStrategy = require('./simpleMAStrategy');
+
+/**
+ * Base adapter; strategy hooks that the wrapped class does not implement are no-ops
+ */
+class StrategyAdapter {
+  constructor(name, type, strategy, config) {
+    this.name = name;
+    this.type = type;
+    this.strategy = strategy;
+    this.config = config;
+    this.running = false;
+  }
+
+  async initialize() {
+    if (typeof this.strategy.initialize === 'function') {
+      // Some strategies report failure by returning false instead of throwing
+      const result = await this.strategy.initialize();
+      if (result === false) {
+        throw new Error(`${this.type} strategy failed to initialize`);
+      }
+    }
+  }
+
+  async start() {
+    this.running = true;
+  }
+
+  async stop() {
+    this.running = false;
+  }
+
+  /**
+   * Called with { timestamp } on every engine loop, before findOpportunities
+   */
+  async onTick(data) {
+    if (typeof this.strategy.onTick === 'function') {
+      return await this.strategy.onTick(data);
+    }
+  }
+
+  async onNewToken(token) {
+    if (typeof this.strategy.onNewToken === 'function') {
+      return await this.strategy.onNewToken(token);
+    }
+  }
+
+  /**
+   * Opportunity to act on straight away for a pending liquidity transaction, or null
+   */
+  async onLiquidityPending(event) {
+    if (typeof this.strategy.onLiquidityPending === 'function') {
+      return await this.strategy.onLiquidityPending(event);
+    }
+    return null;
+  }
+
+  /**
+   * Opportunities are tagged with this instance's name so trades can be attributed to it
+   */
+  async findOpportunities() {
+    const found = await this.strategy.findOpportunities() || [];
+    return found.map(opportunity => ({
+      ...opportunity,
+      network: opportunity.network || this.config.exchange || 'binanceUS',
+      strategy: this.name
+    }));
+  }
+}
+
+/**
+ * The trend trading class runs its own timer and places orders directly, so the adapter
+ * never starts it; it only feeds prices and turns its signals into opportunities
+ */
+class TrendTradingAdapter extends StrategyAdapter {
+  constructor(name, type, strategy, config, venues) {
+    super(name, type, strategy, config);
+    this.venues = venues;
+  }
+
+  findVenueForPair(pair) {
+    for (const [venue, exchange] of this.venues) {
+      if (exchange.supportsPair(pair)) return venue;
+    }
+    return null;
+  }
+
+  async initialize() {
+    const { strategy, config } = this;
+    const rsi = (config.indicators && config.indicators.rsi) || {};
+    if (rsi.overbought) strategy.indicators.rsi.overbought = rsi.overbought;
+    if (rsi.oversold) strategy.indicators.rsi.oversold = rsi.oversold;
+
+    for (const pair of strategy.tradingPairs) {
+      strategy.watchlist.set(pair, {
+        lastPrice: 0,
+        rsi: [],
+        macd: { fast: [], slow: [], signal: [] }
+      });
+    }
+  }
+
+  async findOpportunities() {
+    const { strategy } = this;
+    const opportunities = [];
+
+    for (const pair of strategy.tradingPairs) {
+      const venue = this.findVenueForPair(pair);
+      if (!venue) continue;
+
+      await strategy.updateIndicators(pair);
+      const data = strategy.watchlist.get(pair);
+      const rsi = strategy.calculateRSI(data.rsi);
+      const macd = strategy.calculateMACD(data.macd);
+
+      if (rsi < strategy.indicators.rsi.oversold && macd.histogram > 0) {
+        opportunities.push({ network: venue, symbol: pair, action: 'buy', strategy: this.name, reason: `RSI ${rsi.toFixed(2)} with bullish MACD` });
+      } else if (rsi > strategy.indicators.rsi.overbought && macd.histogram < 0) {
+        opportunities.push({ network: venue, symbol: pair, action: 'sell', strategy: this.name, reason: `RSI ${rsi.toFixed(2)} with bearish MACD` });
+      }
+    }
+
+    return opportunities;
+  }
+}
+
+/**
+ * The simple MA class analyzes one symbol per onTick, so the adapter ticks it for each of its
+ * symbols and turns the signals of the last tick into opportunities
+ */
+class SimpleMAAdapter extends StrategyAdapter {
+  constructor(name, type, strategy, config) {
+    super(name, type, strategy, config);
+    this.signals = {};
+  }
+
+  async start() {
+    await this.strategy.start();
+    this.running = true;
+  }
+
+  async stop() {
+    await this.strategy.stop();
+    this.running = false;
+  }
+
+  async onTick(tick) {
+    for (const symbol of this.strategy.symbols) {
+      this.signals[symbol] = await this.strategy.onTick({ ...tick, symbol });
+    }
+  }
+
+  async findOpportunities() {
+    const opportunities = [];
+    for (const [symbol, { signal, confidence }] of Object.entries(this.signals)) {
+      if (signal !== 'BUY' && signal !== 'SELL') continue;
+
+      opportunities.push({
+        symbol,
+        action: signal.toLowerCase(),
+        confidence,
+        reason: `MA Crossover: Fast MA ${signal === 'BUY' ? '>' : '<'} Slow MA`,
+        network: this.config.exchange,
+        strategy: this.name
+      });
+    }
+    // Each tick's signals are acted on once
+    this.signals = {};
+    return opportunities;
+  }
+}
+
+/**
+ * Exchanges a strategy instance may trade on: the configured `exchange`, or all of them
+ */
+function selectExchanges(exchanges, config) {
+  if (!config.exchange) {
+    return exchanges;
+  }
+  return exchanges[config.exchange] ? { [config.exchange]: exchanges[config.exchange] } : {};
+}
+
+/**
+ * Watchlist entries for the configured symbols, traded on the instance's exchange
+ */
+function buildWatchlist(config, exchanges) {
+  const exchange = config.exchange || Object.keys(exchanges)[0] || 'binanceUS';
+  return config.symbols.map(symbol => ({ symbol, exchange, name: symbol }));
+}
+
+const STRATEGY_TYPES = {
+  tokenSniper: {
+    create({ name, blockchain, exchanges, config, logger }) {
+      // `networks` limits an instance to some chains, e.g. ['bnbChain']
+      const networks = config.networks || Object.keys(blockchain);
+      const selected = {};
+      for (const network of networks) {
+        if (blockchain[network]) selected[network] = blockchain[network];
+      }
+      const strategy = new TokenSniperStrategy(selected, exchanges, config, logger);
+      // The sniper fills in defaults the engine reads, such as its urgent gas for entries
+      return new StrategyAdapter(name, 'tokenSniper', strategy, strategy.config);
+    }
+  },
+
+  trendTrading: {
+    create({ name, exchanges, config, logger }) {
+      // The class expects a Map of exchanges with supportsPair() and getPrice()
+      const venues = new Map();
+      for (const [venue, exchange] of Object.entries(selectExchanges(exchanges, config))) {
+        venues.set(venue, {
+          supportsPair: pair => exchange.isValidSymbol(pair),
+          getPrice: pair => exchange.getCurrentPrice(pair)
+        });
+      }
+
+      const strategy = new TrendTradingStrategy(null, venues, config, logger);
+      strategy.tradingPairs = config.symbols || config.tradingPairs || strategy.tradingPairs;
+      return new TrendTradingAdapter(name, 'trendTrading', strategy, config, venues);
+    }
+  },
+
+  enhancedTrendTrading: {
+    create({ name, blockchain, exchanges, config, logger }) {
+      const strategy = new EnhancedTrendTradingStrategy(blockchain, selectExchanges(exchanges, config), config, logger);
+      if (config.symbols) {
+        strategy.watchlist = buildWatchlist(config, strategy.exchanges);
+        strategy.priceHistory = {};
+        strategy.indicators = {};
+        for (const { symbol } of strategy.watchlist) {
+          strategy.priceHistory[symbol] = [];
+          strategy.indicators[symbol] = { rsi: [], macd: { line: [], signal: [], histogram: [] } };
+        }
+      }
+      return new StrategyAdapter(name, 'enhancedTrendTrading', strategy, config);
+    }
+  },
+
+  scalping: {
+    create({ name, blockchain, exchanges, config, logger }) {
+      const strategy = new ScalpingStrategy(blockchain, selectExchanges(exchanges, config), config, logger);
+      if (config.symbols) {
+        strategy.watchlist = buildWatchlist(config, strategy.exchanges);
+        strategy.priceHistory = {};
+        for (const { symbol } of strategy.watchlist) {
+          strategy.priceHistory[symbol] = [];
+        }
+      }
+      return new StrategyAdapter(name, 'scalping', strategy, config);
+    }
+  },
+
+  simpleMA: {
+    create({ name, exchanges, config }) {
+      const venue = config.exchange || Object.keys(exchanges)[0];
+      const exchange = exchanges[venue];
+      if (!exchange) {
+        throw new Error(`simpleMA needs an exchange connector, none available for ${venue || 'any exchange'}`);
+      }
+
+      // Without getCandles() the class falls back to random mock candles, so always provide it
+      const connector = {
+        getCandles: (symbol, timeframe, limit) => exchange.fetchOHLCV(symbol, timeframe, undefined, limit)
+      };
+      const strategy = new SimpleMAStrategy(config, connector);
+      return new SimpleMAAdapter(name, 'simpleMA', strategy, { ...config, exchange: venue });
+    }
+  }
+};
+
+class StrategyRegistry {
+  constructor(logger) {
+    this.logger = logger || new Logger('StrategyRegistry');
+  }
+
+  static getTypes() {
+    return Object.keys(STRATEGY_TYPES);
+  }
+
+  /**
+   * Create (but do not initialize) one strategy instance from its config entry
+   */
+  create(name, config, { blockchain = {}, exchanges = {} } = {}) {
+    const type = config.type || name;
+    const definition = STRATEGY_TYPES[type];
+    if (!definition) {
+      throw new Error(`Unknown strategy type "${type}" for ${name}. Available: ${StrategyRegistry.getTypes().join(', ')}`);
+    }
+
+    return definition.create({
+      name,
+      blockchain,
+      exchanges,
+      config,
+      logger: new Logger(`Strategy:${name}`)
+    });
+  }
+
+  /**
+   * Create and initialize every enabled strategy; a strategy that fails is logged and left out
+   */
+  async createAll(strategiesConfig = {}, context = {}) {
+    const strategies = {};
+
+    for (const [name, config] of Object.entries(strategiesConfig)) {
+      if (!config || !config.enabled) continue;
+
+      try {
+        const strategy = this.create(name, config, context);
+        await strategy.initialize();
+        strategies[name] = strategy;
+        this.logger.info(`Strategy ${name} (${strategy.type}) initialized`);
+      } catch (error) {
+        this.logger.error(`Failed to initialize strategy ${name}: ${error.message}`);
+      }
+    }
+
+    return strategies;
+  }
+}
+
+module.exports = { StrategyRegistry, StrategyAdapter, STRATEGY_TYPES };
@@ -29,6 +29,9 @@ class ScalpingStrategy {
     this.watchlist.forEach(pair => {
       this.priceHistory[pair.symbol] = [];
     });
+    
+    // Time source, replaced with a simulated clock when backtesting
+    this.clock = Date;
   }
   
   /**
@@ -101,7 +104,7 @@ class ScalpingStrategy {
           
           // Add to price history with timestamp
           this.priceHistory[symbol].push({
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             price: ticker.last,
             volume: ticker.quoteVolume
           });
@@ -138,7 +141,7 @@ class ScalpingStrategy {
       
       // Add to price history
       this.priceHistory[symbol].push({
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
         price: newPrice,
         volume: Math.random() * 1000000
       });
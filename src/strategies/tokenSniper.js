@@ -6,24 +6,37 @@
  */
 
 const { ethers } = require('ethers');
-const { ERC20_ABI, UNISWAP_FACTORY_ABI, PANCAKESWAP_FACTORY_ABI } = require('../abis');
+const { ERC20_ABI } = require('../abis');
+const MarketAnalyzer = require('../trading/marketAnalyzer');
+const { ContractAnalyzer } = require('../blockchain/contractAnalyzer');
+const { LiquidityLockAnalyzer } = require('../blockchain/liquidityLockAnalyzer');
+const { NETWORKS, getLiquidityLockers, getQuoteAssets } = require('../blockchain/networks');
+
+// How long to wait for a pending liquidity transaction to be mined before giving up on it
+const PENDING_LIQUIDITY_TIMEOUT_MS = 10 * 60 * 1000;
+// Launches are a race, so buys pay the top gas fee tier unless configured otherwise
+const DEFAULT_GAS_URGENCY = { entry: 'urgent', exit: 'fast' };
 
 class TokenSniperStrategy {
   constructor(blockchain, exchanges, config, logger) {
     this.blockchain = blockchain;
     this.exchanges = exchanges;
-    this.config = config || {};
+    this.config = { ...config, gasUrgency: { ...DEFAULT_GAS_URGENCY, ...config.gasUrgency } };
     this.logger = logger;
     this.seenTokens = new Set();
-    this.processingTokens = new Map();
-    this.lastScanTime = 0;
-    
-    // Initialize factory event listeners
+    this.safetyReports = new Map();
+    this.marketAnalyzer = null;
+    this.contractAnalyzers = {};
+    this.liquidityLockAnalyzers = {};
+    this.pendingLaunches = new Map();
+    // Buys found between opportunity passes, handed out by findOpportunities
+    this.queuedOpportunities = [];
     this.initialized = false;
   }
   
   /**
-   * Initialize strategy event listeners
+   * Set up the per-chain analyzers. New pairs come from the engine's token scanner through
+   * onNewToken, so the strategy keeps no factory listeners of its own.
    */
   async initialize() {
     if (this.initialized) return true;
@@ -31,15 +44,19 @@ class TokenSniperStrategy {
     try {
       this.logger.info('Initializing token sniping strategy');
       
-      // Setup event listeners for Ethereum if available
-      if (this.blockchain.ethereum) {
-        await this.setupFactoryListener('ethereum');
-      }
-      
-      // Setup event listeners for BNB Chain if available
-      if (this.blockchain.bnbChain) {
-        await this.setupFactoryListener('bnbChain');
+      // Value pools through the connectors' own providers
+      const providers = {};
+      for (const [network, connector] of Object.entries(this.blockchain)) {
+        providers[network] = connector.getProvider();
+        this.contractAnalyzers[network] = new ContractAnalyzer({ provider: providers[network], logger: this.logger });
+        this.liquidityLockAnalyzers[network] = new LiquidityLockAnalyzer({
+          provider: providers[network],
+          lockers: getLiquidityLockers(network, connector.config && connector.config.liquidityLockers),
+          logger: this.logger
+        });
       }
+      this.marketAnalyzer = new MarketAnalyzer(null, { providers });
+      await this.marketAnalyzer.initialize();
       
       this.initialized = true;
       this.logger.info('Token sniping strategy initialized successfully');
@@ -52,235 +69,354 @@ class TokenSniperStrategy {
   }
   
   /**
-   * Setup factory event listeners to detect new pairs
+   * A token of a new pair or pool the token scanner found, with its metadata already read.
+   * A pair created by addLiquidityETH has its reserves by the time it is found, so a token that
+   * already has liquidity and passes the safety checks is queued for a buy. Liquidity or trading
+   * can also come later, so the token is watched for its launch as well.
    */
-  async setupFactoryListener(network) {
+  async onNewToken(token) {
+    const { address, network } = token;
+    if (!this.blockchain[network] || this.seenTokens.has(address)) {
+      return;
+    }
+    
+    this.seenTokens.add(address);
+    this.logger.info(`New token detected: ${token.symbol} (${token.name}) on ${network}`);
+    this.watchForLaunch(address, network);
+    
+    const key = `${network}:${address.toLowerCase()}`;
+    if (this.isQuoteAsset(address, network) || this.pendingLaunches.has(key)) {
+      return;
+    }
+    
     try {
-      const factoryAddress = network === 'ethereum' 
-        ? '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f' // Uniswap V2 Factory
-        : '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73'; // PancakeSwap Factory
-      
-      const factoryAbi = network === 'ethereum' 
-        ? UNISWAP_FACTORY_ABI 
-        : PANCAKESWAP_FACTORY_ABI;
+      if (!this.initialized && !await this.initialize()) {
+        return;
+      }
       
-      const provider = this.blockchain[network].provider;
+      const pool = await this.marketAnalyzer.getPoolInfo({ address, network, symbol: token.symbol });
+      if (!pool || pool.reserveQuote <= 0) {
+        return;
+      }
       
-      // Create factory contract instance
-      const factory = new ethers.Contract(factoryAddress, factoryAbi, provider);
+      if (!await this.isSafeToken(address, network)) {
+        this.logger.warn(`Token ${token.symbol} failed safety checks`);
+        return;
+      }
       
-      // Listen for PairCreated events
-      factory.on('PairCreated', async (token0, token1, pairAddress, event) => {
-        // Process the new pair
-        this.logger.info(`New pair detected on ${network}: ${token0} - ${token1}`);
-        
-        // Check both tokens
-        await this.processNewToken(token0, network);
-        await this.processNewToken(token1, network);
+      // Acted on once, whether here or through its pending liquidity
+      this.pendingLaunches.set(key, token);
+      this.logger.info(`Queueing a buy of ${token.symbol}: launched with liquidity in ${pool.pairAddress}`);
+      this.queuedOpportunities.push({
+        network,
+        tokenAddress: address,
+        symbol: token.symbol,
+        action: 'buy',
+        reason: `new pair ${pool.pairAddress} launched with liquidity`,
+        priority: 20,
+        taxes: this.getSafetyReport(address).taxes
       });
-      
-      this.logger.info(`Factory listener set up for ${network}`);
-      
-      return true;
     } catch (error) {
-      this.logger.error(`Error setting up factory listener for ${network}`, error);
-      return false;
+      this.logger.error(`Error checking new token ${address} on ${network}`, error);
     }
   }
   
   /**
-   * Process a potentially new token
+   * Have the connector's mempool watcher report pending liquidity for a token. Quote assets are
+   * skipped, since they are on the other side of almost every pool.
    */
-  async processNewToken(tokenAddress, network) {
-    // Skip if we've already seen this token
-    if (this.seenTokens.has(tokenAddress) || this.processingTokens.has(tokenAddress)) {
+  watchForLaunch(tokenAddress, network) {
+    const connector = this.blockchain[network];
+    if (!connector || typeof connector.watchToken !== 'function') {
       return;
     }
     
-    // Mark as processing to prevent duplicate processing
-    this.processingTokens.set(tokenAddress, Date.now());
-    
-    try {
-      // Get token contract
-      const provider = this.blockchain[network].provider;
-      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-      
-      // Get basic token info
-      let tokenSymbol, tokenName, tokenDecimals;
-      
-      try {
-        [tokenSymbol, tokenName, tokenDecimals] = await Promise.all([
-          tokenContract.symbol(),
-          tokenContract.name(),
-          tokenContract.decimals()
-        ]);
-      } catch (error) {
-        this.logger.warn(`Failed to get token info for ${tokenAddress}`, error.message);
-        // Skip tokens that don't implement ERC20 properly
-        this.processingTokens.delete(tokenAddress);
-        return;
-      }
-      
-      // Add to seen tokens
-      this.seenTokens.add(tokenAddress);
-      
-      this.logger.info(`New token detected: ${tokenSymbol} (${tokenName}) on ${network}`);
-      
-      // Mark token as seen and stop processing
-      this.processingTokens.delete(tokenAddress);
-    } catch (error) {
-      this.logger.error(`Error processing token ${tokenAddress}`, error);
-      this.processingTokens.delete(tokenAddress);
+    if (!this.isQuoteAsset(tokenAddress, network)) {
+      connector.watchToken(tokenAddress);
     }
   }
   
+  isQuoteAsset(tokenAddress, network) {
+    return getQuoteAssets(network)
+      .some(asset => asset.address.toLowerCase() === tokenAddress.toLowerCase());
+  }
+  
   /**
-   * Find trading opportunities
+   * React to a pending liquidity or enable-trading transaction for a watched token.
+   *
+   * With buyOnPendingLiquidity the buy is prepared to go out right behind the transaction; only
+   * the contract's bytecode can be checked then, since nothing can be simulated before the pool
+   * has liquidity. Otherwise the buy waits for the transaction to be mined and the full safety
+   * checks. Resolves to a buy opportunity or null.
    */
-  async findOpportunities() {
+  async onLiquidityPending(event) {
+    const { network, tokenAddress } = event;
+    const connector = this.blockchain[network];
+    if (!connector) {
+      return null;
+    }
+    
+    // Each launch is acted on once, whichever of its transactions is seen first
+    const key = `${network}:${tokenAddress.toLowerCase()}`;
+    if (this.pendingLaunches.has(key)) {
+      return null;
+    }
+    this.pendingLaunches.set(key, event);
+    
     try {
-      // Make sure we're initialized
-      if (!this.initialized) {
-        await this.initialize();
+      // Buys go through the wrapped native pool
+      if (event.type === 'addLiquidity' &&
+          event.quoteAddress.toLowerCase() !== NETWORKS[network].wrappedNative.address.toLowerCase()) {
+        this.logger.info(`Ignoring pending liquidity for ${tokenAddress}: not paired with ${NETWORKS[network].wrappedNative.symbol}`);
+        return null;
       }
       
-      const opportunities = [];
-      
-      // Check if it's time for a periodic scan
-      const now = Date.now();
-      if (now - this.lastScanTime < 10000) { // Limit to once every 10 seconds
-        return opportunities;
-      }
-      
-      this.lastScanTime = now;
-      
-      // For Ethereum
-      if (this.blockchain.ethereum) {
-        const ethOpportunities = await this.scanNetwork('ethereum');
-        opportunities.push(...ethOpportunities);
+      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, connector.getProvider());
+      const [symbol, decimals] = await Promise.all([
+        tokenContract.symbol(),
+        tokenContract.decimals()
+      ]);
+      
+      if (!this.config.buyOnPendingLiquidity) {
+        this.logger.info(`Waiting for ${event.method} of ${symbol} to be mined: ${event.txHash}`);
+        const receipt = await connector.getProvider().waitForTransaction(event.txHash, 1, PENDING_LIQUIDITY_TIMEOUT_MS);
+        if (receipt.status !== 1) {
+          this.logger.info(`${event.method} of ${symbol} reverted: ${event.txHash}`);
+          return null;
+        }
+        
+        if (!await this.isSafeToken(tokenAddress, network)) {
+          this.logger.warn(`Token ${symbol} failed safety checks`);
+          return null;
+        }
+        
+        return {
+          network,
+          tokenAddress,
+          symbol,
+          action: 'buy',
+          reason: `${event.method} mined in ${event.txHash}`,
+          priority: 20,
+          taxes: this.getSafetyReport(tokenAddress).taxes
+        };
       }
       
-      // For BNB Chain
-      if (this.blockchain.bnbChain) {
-        const bnbOpportunities = await this.scanNetwork('bnbChain');
-        opportunities.push(...bnbOpportunities);
+      const maxContractRiskScore = this.config.maxContractRiskScore || 50;
+      const contract = await this.contractAnalyzers[network].analyze(tokenAddress);
+      if (!contract.isContract || contract.riskScore > maxContractRiskScore) {
+        this.logger.info(`Not buying ${symbol} ahead of its ${event.method}: contract risk score ${contract.riskScore}`);
+        return null;
       }
       
-      return opportunities;
+      this.logger.info(`Buying ${symbol} behind pending ${event.method}: ${event.txHash}`);
+      return {
+        network,
+        tokenAddress,
+        symbol,
+        action: 'buy',
+        reason: `${event.method} pending in ${event.txHash}`,
+        priority: 20,
+        pendingLiquidity: this.preparePendingBuy(event, decimals),
+        // Taxes cannot be measured before the pool has liquidity, so allow for the most we accept
+        taxes: { buy: this.config.maxBuyTax || 10, sell: this.config.maxSellTax || 10 }
+      };
     } catch (error) {
-      this.logger.error('Error finding token sniping opportunities', error);
-      return [];
+      this.logger.error(`Error handling pending ${event.method} for ${tokenAddress}`, error);
+      return null;
     }
   }
   
   /**
-   * Scan a network for new tokens
+   * Swap parameters for a buy behind a pending transaction: its gas pricing and, for a new
+   * pool, the reserves and price the liquidity will set
    */
-  async scanNetwork(network) {
-    const opportunities = [];
+  preparePendingBuy(event, decimals) {
+    const pendingLiquidity = {
+      txHash: event.txHash,
+      gasPrice: event.gasPrice,
+      maxFeePerGas: event.maxFeePerGas,
+      maxPriorityFeePerGas: event.maxPriorityFeePerGas,
+      reserveNative: null,
+      reserveToken: null,
+      price: null
+    };
+    
+    if (event.type === 'addLiquidity') {
+      pendingLiquidity.reserveNative = event.quoteAmount;
+      pendingLiquidity.reserveToken = event.tokenAmount;
+      pendingLiquidity.price = parseFloat(ethers.utils.formatEther(event.quoteAmount)) /
+        parseFloat(ethers.utils.formatUnits(event.tokenAmount, decimals));
+    }
     
+    return pendingLiquidity;
+  }
+  
+  /**
+   * Find trading opportunities: the buys queued for new tokens that launched with liquidity
+   * (see onNewToken). Buys behind pending liquidity are handed to the engine straight away
+   * (see onLiquidityPending).
+   */
+  async findOpportunities() {
     try {
-      this.logger.debug(`Scanning ${network} for new tokens`);
-      
-      // In a real implementation, this would:
-      // 1. Query mempool for pending liquidity additions
-      // 2. Monitor DEX factory events for new pairs
-      // 3. Check social media/APIs for token announcements
-      
-      // For this demo, we'll just return a small chance of finding a new token
-      if (Math.random() > 0.95) {
-        const mockTokenAddress = `0x${Math.random().toString(16).substr(2, 40)}`;
-        const mockTokenSymbol = `NEW${Math.floor(Math.random() * 1000)}`;
-        
-        // Skip if we've already seen this token
-        if (this.seenTokens.has(mockTokenAddress)) {
-          return opportunities;
-        }
-        
-        // Add to seen tokens
-        this.seenTokens.add(mockTokenAddress);
-        
-        this.logger.info(`New token found on ${network}: ${mockTokenSymbol} (${mockTokenAddress})`);
-        
-        // Check safety
-        if (!await this.isSafeToken(mockTokenAddress, network)) {
-          this.logger.warn(`Token ${mockTokenSymbol} failed safety checks`);
-          return opportunities;
-        }
-        
-        // Create opportunity
-        opportunities.push({
-          network,
-          tokenAddress: mockTokenAddress,
-          symbol: mockTokenSymbol,
-          action: 'buy',
-          reason: 'New token detected',
-          priority: 10 // High priority
-        });
+      if (!this.initialized) {
+        await this.initialize();
       }
-      
-      return opportunities;
+      return this.queuedOpportunities.splice(0);
     } catch (error) {
-      this.logger.error(`Error scanning ${network} for new tokens`, error);
+      this.logger.error('Error finding token sniping opportunities', error);
       return [];
     }
   }
   
   /**
-   * Check if a token is safe to trade
+   * Check if a token is safe to trade. The outcome is kept as the token's safety report.
    */
   async isSafeToken(tokenAddress, network) {
+    const report = {
+      tokenAddress,
+      network,
+      safe: false,
+      reason: null,
+      liquidity: null,
+      contract: null,
+      honeypot: null,
+      taxes: null,
+      holders: null,
+      liquidityLock: null,
+      checkedAt: Date.now()
+    };
+    this.safetyReports.set(tokenAddress, report);
+
     try {
       // 1. Check minimum liquidity
       const minLiquidity = this.config.minLiquidity || 10000; // $10k default
-      const mockLiquidity = Math.random() * 50000; // Random liquidity between 0 and $50k
+      const liquidity = await this.marketAnalyzer.getLiquidity({ address: tokenAddress, network, symbol: tokenAddress });
+      report.liquidity = liquidity;
       
-      if (mockLiquidity < minLiquidity) {
-        this.logger.info(`Token ${tokenAddress} has insufficient liquidity: $${mockLiquidity.toFixed(2)}`);
-        return false;
+      if (liquidity < minLiquidity) {
+        return this.failSafetyCheck(report, `has insufficient liquidity: $${liquidity.toFixed(2)}`);
       }
       
-      // 2. Check buy/sell tax
+      // 2. Check what the owner can still do to holders
+      const maxContractRiskScore = this.config.maxContractRiskScore || 50;
+      const contract = await this.contractAnalyzers[network].analyze(tokenAddress);
+      report.contract = contract;
+      
+      if (!contract.isContract) {
+        return this.failSafetyCheck(report, 'is not a contract');
+      }
+      
+      if (contract.riskScore > maxContractRiskScore) {
+        return this.failSafetyCheck(report, `has a contract risk score of ${contract.riskScore} (${contract.flags.map(flag => flag.flag).join(', ')})`);
+      }
+      
+      // 3. Check for honeypot by simulating a buy and an immediate sell
+      const honeypot = await this.blockchain[network].simulateRoundTrip(tokenAddress, {
+        amount: this.config.honeypotSimulationAmount || 0.01,
+        maxRoundTripLoss: this.config.maxRoundTripLoss || 50
+      });
+      report.honeypot = honeypot;
+      report.taxes = {
+        buy: honeypot.buyTax,
+        sell: honeypot.sellTax,
+        transfer: honeypot.transferTax
+      };
+      
+      if (!honeypot.simulated) {
+        return this.failSafetyCheck(report, `could not be simulated: ${honeypot.reason}`);
+      }
+      
+      if (honeypot.isHoneypot) {
+        return this.failSafetyCheck(report, `appears to be a honeypot: ${honeypot.reason}`);
+      }
+      
+      // 4. Check the measured buy/sell/transfer tax
       const maxBuyTax = this.config.maxBuyTax || 10; // 10% default
       const maxSellTax = this.config.maxSellTax || 10; // 10% default
+      const maxTransferTax = this.config.maxTransferTax || 10; // 10% default
+      
+      if (honeypot.buyTax > maxBuyTax) {
+        return this.failSafetyCheck(report, `has high buy tax: ${honeypot.buyTax.toFixed(1)}%`);
+      }
+      
+      if (honeypot.sellTax > maxSellTax) {
+        return this.failSafetyCheck(report, `has high sell tax: ${honeypot.sellTax.toFixed(1)}%`);
+      }
+      
+      if (honeypot.transferTax !== null && honeypot.transferTax > maxTransferTax) {
+        return this.failSafetyCheck(report, `has high transfer tax: ${honeypot.transferTax.toFixed(1)}%`);
+      }
       
-      const mockBuyTax = Math.random() * 15; // Random tax between 0% and 15%
-      const mockSellTax = Math.random() * 15; // Random tax between 0% and 15%
+      // 5. Check that no single wallet besides the pair holds too much of the supply
+      const maxHolderConcentration = this.config.maxHolderConcentration || 10; // 10% default
+      const holders = await this.marketAnalyzer.getHolderDistribution({
+        address: tokenAddress,
+        network,
+        symbol: tokenAddress
+      });
+      report.holders = holders;
       
-      if (mockBuyTax > maxBuyTax) {
-        this.logger.info(`Token ${tokenAddress} has high buy tax: ${mockBuyTax.toFixed(1)}%`);
-        return false;
+      if (!holders) {
+        return this.failSafetyCheck(report, 'holder distribution could not be determined');
       }
       
-      if (mockSellTax > maxSellTax) {
-        this.logger.info(`Token ${tokenAddress} has high sell tax: ${mockSellTax.toFixed(1)}%`);
-        return false;
+      if (holders.largestHolder && holders.largestHolder.share > maxHolderConcentration) {
+        return this.failSafetyCheck(report, `has a wallet holding ${holders.largestHolder.share.toFixed(1)}% of the supply (${holders.largestHolder.address})`);
       }
       
-      // 3. Check for honeypot
-      const isHoneypot = Math.random() < 0.1; // 10% chance of being a honeypot
+      // 6. Check that enough of the LP tokens are burned or locked, so liquidity cannot be pulled
+      const minLiquidityLocked = this.config.minLiquidityLockedPercentage || 80; // 80% default
+      const pool = await this.marketAnalyzer.getPoolInfo({ address: tokenAddress, network, symbol: tokenAddress });
       
-      if (isHoneypot) {
-        this.logger.info(`Token ${tokenAddress} appears to be a honeypot`);
-        return false;
+      if (!pool) {
+        return this.failSafetyCheck(report, 'has no pool to check liquidity locks on');
       }
       
-      // 4. Check verified contract if required
+      if (pool.version === 3) {
+        // V3 liquidity is held as one NFT position per provider, not as LP tokens that can be burned or locked
+        this.logger.info(`Skipping the liquidity lock check for ${tokenAddress}: it trades in a V3 pool`);
+      } else {
+        const liquidityLock = await this.liquidityLockAnalyzers[network].analyze(pool.pairAddress);
+        report.liquidityLock = liquidityLock;
+        
+        if (liquidityLock.lockedOrBurnedShare < minLiquidityLocked) {
+          return this.failSafetyCheck(report, `has only ${liquidityLock.lockedOrBurnedShare.toFixed(1)}% of its liquidity locked or burned`);
+        }
+      }
+      
+      // 7. Audits and source verification are not on-chain, so requireAudit asks for what the
+      // bytecode can show instead: nobody can change the contract's rules after we buy
       if (this.config.requireAudit) {
-        const isVerified = Math.random() < 0.7; // 70% chance of being verified
+        if (!contract.ownerRenounced) {
+          return this.failSafetyCheck(report, `has an owner (${contract.owner}) who has not renounced ownership`);
+        }
         
-        if (!isVerified) {
-          this.logger.info(`Token ${tokenAddress} contract is not verified`);
-          return false;
+        if (contract.isProxy) {
+          return this.failSafetyCheck(report, `is an upgradeable proxy (implementation ${contract.implementation})`);
         }
       }
       
+      report.safe = true;
       return true;
     } catch (error) {
       this.logger.error(`Error checking token safety for ${tokenAddress}`, error);
+      report.reason = `safety check failed: ${error.message}`;
       return false;
     }
   }
+  
+  failSafetyCheck(report, reason) {
+    this.logger.info(`Token ${report.tokenAddress} ${reason}`);
+    report.reason = reason;
+    return false;
+  }
+  
+  /**
+   * Latest safety report for a token, or null if it has not been checked
+   */
+  getSafetyReport(tokenAddress) {
+    return this.safetyReports.get(tokenAddress) || null;
+  }
 }
 
 module.exports = { TokenSniperStrategy };
@@ -0,0 +1,705 @@
+/**
+ * Backtester
+ * Replays historical OHLCV candles through the trading strategies on a simulated clock
+ */
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+const { PaperBroker } = require('./paperBroker');
+const { PositionSizer } = require('./positionSizer');
+const { RiskManager } = require('./riskManager');
+const tradeRules = require('./tradeRules');
+const { calculateATR } = require('./indicators');
+const { ScalpingStrategy } = require('../strategies/scalping');
+const TrendTradingStrategy = require('../strategies/trendTrading');
+const { EnhancedTrendTradingStrategy } = require('../strategies/enhancedTrendTrading');
+const SimpleMAStrategy = require('../strategies/simpleMAStrategy');
+
+const BACKTEST_VENUE = 'backtest';
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Clock that only moves when the backtester advances it
+ */
+class SimulatedClock {
+    constructor(time = 0) {
+        this.time = time;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    set(time) {
+        this.time = time;
+    }
+}
+
+/**
+ * Market data source that only exposes candles up to the simulated time
+ */
+class BacktestExchange {
+    constructor(candlesBySymbol, clock) {
+        this.candles = candlesBySymbol;
+        this.clock = clock;
+        this.cursors = {};
+        this.paper = true;
+    }
+
+    /**
+     * Index of the latest candle at or before the simulated time, or -1
+     */
+    getCursor(symbol) {
+        const candles = this.candles[symbol];
+        if (!candles) return -1;
+
+        let cursor = this.cursors[symbol] !== undefined ? this.cursors[symbol] : -1;
+        while (cursor + 1 < candles.length && candles[cursor + 1].timestamp <= this.clock.now()) {
+            cursor++;
+        }
+        this.cursors[symbol] = cursor;
+        return cursor;
+    }
+
+    getVisibleCandles(symbol, limit = 100) {
+        const cursor = this.getCursor(symbol);
+        if (cursor < 0) return [];
+        return this.candles[symbol].slice(Math.max(0, cursor + 1 - limit), cursor + 1);
+    }
+
+    getCurrentCandle(symbol) {
+        const cursor = this.getCursor(symbol);
+        return cursor >= 0 ? this.candles[symbol][cursor] : null;
+    }
+
+    supportsPair(symbol) {
+        return !!this.candles[symbol];
+    }
+
+    isValidSymbol(symbol) {
+        return this.supportsPair(symbol);
+    }
+
+    async fetchOHLCV(symbol, timeframe, since, limit = 100) {
+        if (!this.supportsPair(symbol)) {
+            throw new Error(`No historical data loaded for ${symbol}`);
+        }
+        return this.getVisibleCandles(symbol, limit).map(candle => [
+            candle.timestamp,
+            candle.open,
+            candle.high,
+            candle.low,
+            candle.close,
+            candle.volume
+        ]);
+    }
+
+    async getCandles(symbol, timeframe, limit = 100) {
+        return this.getVisibleCandles(symbol, limit);
+    }
+
+    async fetchTicker(symbol) {
+        const candle = this.getCurrentCandle(symbol);
+        if (!candle) {
+            throw new Error(`No historical data available for ${symbol} at ${this.clock.now()}`);
+        }
+        return {
+            symbol,
+            last: candle.close,
+            high: candle.high,
+            low: candle.low,
+            quoteVolume: candle.volume * candle.close,
+            timestamp: candle.timestamp
+        };
+    }
+
+    async getCurrentPrice(symbol) {
+        const candle = this.getCurrentCandle(symbol);
+        return candle ? candle.close : null;
+    }
+
+    async getPrice(symbol) {
+        return this.getCurrentPrice(symbol);
+    }
+}
+
+/**
+ * Strategies fill gaps in their market data with random prices when run live. A backtest on
+ * made-up prices would report made-up metrics, so there those fallbacks stop the run instead.
+ */
+function refuseMockData(strategy, methods, state, clock) {
+    for (const method of methods) {
+        strategy[method] = (subject) => {
+            const symbol = typeof subject === 'string' ? subject : (subject && subject.symbol);
+            const error = new Error(`${state.strategyName} has no market data${symbol ? ` for ${symbol}` : ''} at ${new Date(clock.now()).toISOString()} and would fall back to random prices`);
+            error.code = 'NO_MARKET_DATA';
+            state.mockDataError = state.mockDataError || error;
+            throw error;
+        };
+    }
+}
+
+/**
+ * How each shipped strategy is built and asked for signals during a backtest, and which of its
+ * methods make up market data
+ */
+const STRATEGY_ADAPTERS = {
+    enhancedTrendTrading: {
+        create(exchange, config, logger, symbols) {
+            const strategy = new EnhancedTrendTradingStrategy({}, { binanceUS: exchange }, config, logger);
+            strategy.watchlist = symbols.map(symbol => ({ symbol, exchange: 'binanceUS', name: symbol }));
+            strategy.priceHistory = {};
+            strategy.indicators = {};
+            for (const symbol of symbols) {
+                strategy.priceHistory[symbol] = [];
+                strategy.indicators[symbol] = { rsi: [], macd: { line: [], signal: [], histogram: [] } };
+            }
+            return strategy;
+        },
+        findOpportunities: strategy => strategy.findOpportunities(),
+        mockDataMethods: ['generateMockDataForPair']
+    },
+
+    scalping: {
+        create(exchange, config, logger, symbols) {
+            const strategy = new ScalpingStrategy({}, { binanceUS: exchange }, config, logger);
+            strategy.watchlist = symbols.map(symbol => ({ symbol, exchange: 'binanceUS' }));
+            strategy.priceHistory = {};
+            for (const symbol of symbols) {
+                strategy.priceHistory[symbol] = [];
+            }
+            return strategy;
+        },
+        findOpportunities: strategy => strategy.findOpportunities(),
+        mockDataMethods: ['generateMockPriceData']
+    },
+
+    simpleMA: {
+        create(exchange, config, logger, symbols) {
+            return new SimpleMAStrategy({ ...config, symbols }, exchange);
+        },
+        findOpportunities: strategy => strategy.findOpportunities(),
+        mockDataMethods: ['generateMockCandles']
+    },
+
+    trendTrading: {
+        create(exchange, config, logger, symbols) {
+            const strategy = new TrendTradingStrategy({}, new Map([[BACKTEST_VENUE, exchange]]), config, logger);
+            strategy.tradingPairs = symbols;
+            for (const pair of symbols) {
+                strategy.watchlist.set(pair, {
+                    lastPrice: 0,
+                    rsi: [],
+                    macd: { fast: [], slow: [], signal: [] }
+                });
+            }
+            return strategy;
+        },
+        // Mirrors checkSignals() without letting the strategy place orders itself
+        async findOpportunities(strategy) {
+            const opportunities = [];
+            for (const pair of strategy.tradingPairs) {
+                await strategy.updateIndicators(pair);
+                const data = strategy.watchlist.get(pair);
+                const rsi = strategy.calculateRSI(data.rsi);
+                const macd = strategy.calculateMACD(data.macd);
+
+                if (rsi < strategy.indicators.rsi.oversold && macd.histogram > 0) {
+                    opportunities.push({ symbol: pair, action: 'buy', strategy: 'trendTrading', reason: `RSI ${rsi.toFixed(2)} with bullish MACD` });
+                } else if (rsi > strategy.indicators.rsi.overbought && macd.histogram < 0) {
+                    opportunities.push({ symbol: pair, action: 'sell', strategy: 'trendTrading', reason: `RSI ${rsi.toFixed(2)} with bearish MACD` });
+                }
+            }
+            return opportunities;
+        }
+    }
+};
+
+class Backtester {
+    constructor(logger) {
+        this.logger = logger || new Logger('Backtester');
+        this.positionSizer = new PositionSizer(this.logger);
+    }
+
+    static getSupportedStrategies() {
+        return Object.keys(STRATEGY_ADAPTERS);
+    }
+
+    /**
+     * Load candles from a CSV or JSON file, keyed by symbol
+     */
+    static loadCandles(filePath, symbol = null) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const defaultSymbol = symbol || path.basename(filePath, path.extname(filePath))
+            .toUpperCase()
+            .replace(/[-_]/g, '/');
+
+        if (path.extname(filePath).toLowerCase() === '.json') {
+            return Backtester.normalizeCandleSet(JSON.parse(raw), defaultSymbol);
+        }
+
+        return Backtester.parseCsv(raw, defaultSymbol);
+    }
+
+    static parseCsv(raw, defaultSymbol) {
+        const lines = raw.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('CSV file must contain a header row and at least one candle');
+        }
+
+        const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+        const column = names => header.findIndex(name => names.includes(name));
+        const columns = {
+            timestamp: column(['timestamp', 'time', 'date', 'datetime', 'open_time']),
+            open: column(['open', 'o']),
+            high: column(['high', 'h']),
+            low: column(['low', 'l']),
+            close: column(['close', 'c']),
+            volume: column(['volume', 'v', 'vol']),
+            symbol: column(['symbol', 'pair'])
+        };
+
+        for (const required of ['timestamp', 'open', 'high', 'low', 'close']) {
+            if (columns[required] < 0) {
+                throw new Error(`CSV file is missing the ${required} column`);
+            }
+        }
+
+        const candleSet = {};
+        for (const line of lines.slice(1)) {
+            const values = line.split(',').map(value => value.trim());
+            const candleSymbol = columns.symbol >= 0 && values[columns.symbol] ? values[columns.symbol] : defaultSymbol;
+            if (!candleSet[candleSymbol]) candleSet[candleSymbol] = [];
+            candleSet[candleSymbol].push({
+                timestamp: values[columns.timestamp],
+                open: values[columns.open],
+                high: values[columns.high],
+                low: values[columns.low],
+                close: values[columns.close],
+                volume: columns.volume >= 0 ? values[columns.volume] : 0
+            });
+        }
+
+        return Backtester.normalizeCandleSet(candleSet, defaultSymbol);
+    }
+
+    /**
+     * Accepts an array of candles or a { symbol: candles } map, with array or object candles
+     */
+    static normalizeCandleSet(data, defaultSymbol = 'BTC/USDT') {
+        const candleSet = Array.isArray(data) ? { [defaultSymbol]: data } : data;
+        if (!candleSet || typeof candleSet !== 'object') {
+            throw new Error('Candle data must be an array or an object keyed by symbol');
+        }
+
+        const normalized = {};
+        for (const [symbol, candles] of Object.entries(candleSet)) {
+            if (!Array.isArray(candles)) {
+                throw new Error(`Candles for ${symbol} must be an array`);
+            }
+            normalized[symbol] = candles
+                .map(Backtester.normalizeCandle)
+                .filter(candle => Number.isFinite(candle.timestamp) && Number.isFinite(candle.close))
+                .sort((a, b) => a.timestamp - b.timestamp);
+        }
+        return normalized;
+    }
+
+    static normalizeCandle(candle) {
+        const values = Array.isArray(candle)
+            ? { timestamp: candle[0], open: candle[1], high: candle[2], low: candle[3], close: candle[4], volume: candle[5] }
+            : candle;
+
+        let timestamp = values.timestamp !== undefined ? values.timestamp : (values.time !== undefined ? values.time : values.date);
+        if (typeof timestamp === 'string' && !/^\d+$/.test(timestamp)) {
+            timestamp = Date.parse(timestamp);
+        }
+        timestamp = Number(timestamp);
+        // Treat second-resolution timestamps as such
+        if (timestamp > 0 && timestamp < 1e12) {
+            timestamp *= 1000;
+        }
+
+        return {
+            timestamp,
+            open: Number(values.open),
+            high: Number(values.high),
+            low: Number(values.low),
+            close: Number(values.close),
+            volume: Number(values.volume || 0)
+        };
+    }
+
+    /**
+     * Run a backtest and return the report. Entries are sized and risk-checked the way the live
+     * engine does it, from tradingConfig (shaped like config.trading: positionSizing and the risk
+     * limits) and the strategy's own positionSizing; positionSizePercentage, when given,
+     * overrides the fixed percentage.
+     */
+    async run(options = {}) {
+        const {
+            strategy: strategyName,
+            candles,
+            strategyConfig = {},
+            tradingConfig = {},
+            initialBalance = 10000,
+            quoteAsset = 'USDT',
+            feePercentage = 0.1,
+            slippagePercentage = 0.05,
+            verbose = false
+        } = options;
+
+        const adapter = STRATEGY_ADAPTERS[strategyName];
+        if (!adapter) {
+            throw new Error(`Strategy ${strategyName} does not support backtesting (supported: ${Backtester.getSupportedStrategies().join(', ')})`);
+        }
+
+        const candleSet = Backtester.normalizeCandleSet(candles);
+        const symbols = Object.keys(candleSet).filter(symbol => candleSet[symbol].length > 0);
+        if (symbols.length === 0) {
+            throw new Error('No candles provided for backtest');
+        }
+
+        const stopLossPercentage = options.stopLossPercentage !== undefined
+            ? options.stopLossPercentage
+            : (strategyConfig.stopLoss || 5);
+        const takeProfitPercentage = options.takeProfitPercentage !== undefined
+            ? options.takeProfitPercentage
+            : (strategyConfig.takeProfit || 10);
+
+        const positionSizing = {
+            model: 'fixedPercentage',
+            percentage: 10,
+            ...(tradingConfig.positionSizing || {}),
+            ...(strategyConfig.positionSizing || {})
+        };
+        if (options.positionSizePercentage !== undefined) {
+            positionSizing.percentage = options.positionSizePercentage;
+        }
+
+        const strategyLogger = this.createStrategyLogger(strategyName, verbose);
+        const clock = new SimulatedClock();
+        const riskManager = new RiskManager(tradingConfig, strategyLogger);
+        riskManager.clock = clock;
+        const exchange = new BacktestExchange(candleSet, clock);
+        const broker = new PaperBroker({
+            feePercentage,
+            slippagePercentage,
+            startingBalances: { [BACKTEST_VENUE]: { [quoteAsset]: initialBalance } }
+        }, strategyLogger);
+
+        const strategy = adapter.create(exchange, { ...strategyConfig }, strategyLogger, symbols);
+        if ('clock' in strategy) {
+            strategy.clock = clock;
+        }
+
+        // Start once every symbol has a candle, so no strategy is asked about a symbol without data
+        const start = Math.max(...symbols.map(symbol => candleSet[symbol][0].timestamp));
+        const timeline = Array.from(new Set(
+            symbols.flatMap(symbol => candleSet[symbol].map(candle => candle.timestamp))
+        )).filter(time => time >= start).sort((a, b) => a - b);
+
+        const state = {
+            broker,
+            riskManager,
+            positionSizing,
+            quoteAsset,
+            positions: {},
+            trades: [],
+            rejectedEntries: 0,
+            equityCurve: [],
+            strategyName,
+            strategyConfig,
+            mockDataError: null
+        };
+        refuseMockData(strategy, adapter.mockDataMethods || [], state, clock);
+
+        this.logger.info(`Backtesting ${strategyName} on ${symbols.join(', ')} over ${timeline.length} candles`);
+
+        for (const time of timeline) {
+            clock.set(time);
+
+            // Exits first, against the candle that just closed
+            for (const [symbol, trade] of Object.entries(state.positions)) {
+                const candle = exchange.getCurrentCandle(symbol);
+                if (candle && candle.timestamp === time && candle.timestamp > trade.entryTime) {
+                    this.checkExits(state, trade, candle);
+                }
+            }
+
+            let opportunities = [];
+            try {
+                opportunities = await adapter.findOpportunities(strategy) || [];
+            } catch (error) {
+                this.logger.error(`Strategy ${strategyName} failed at ${new Date(time).toISOString()}`, error);
+            }
+            // Strategies catch their own errors, so the refusal is checked for here
+            if (state.mockDataError) {
+                throw state.mockDataError;
+            }
+
+            for (const opportunity of opportunities) {
+                const candle = exchange.getCurrentCandle(opportunity.symbol);
+                if (!candle || candle.timestamp !== time) continue;
+
+                if (opportunity.action === 'buy' && !state.positions[opportunity.symbol]) {
+                    await this.openPosition(state, opportunity, candle, {
+                        stopLossPercentage,
+                        takeProfitPercentage,
+                        exchange
+                    });
+                } else if (opportunity.action === 'sell' && state.positions[opportunity.symbol]) {
+                    this.closePosition(state, state.positions[opportunity.symbol], candle.close, time, 'signal');
+                }
+            }
+
+            state.equityCurve.push({ timestamp: time, equity: this.calculateEquity(state, exchange) });
+        }
+
+        // Mark remaining positions to the last close
+        for (const trade of Object.values(state.positions)) {
+            const candle = exchange.getCurrentCandle(trade.symbol);
+            this.closePosition(state, trade, candle.close, candle.timestamp, 'end_of_data');
+        }
+        if (state.equityCurve.length > 0) {
+            state.equityCurve[state.equityCurve.length - 1].equity = this.calculateEquity(state, exchange);
+        }
+
+        return this.buildReport(state, {
+            strategyName,
+            symbols,
+            timeline,
+            initialBalance,
+            stopLossPercentage,
+            takeProfitPercentage,
+            positionSizing,
+            riskLimits: riskManager.limits,
+            feePercentage,
+            slippagePercentage
+        });
+    }
+
+    createStrategyLogger(strategyName, verbose) {
+        if (verbose) {
+            return new Logger(`Backtest:${strategyName}`);
+        }
+        // Strategies log on every tick; keep only errors while replaying
+        return {
+            debug() {},
+            info() {},
+            warn() {},
+            error: (message, meta) => this.logger.error(message, meta)
+        };
+    }
+
+    async openPosition(state, opportunity, candle, { stopLossPercentage, takeProfitPercentage, exchange }) {
+        const available = state.broker.getVenueBalances(BACKTEST_VENUE)[state.quoteAsset] || 0;
+        const feeFactor = 1 + (state.broker.feePercentage / 100);
+        const slippageFactor = 1 + (state.broker.slippagePercentage / 100);
+        const price = candle.close * slippageFactor;
+        const config = state.positionSizing;
+
+        let atr = null;
+        if (config.model === 'atr') {
+            const period = config.atrPeriod || 14;
+            atr = calculateATR(await exchange.fetchOHLCV(opportunity.symbol, config.atrTimeframe, undefined, period + 1), period);
+        }
+
+        const sizing = this.positionSizer.calculate({
+            config,
+            // The fee is paid from the quote balance on top of the order
+            balance: available / feeFactor,
+            price,
+            stopLossPercentage,
+            atr,
+            history: state.trades.slice(-(config.kellyLookback || 50))
+        });
+        if (!sizing.orderValue) {
+            this.rejectEntry(state, opportunity, candle, sizing.reason);
+            return;
+        }
+
+        const decision = state.riskManager.checkOrder({
+            strategy: state.strategyName,
+            venue: BACKTEST_VENUE,
+            asset: opportunity.symbol,
+            isDex: false,
+            orderValue: sizing.orderValue,
+            availableBalance: available,
+            strategyConfig: state.strategyConfig
+        }, Object.values(state.positions));
+        if (!decision.allowed) {
+            this.rejectEntry(state, opportunity, candle, decision.reason);
+            return;
+        }
+
+        const quantity = sizing.orderValue / price;
+        try {
+            const fill = state.broker.simulateFill({
+                venue: BACKTEST_VENUE,
+                symbol: opportunity.symbol,
+                baseAsset: opportunity.symbol,
+                quoteAsset: state.quoteAsset,
+                side: 'buy',
+                quantity,
+                price: candle.close
+            });
+
+            state.positions[opportunity.symbol] = {
+                id: fill.id,
+                exchange: BACKTEST_VENUE,
+                symbol: opportunity.symbol,
+                quoteAsset: state.quoteAsset,
+                side: 'buy',
+                strategy: state.strategyName,
+                reason: opportunity.reason,
+                entryTime: candle.timestamp,
+                entryPrice: fill.price,
+                quantity,
+                fees: fill.fee,
+                stopLoss: fill.price * (1 - stopLossPercentage / 100),
+                takeProfit: fill.price * (1 + takeProfitPercentage / 100),
+                timestamp: candle.timestamp
+            };
+            state.riskManager.recordOpen(state.positions[opportunity.symbol]);
+        } catch (error) {
+            this.logger.warn(`Skipped simulated entry for ${opportunity.symbol}: ${error.message}`);
+        }
+    }
+
+    rejectEntry(state, opportunity, candle, reason) {
+        state.rejectedEntries++;
+        this.logger.debug(`Skipped entry for ${opportunity.symbol} at ${new Date(candle.timestamp).toISOString()}: ${reason}`);
+    }
+
+    /**
+     * Apply the live engine's stop-loss/take-profit rules to a candle's range.
+     * When both levels fall inside one candle the stop is assumed to fill first.
+     */
+    checkExits(state, trade, candle) {
+        const adverse = trade.side === 'buy' ? candle.low : candle.high;
+        const favorable = trade.side === 'buy' ? candle.high : candle.low;
+
+        if (tradeRules.shouldTriggerStopLoss(trade, adverse)) {
+            // Gaps through the stop fill at the open
+            const exitPrice = trade.side === 'buy'
+                ? Math.min(trade.stopLoss, candle.open)
+                : Math.max(trade.stopLoss, candle.open);
+            this.closePosition(state, trade, exitPrice, candle.timestamp, 'stop_loss');
+        } else if (tradeRules.shouldTriggerTakeProfit(trade, favorable)) {
+            const exitPrice = trade.side === 'buy'
+                ? Math.max(trade.takeProfit, candle.open)
+                : Math.min(trade.takeProfit, candle.open);
+            this.closePosition(state, trade, exitPrice, candle.timestamp, 'take_profit');
+        }
+    }
+
+    closePosition(state, trade, price, time, reason) {
+        const fill = state.broker.simulateFill({
+            venue: BACKTEST_VENUE,
+            symbol: trade.symbol,
+            baseAsset: trade.symbol,
+            quoteAsset: state.quoteAsset,
+            side: trade.side === 'buy' ? 'sell' : 'buy',
+            quantity: trade.quantity,
+            price
+        });
+
+        const fees = trade.fees + fill.fee;
+        const profitLoss = tradeRules.calculateUnrealizedProfitLoss(trade, fill.price) - fees;
+
+        const closedTrade = {
+            ...trade,
+            exitTime: time,
+            exitPrice: fill.price,
+            closeReason: reason,
+            fees,
+            profitLoss,
+            returnPercentage: (profitLoss / (trade.entryPrice * trade.quantity)) * 100
+        };
+        state.trades.push(closedTrade);
+        state.riskManager.recordClose(closedTrade);
+        delete state.positions[trade.symbol];
+    }
+
+    calculateEquity(state, exchange) {
+        const balances = state.broker.getVenueBalances(BACKTEST_VENUE);
+        let equity = balances[state.quoteAsset] || 0;
+        for (const trade of Object.values(state.positions)) {
+            const candle = exchange.getCurrentCandle(trade.symbol);
+            equity += trade.quantity * (candle ? candle.close : trade.entryPrice);
+        }
+        return equity;
+    }
+
+    buildReport(state, { strategyName, symbols, timeline, initialBalance, ...settings }) {
+        const { trades, equityCurve } = state;
+        const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : initialBalance;
+        const winningTrades = trades.filter(trade => trade.profitLoss > 0).length;
+
+        return {
+            strategy: strategyName,
+            symbols,
+            period: {
+                start: new Date(timeline[0]).toISOString(),
+                end: new Date(timeline[timeline.length - 1]).toISOString(),
+                candles: timeline.length
+            },
+            settings,
+            initialBalance,
+            finalEquity,
+            profitLoss: finalEquity - initialBalance,
+            totalReturnPercentage: ((finalEquity - initialBalance) / initialBalance) * 100,
+            totalTrades: trades.length,
+            winningTrades,
+            losingTrades: trades.length - winningTrades,
+            winRate: trades.length > 0 ? (winningTrades / trades.length) * 100 : 0,
+            rejectedEntries: state.rejectedEntries,
+            maxDrawdownPercentage: this.calculateMaxDrawdown(equityCurve),
+            sharpeRatio: this.calculateSharpeRatio(equityCurve, timeline),
+            equityCurve,
+            trades
+        };
+    }
+
+    calculateMaxDrawdown(equityCurve) {
+        let peak = -Infinity;
+        let maxDrawdown = 0;
+        for (const point of equityCurve) {
+            peak = Math.max(peak, point.equity);
+            if (peak > 0) {
+                maxDrawdown = Math.max(maxDrawdown, ((peak - point.equity) / peak) * 100);
+            }
+        }
+        return maxDrawdown;
+    }
+
+    /**
+     * Annualised Sharpe ratio of per-candle returns (risk-free rate of zero)
+     */
+    calculateSharpeRatio(equityCurve, timeline) {
+        if (equityCurve.length < 3) return 0;
+
+        const returns = [];
+        for (let i = 1; i < equityCurve.length; i++) {
+            returns.push(equityCurve[i].equity / equityCurve[i - 1].equity - 1);
+        }
+
+        const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+        const variance = returns.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (returns.length - 1);
+        const stdDev = Math.sqrt(variance);
+        if (stdDev === 0) return 0;
+
+        const intervals = [];
+        for (let i = 1; i < timeline.length; i++) {
+            intervals.push(timeline[i] - timeline[i - 1]);
+        }
+        intervals.sort((a, b) => a - b);
+        const interval = intervals[Math.floor(intervals.length / 2)];
+        const periodsPerYear = interval > 0 ? YEAR_MS / interval : 365;
+
+        return (mean / stdDev) * Math.sqrt(periodsPerYear);
+    }
+}
+
+module.exports = { Backtester, BacktestExchange, SimulatedClock };
@@ -0,0 +1,106 @@
+/**
+ * Capital Allocator
+ * Splits each venue's capital between strategy instances according to their `capital` budgets
+ */
+const { toNumber } = require('../utils/numbers');
+
+class CapitalAllocator {
+    static getVenue(trade) {
+        return trade.exchange === 'dex' ? trade.network : trade.exchange;
+    }
+
+    /**
+     * Value of an open position in its venue's quote (or native) units, at entry
+     */
+    static getExposure(trade) {
+        return (trade.entryPrice || 0) * (trade.quantity || 0);
+    }
+
+    /**
+     * How much a strategy may still commit on a venue.
+     *
+     * capital: the strategy's budget, { percentage, limits: { [venue]: amount } }. percentage is a
+     * share of the venue's capital (free balance plus all open positions there); limits are absolute
+     * caps in the venue's quote or native units. Without a budget the whole free balance is available.
+     */
+    static getAvailableCapital(strategyName, capital, venue, freeBalance, activeTrades) {
+        if (!capital) {
+            return freeBalance;
+        }
+
+        const venueTrades = activeTrades.filter(trade => CapitalAllocator.getVenue(trade) === venue);
+        const venueCapital = freeBalance + venueTrades.reduce((total, trade) => total + CapitalAllocator.getExposure(trade), 0);
+        const used = venueTrades
+            .filter(trade => trade.strategy === strategyName)
+            .reduce((total, trade) => total + CapitalAllocator.getExposure(trade), 0);
+
+        let budget = venueCapital * (toNumber(capital.percentage, 100) / 100);
+        const limit = capital.limits ? toNumber(capital.limits[venue], null) : null;
+        if (limit !== null) {
+            budget = Math.min(budget, limit);
+        }
+
+        return Math.max(0, Math.min(freeBalance, budget - used));
+    }
+
+    /**
+     * Per-strategy breakdown of closed and open trades. Entries that never filled are not
+     * trades and are left out. Amounts are summed across venues, the same way the global P&L is;
+     * exposure is kept per venue because units differ between venues.
+     */
+    static getStrategyStats(strategyNames, history, activeTrades) {
+        const stats = {};
+        const entry = name => {
+            if (!stats[name]) {
+                stats[name] = {
+                    totalTrades: 0,
+                    successfulTrades: 0,
+                    failedTrades: 0,
+                    winRate: 0,
+                    profitLoss: 0,
+                    unrealizedProfitLoss: 0,
+                    openTrades: 0,
+                    exposure: {}
+                };
+            }
+            return stats[name];
+        };
+
+        for (const name of strategyNames) {
+            entry(name);
+        }
+
+        for (const trade of history) {
+            if (trade.status === 'failed') continue;
+
+            const strategyStats = entry(trade.strategy || 'unknown');
+            strategyStats.totalTrades++;
+            if (trade.status === 'completed' && trade.profitLoss > 0) {
+                strategyStats.successfulTrades++;
+            } else {
+                strategyStats.failedTrades++;
+            }
+            strategyStats.profitLoss += trade.profitLoss || 0;
+        }
+
+        for (const trade of activeTrades) {
+            const strategyStats = entry(trade.strategy || 'unknown');
+            const venue = CapitalAllocator.getVenue(trade);
+            strategyStats.openTrades++;
+            // Partial take-profits are already realized while the rest of the position is open
+            strategyStats.profitLoss += trade.realizedProfitLoss || 0;
+            strategyStats.unrealizedProfitLoss += trade.unrealizedProfitLoss || 0;
+            strategyStats.exposure[venue] = (strategyStats.exposure[venue] || 0) + CapitalAllocator.getExposure(trade);
+        }
+
+        for (const strategyStats of Object.values(stats)) {
+            strategyStats.winRate = strategyStats.totalTrades > 0
+                ? (strategyStats.successfulTrades / strategyStats.totalTrades) * 100
+                : 0;
+        }
+
+        return stats;
+    }
+}
+
+module.exports = { CapitalAllocator };
@@ -2,18 +2,25 @@
  * Trading Engine
  * Core component for managing trading operations
  */
+const path = require('path');
 const ethers = require('ethers');
 const { v4: uuidv4 } = require('uuid');
 const { Logger } = require('../utils/logger');
-const { TokenSniperStrategy } = require('../strategies/tokenSniper');
-const { ScalpingStrategy } = require('../strategies/scalping');
-const { TrendTradingStrategy } = require('../strategies/trendTrading');
 const { EthereumConnector } = require('../blockchain/ethereumConnector');
 const { BnbConnector } = require('../blockchain/bnbConnector');
+const { EvmConnector } = require('../blockchain/evmConnector');
 const { BinanceExchange } = require('../exchanges/binance');
 const { CryptocomExchange } = require('../exchanges/cryptocom');
-const { EnhancedTrendTradingStrategy } = require('../strategies/enhancedTrendTrading');
+const { StrategyRegistry } = require('../strategies/registry');
 const { EnhancedTokenScanner } = require('../scanner/enhancedTokenScanner');
+const { PaperBroker } = require('./paperBroker');
+const { TradeJournal } = require('./tradeJournal');
+const { TradeStore } = require('./tradeStore');
+const { RiskManager } = require('./riskManager');
+const { PositionSizer } = require('./positionSizer');
+const { CapitalAllocator } = require('./capitalAllocator');
+const tradeRules = require('./tradeRules');
+const { calculateATR } = require('./indicators');
 
 class TradingEngine {
     constructor(configManager, securityManager, socketIo) {
@@ -40,6 +47,19 @@ class TradingEngine {
         this.activeTrades = {};
         this.tradeHistory = [];
         this.balances = {};
+        this.paperTrading = false;
+        this.paperBroker = null;
+        this.tradingConfig = {};
+        this.processingOpportunities = false;
+        // Trades with an exit order in flight; exits wait to be mined and must not be sent twice
+        this.closingTrades = new Set();
+        // Entries past the dedupe check but not yet registered as trades, by opportunity key
+        this.pendingEntries = new Map();
+        this.tradeJournal = null;
+        this.tradeStore = null;
+        this.riskManager = new RiskManager({}, new Logger('RiskManager'));
+        this.recentRejections = new Map();
+        this.positionSizer = new PositionSizer(new Logger('PositionSizer'));
         this.stats = {
             totalTrades: 0,
             successfulTrades: 0,
@@ -47,7 +67,8 @@ class TradingEngine {
             profitLoss: 0,
             winRate: 0,
             startTime: null,
-            lastTradeTime: null
+            lastTradeTime: null,
+            paperTrading: false
         };
         
         this.mainLoopInterval = null;
@@ -109,30 +130,48 @@ class TradingEngine {
                         },
                         trading: {
                             autoStart: false,
-                            maxConcurrentTrades: 3
+                            maxConcurrentTrades: 3,
+                            defaultRiskPercentage: 2,
+                            stopLossPercentage: 5,
+                            takeProfitPercentage: 10
                         }
                     };
                 }
             }
             
+            this.tradingConfig = decryptedConfig.trading || {};
+            
             // Initialize blockchain connectors
             await this.initializeBlockchainConnectors(decryptedConfig);
             
             // Initialize exchange connectors
             await this.initializeExchangeConnectors(decryptedConfig);
             
+            // Swap execution for the simulated broker when paper trading
+            this.initializePaperTrading(decryptedConfig);
+            
             // Initialize strategies
             await this.initializeStrategies(decryptedConfig);
             
             // Initialize token scanner
             await this.initializeTokenScanner(decryptedConfig);
             
+            // Pass pending liquidity from the mempool to the strategies
+            this.initializeMempoolWatchers();
+            this.initializeTransactionManagers();
+            
             // Load trade history
             await this.loadTradeHistory();
             
             // Update initial balances
             await this.updateBalances();
             
+            // Restore open positions from the journal and check they still exist
+            await this.recoverActiveTrades();
+            
+            // Risk limits count the recovered positions and today's history
+            this.initializeRiskManager();
+            
             this.logger.info('Trading engine initialized successfully');
             return true;
         } catch (error) {
@@ -180,6 +219,24 @@ class TradingEngine {
                     delete this.blockchain.bnbChain;
                 }
             }
+            
+            // Any other EVM chains, defined entirely by config; they share the Ethereum wallet
+            // unless given a key of their own
+            for (const [network, chainConfig] of Object.entries(decryptedConfig.chains || {})) {
+                if (!chainConfig || !chainConfig.enabled) continue;
+                
+                try {
+                    this.blockchain[network] = new EvmConnector(network, {
+                        ...chainConfig,
+                        privateKey: chainConfig.privateKey || (decryptedConfig.ethereum && decryptedConfig.ethereum.privateKey)
+                    }, new Logger(`EvmConnector:${network}`));
+                    await this.blockchain[network].initialize();
+                    this.logger.info(`${this.blockchain[network].chain.name} blockchain connector initialized`);
+                } catch (chainError) {
+                    this.logger.error(`Failed to initialize ${network} connector:`, chainError);
+                    delete this.blockchain[network];
+                }
+            }
         } catch (error) {
             if (this.logger && typeof this.logger.error === 'function') {
                 this.logger.error('Failed to initialize blockchain connectors', error);
@@ -254,6 +311,28 @@ class TradingEngine {
         }
     }
 
+    initializePaperTrading(decryptedConfig) {
+        const paperConfig = decryptedConfig && decryptedConfig.trading && decryptedConfig.trading.paperTrading;
+        if (!paperConfig || !paperConfig.enabled) {
+            this.paperTrading = false;
+            this.paperBroker = null;
+            return;
+        }
+
+        this.paperTrading = true;
+        this.paperBroker = new PaperBroker(paperConfig, new Logger('PaperBroker'));
+
+        for (const [name, exchange] of Object.entries(this.exchanges)) {
+            this.exchanges[name] = this.paperBroker.wrapExchange(name, exchange);
+        }
+
+        for (const [network, connector] of Object.entries(this.blockchain)) {
+            this.blockchain[network] = this.paperBroker.wrapConnector(network, connector);
+        }
+
+        this.logger.warn('Paper trading mode enabled - orders are simulated against live prices');
+    }
+
     async initializeStrategies(decryptedConfig) {
         try {
             // Ensure decryptedConfig and its strategies property exist
@@ -262,45 +341,50 @@ class TradingEngine {
                 return;
             }
             
-            if (decryptedConfig.strategies.tokenSniper && decryptedConfig.strategies.tokenSniper.enabled) {
-                const sniperLogger = new Logger('TokenSniperStrategy');
-                this.strategies.tokenSniper = new TokenSniperStrategy(
-                    this.blockchain,
-                    this.exchanges,
-                    decryptedConfig.strategies.tokenSniper,
-                    sniperLogger
-                );
-                try {
-                    await this.strategies.tokenSniper.initialize();
-                    this.logger.info('Token Sniper strategy initialized');
-                } catch (error) {
-                    this.logger.error('Failed to initialize Token Sniper strategy:', error.message);
-                    delete this.strategies.tokenSniper;
-                }
-            }
-
-            if (decryptedConfig.strategies.trendTrading && decryptedConfig.strategies.trendTrading.enabled) {
-                const trendLogger = new Logger('TrendTradingStrategy');
-                this.strategies.trendTrading = new TrendTradingStrategy(
-                    this.blockchain,
-                    this.exchanges,
-                    decryptedConfig.strategies.trendTrading,
-                    trendLogger
-                );
-                try {
-                    await this.strategies.trendTrading.initialize();
-                    this.logger.info('Trend Trading strategy initialized');
-                } catch (error) {
-                    this.logger.error('Failed to initialize Trend Trading strategy:', error.message);
-                    delete this.strategies.trendTrading;
-                }
-            }
+            const registry = new StrategyRegistry(new Logger('StrategyRegistry'));
+            this.strategies = await registry.createAll(decryptedConfig.strategies, {
+                blockchain: this.blockchain,
+                exchanges: this.exchanges
+            });
+            this.logger.info(`Initialized ${Object.keys(this.strategies).length} strategies`);
         } catch (error) {
             this.logger.error('Failed to initialize strategies', error);
             this.logger.warn('Continuing without trading strategy support');
         }
     }
 
+    /**
+     * Pass transaction status changes (sent, replaced, mined, failed, dropped, cancelled) on to
+     * the dashboard
+     */
+    initializeTransactionManagers() {
+        for (const [network, connector] of Object.entries(this.blockchain)) {
+            if (!connector.transactions) continue;
+
+            connector.transactions.on('transactionUpdated', (transaction) => {
+                if (transaction.status === 'failed' || transaction.status === 'dropped') {
+                    const message = `Transaction ${transaction.originalHash} on ${network} ${transaction.status}${transaction.error ? `: ${transaction.error}` : ''}`;
+                    this.logger.warn(message);
+                    this.emitLog('warn', message, { network, hash: transaction.hash });
+                }
+                if (this.socketIo) {
+                    this.socketIo.emit('transactionUpdated', { ...transaction, network });
+                }
+            });
+        }
+    }
+
+    initializeMempoolWatchers() {
+        for (const [network, connector] of Object.entries(this.blockchain)) {
+            if (!connector.mempoolWatcher) continue;
+
+            connector.mempoolWatcher.on('liquidityPending', (event) => {
+                this.handleLiquidityPending(event);
+            });
+            this.logger.info(`Mempool watcher ready for ${network}`);
+        }
+    }
+
     async initializeTokenScanner(decryptedConfig) {
         try {
             if (!decryptedConfig) {
@@ -351,23 +435,16 @@ class TradingEngine {
                 return;
             }
 
-            const fsSync = require('fs');
             try {
-                if (fsSync.existsSync(historyPath)) {
-                    const history = JSON.parse(
-                        fsSync.readFileSync(historyPath, 'utf8')
-                    );
-                    this.tradeHistory = Array.isArray(history) ? history : [];
-                    await this.updateStats();
-                    this.logger.info(`Loaded ${this.tradeHistory.length} historical trades`);
-                } else {
-                    this.logger.info('No trade history file found, starting fresh');
-                    // Create an empty trade history file
-                    fsSync.writeFileSync(historyPath, JSON.stringify([], null, 2), 'utf8');
-                    this.tradeHistory = [];
-                }
+                // The store lives next to the legacy JSON history, which it migrates on first run
+                this.tradeStore = new TradeStore(path.dirname(historyPath), new Logger('TradeStore'));
+                this.tradeStore.initialize(historyPath);
+                this.tradeHistory = this.tradeStore.getAll();
+                await this.updateStats();
+                this.logger.info(`Loaded ${this.tradeHistory.length} historical trades`);
             } catch (readError) {
                 this.logger.error('Failed to read trade history', readError);
+                this.tradeStore = null;
                 this.tradeHistory = [];
             }
         } catch (error) {
@@ -396,6 +473,20 @@ class TradingEngine {
                 }
             }
 
+            for (const [name, strategy] of Object.entries(this.strategies)) {
+                try {
+                    await strategy.start();
+                } catch (error) {
+                    this.logger.error(`Failed to start strategy ${name}:`, error);
+                }
+            }
+
+            for (const [network, connector] of Object.entries(this.blockchain)) {
+                if (typeof connector.startMempoolWatcher === 'function' && connector.startMempoolWatcher()) {
+                    this.logger.info(`Mempool watcher started for ${network}`);
+                }
+            }
+
             // Start main trading loop
             this.mainLoopInterval = setInterval(this.mainLoop, 1000);
 
@@ -408,6 +499,7 @@ class TradingEngine {
             if (this.socketIo) {
                 this.socketIo.emit('botStarted', {
                     timestamp: new Date().toISOString(),
+                    paperTrading: this.paperTrading,
                     stats: this.stats
                 });
             }
@@ -440,6 +532,20 @@ class TradingEngine {
                 this.monitoringInterval = null;
             }
 
+            for (const [name, strategy] of Object.entries(this.strategies)) {
+                try {
+                    await strategy.stop();
+                } catch (error) {
+                    this.logger.error(`Failed to stop strategy ${name}:`, error);
+                }
+            }
+
+            for (const connector of Object.values(this.blockchain)) {
+                if (typeof connector.stopMempoolWatcher === 'function') {
+                    connector.stopMempoolWatcher();
+                }
+            }
+
             // Stop token scanner
             if (this.tokenScanner && typeof this.tokenScanner.stop === 'function') {
                 try {
@@ -479,22 +585,770 @@ class TradingEngine {
                 this.lastBalanceUpdate = now;
             }
 
-            // Execute active strategies
-            for (const [name, strategy] of Object.entries(this.strategies)) {
+            // Turn strategy opportunities into orders
+            await this.processOpportunities();
+
+            // Monitor active trades
+            await this.monitorTrades();
+        } catch (error) {
+            this.logger.error('Error in main trading loop', error);
+        }
+    }
+
+    /**
+     * Collect opportunities from every strategy, rank them and turn them into orders
+     */
+    async processOpportunities() {
+        // Strategy scans can outlast the loop interval; never run two passes at once
+        if (this.processingOpportunities) return;
+        this.processingOpportunities = true;
+
+        try {
+            await this.tickStrategies();
+            const opportunities = this.rankOpportunities(await this.collectOpportunities());
+
+            for (const opportunity of opportunities) {
                 try {
-                    if (typeof strategy.execute === 'function') {
-                        await strategy.execute();
+                    await this.executeOpportunity(opportunity);
+                } catch (error) {
+                    this.logger.error(`Failed to execute ${opportunity.action} opportunity for ${this.getOpportunityAsset(opportunity)}`, error);
+                }
+            }
+        } finally {
+            this.processingOpportunities = false;
+        }
+    }
+
+    /**
+     * Give every strategy the loop's tick before its opportunities are collected
+     */
+    async tickStrategies() {
+        const tick = { timestamp: Date.now() };
+
+        for (const [name, strategy] of Object.entries(this.strategies)) {
+            if (!strategy || typeof strategy.onTick !== 'function') continue;
+
+            try {
+                await strategy.onTick(tick);
+            } catch (strategyError) {
+                this.logger.error(`Error ticking strategy ${name}`, strategyError);
+            }
+        }
+    }
+
+    async collectOpportunities() {
+        const opportunities = [];
+
+        for (const [name, strategy] of Object.entries(this.strategies)) {
+            if (!strategy || typeof strategy.findOpportunities !== 'function') continue;
+
+            try {
+                const found = await strategy.findOpportunities();
+                if (Array.isArray(found)) {
+                    found.forEach(opportunity => opportunities.push({ ...opportunity, strategy: name }));
+                }
+            } catch (strategyError) {
+                this.logger.error(`Error collecting opportunities from strategy ${name}`, strategyError);
+            }
+        }
+
+        return opportunities;
+    }
+
+    /**
+     * Keep the best opportunity per venue and asset, highest priority first
+     */
+    rankOpportunities(opportunities) {
+        const byAsset = new Map();
+
+        for (const opportunity of opportunities) {
+            if (!opportunity || !opportunity.network || !this.getOpportunityAsset(opportunity)) {
+                this.logger.debug('Ignoring malformed opportunity', { opportunity });
+                continue;
+            }
+
+            const key = this.getOpportunityKey(opportunity);
+            const existing = byAsset.get(key);
+            if (!existing || this.compareOpportunities(opportunity, existing) < 0) {
+                byAsset.set(key, opportunity);
+            }
+        }
+
+        return Array.from(byAsset.values()).sort((a, b) => this.compareOpportunities(a, b));
+    }
+
+    compareOpportunities(a, b) {
+        return ((b.priority || 0) - (a.priority || 0)) || ((b.strength || 0) - (a.strength || 0));
+    }
+
+    getOpportunityAsset(opportunity) {
+        return opportunity.tokenAddress || opportunity.symbol;
+    }
+
+    getOpportunityKey(opportunity) {
+        return `${opportunity.network}:${this.getOpportunityAsset(opportunity).toLowerCase()}`;
+    }
+
+    /**
+     * Open trades plus the entries still being priced and checked
+     */
+    getOpenPositions() {
+        return [...Object.values(this.activeTrades), ...this.pendingEntries.values()];
+    }
+
+    findActiveTrade(venue, asset) {
+        const normalizedAsset = asset.toLowerCase();
+        return Object.values(this.activeTrades).find(trade => {
+            const tradeVenue = trade.exchange === 'dex' ? trade.network : trade.exchange;
+            const tradeAsset = trade.tokenAddress || trade.symbol;
+            return tradeVenue === venue && tradeAsset && tradeAsset.toLowerCase() === normalizedAsset;
+        }) || null;
+    }
+
+    /**
+     * Route an opportunity to its venue and register the resulting position
+     */
+    async executeOpportunity(opportunity) {
+        const venue = opportunity.network;
+        const asset = this.getOpportunityAsset(opportunity);
+        const isDex = !!this.blockchain[venue];
+        const connector = isDex ? this.blockchain[venue] : this.exchanges[venue];
+
+        if (!connector) {
+            this.logger.debug(`No connector available for ${venue}, skipping ${asset}`);
+            return null;
+        }
+
+        const existingTrade = this.findActiveTrade(venue, asset);
+
+        // Positions are spot longs, so a sell signal closes an open position
+        if (opportunity.action === 'sell') {
+            if (existingTrade && existingTrade.side === 'buy') {
+                this.logger.info(`Closing ${asset} on ${venue} on ${opportunity.strategy} sell signal: ${opportunity.reason}`);
+                await this.closeTrade(existingTrade, 'signal');
+            }
+            return null;
+        }
+
+        if (opportunity.action !== 'buy') {
+            this.logger.debug(`Unsupported opportunity action ${opportunity.action} for ${asset}`);
+            return null;
+        }
+
+        // Repeated signals for a position we already hold or are entering are expected, not rejections
+        const key = this.getOpportunityKey(opportunity);
+        if (existingTrade || this.pendingEntries.has(key)) {
+            return null;
+        }
+
+        // Pending liquidity is acted on as it arrives, alongside the opportunity pass, so the asset
+        // is held from here on; the reservation counts toward the risk limits until the trade exists
+        const reservation = {
+            strategy: opportunity.strategy,
+            exchange: isDex ? 'dex' : venue,
+            network: isDex ? venue : undefined,
+            symbol: opportunity.symbol,
+            tokenAddress: opportunity.tokenAddress,
+            status: 'opening'
+        };
+        this.pendingEntries.set(key, reservation);
+        try {
+            return await this.enterPosition(opportunity, { venue, asset, isDex, connector, reservation });
+        } finally {
+            if (this.pendingEntries.get(key) === reservation) {
+                this.pendingEntries.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Price, size and risk-check a buy opportunity, then send the order
+     */
+    async enterPosition(opportunity, { venue, asset, isDex, connector, reservation }) {
+        // A pool whose liquidity is still pending has no on-chain price yet
+        const price = (opportunity.pendingLiquidity && opportunity.pendingLiquidity.price) || await this.getPriceForTrade({
+            exchange: isDex ? 'dex' : venue,
+            network: venue,
+            symbol: opportunity.symbol,
+            tokenAddress: opportunity.tokenAddress
+        });
+        if (!price) {
+            this.logger.warn(`No price available for ${asset} on ${venue}, skipping`);
+            return null;
+        }
+
+        const availableBalance = this.getAvailableBalance(opportunity, isDex);
+        const sizing = await this.sizePosition(opportunity, { isDex, connector, price, availableBalance });
+        if (!sizing.orderValue) {
+            this.rejectOpportunity(opportunity, sizing.reason);
+            return null;
+        }
+        const orderValue = sizing.orderValue;
+        Object.assign(reservation, { entryPrice: price, quantity: orderValue / price });
+
+        const strategy = this.strategies[opportunity.strategy];
+        const decision = this.riskManager.checkOrder({
+            strategy: opportunity.strategy,
+            venue,
+            asset,
+            isDex,
+            orderValue,
+            availableBalance,
+            strategyConfig: strategy && strategy.config
+        }, this.getOpenPositions().filter(position => position !== reservation));
+        if (!decision.allowed) {
+            this.rejectOpportunity(opportunity, decision.reason);
+            return null;
+        }
+
+        if (isDex && typeof connector.swap !== 'function') {
+            this.logger.warn(`${venue} connector does not support swaps, skipping ${asset}`);
+            return null;
+        }
+
+        // Journal the intent first so a crash mid-order leaves a trace to reconcile; from here
+        // the opening trade holds the asset instead of the reservation
+        this.pendingEntries.delete(this.getOpportunityKey(opportunity));
+        const trade = this.createTrade(opportunity, isDex);
+        trade.sizing = { model: sizing.model, orderValue };
+
+        let fill;
+        try {
+            if (isDex) {
+                const swap = await connector.swap({
+                    tokenAddress: opportunity.tokenAddress,
+                    symbol: opportunity.symbol,
+                    side: 'buy',
+                    amount: orderValue,
+                    slippageTolerance: this.getSlippageTolerance(opportunity.strategy),
+                    pendingLiquidity: opportunity.pendingLiquidity,
+                    urgency: this.getGasUrgency(opportunity.strategy, 'entry'),
+                    tax: opportunity.taxes ? opportunity.taxes.buy : undefined
+                });
+                fill = { orderId: swap.txHash, price: swap.price || price, quantity: swap.quantity, gasCost: swap.gasCost };
+            } else {
+                const order = await connector.executeTrade(opportunity.symbol, 'buy', sizing.quantity);
+                fill = { orderId: order.orderId, price: order.price || price, quantity: order.amount };
+            }
+        } catch (error) {
+            delete this.activeTrades[trade.id];
+            this.persistActiveTrades();
+            await this.recordFailedEntry(trade, opportunity, error);
+            throw error;
+        }
+
+        return await this.activateTrade(trade, fill);
+    }
+
+    /**
+     * Keep an entry that never filled in the history as failed, with why; stats and risk limits
+     * leave such records out. Strategies signal again on every scan, so the same failure is only
+     * recorded once a minute.
+     */
+    async recordFailedEntry(trade, opportunity, error) {
+        const failure = this.getTradeError(error);
+        const key = `${this.getOpportunityKey(opportunity)}:failed:${failure.reason}`;
+        const now = Date.now();
+
+        const lastFailed = this.recentRejections.get(key);
+        this.recentRejections.set(key, now);
+        if (lastFailed && now - lastFailed < 60000) {
+            return;
+        }
+
+        Object.assign(trade, {
+            status: 'failed',
+            error: failure,
+            closedAt: new Date(now).toISOString()
+        });
+        this.tradeHistory.push(trade);
+        try {
+            if (this.tradeStore) {
+                this.tradeStore.append(trade);
+            }
+        } catch (saveError) {
+            this.logger.error('Failed to save trade history', saveError);
+        }
+
+        const message = `${trade.strategy} could not open ${trade.symbol || trade.tokenAddress} on ${opportunity.network}: ${failure.reason}`;
+        this.emitLog('warn', message, { strategy: trade.strategy, tradeId: trade.id, error: failure });
+        await this.updateStats();
+
+        if (this.socketIo) {
+            this.socketIo.emit('tradeFailed', {
+                tradeId: trade.id,
+                strategy: trade.strategy,
+                symbol: trade.symbol || trade.tokenAddress,
+                error: failure,
+                timestamp: failure.timestamp
+            });
+        }
+    }
+
+    /**
+     * What went wrong with an order, for the trade record. Swaps the pre-flight simulation
+     * refused carry the decoded revert reason, e.g. TRANSFER_FAILED.
+     */
+    getTradeError(error) {
+        return {
+            code: error.code || null,
+            reason: error.code === 'SIMULATION_FAILED' ? error.reason : error.message,
+            message: error.message,
+            stage: error.stage || null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Log a risk rejection and tell the UI; repeats of the same rejection are throttled
+     */
+    rejectOpportunity(opportunity, reason) {
+        const asset = this.getOpportunityAsset(opportunity);
+        const key = `${this.getOpportunityKey(opportunity)}:${reason}`;
+        const now = Date.now();
+
+        const lastRejected = this.recentRejections.get(key);
+        this.recentRejections.set(key, now);
+        if (lastRejected && now - lastRejected < 60000) {
+            this.logger.debug(`Rejected ${asset} on ${opportunity.network} again: ${reason}`);
+            return;
+        }
+
+        const message = `Rejected ${opportunity.action} of ${asset} on ${opportunity.network} from ${opportunity.strategy}: ${reason}`;
+        this.logger.info(message);
+        this.emitLog('warn', message, { strategy: opportunity.strategy, asset });
+
+        if (this.socketIo) {
+            this.socketIo.emit('orderRejected', {
+                strategy: opportunity.strategy,
+                venue: opportunity.network,
+                asset,
+                symbol: opportunity.symbol,
+                action: opportunity.action,
+                reason,
+                timestamp: new Date(now).toISOString()
+            });
+        }
+    }
+
+    /**
+     * Free quote currency (or native coin on DEXes) available for a new position
+     */
+    getAvailableBalance(opportunity, isDex) {
+        const balances = isDex
+            ? this.balances[opportunity.network] || {}
+            : (this.balances.exchanges || {})[opportunity.network] || {};
+        return parseFloat(balances[this.getQuoteAsset(opportunity, isDex)]) || 0;
+    }
+
+    /**
+     * The currency a position is paid for and valued in: the chain's native coin on DEXes,
+     * the market's quote currency on exchanges
+     */
+    getQuoteAsset(opportunity, isDex) {
+        if (isDex) {
+            const connector = this.blockchain[opportunity.network];
+            return connector ? connector.nativeSymbol : 'ETH';
+        }
+        return opportunity.symbol.split('/')[1] || 'USDT';
+    }
+
+    /**
+     * Size a new position with the strategy's sizing model. On DEXes the gas reserve is held
+     * back from the native balance; on exchanges the market's precision and minimums apply.
+     */
+    async sizePosition(opportunity, { isDex, connector, price, availableBalance }) {
+        const config = this.getSizingConfig(opportunity.strategy);
+        const exits = this.getExitConfig(opportunity.strategy);
+
+        let balance = availableBalance;
+        if (isDex) {
+            balance -= await this.getGasReserve(opportunity.network, connector, config);
+            if (balance <= 0) {
+                return { orderValue: 0, quantity: 0, model: config.model, reason: 'native balance does not cover the gas reserve' };
+            }
+        }
+
+        // A strategy with a capital budget sizes against what is left of its budget, not the whole wallet
+        const strategy = this.strategies[opportunity.strategy];
+        const capital = strategy && strategy.config && strategy.config.capital;
+        if (capital) {
+            balance = CapitalAllocator.getAvailableCapital(
+                opportunity.strategy,
+                capital,
+                opportunity.network,
+                balance,
+                this.getOpenPositions()
+            );
+            if (balance <= 0) {
+                return { orderValue: 0, quantity: 0, model: config.model, reason: `capital budget on ${opportunity.network} is used up` };
+            }
+        }
+
+        let atr = null;
+        if (config.model === 'atr' && !isDex) {
+            atr = await this.fetchATR(connector, opportunity.symbol, config.atrPeriod || 14, config.atrTimeframe || '1h');
+        }
+
+        const history = config.model === 'kelly'
+            ? this.tradeHistory.filter(trade => trade.strategy === opportunity.strategy && trade.status === 'completed').slice(-(config.kellyLookback || 50))
+            : [];
+
+        return this.positionSizer.calculate({
+            config,
+            balance,
+            price,
+            stopLossPercentage: exits.stopLossPercentage,
+            atr,
+            history,
+            maxOrderValue: opportunity.amount,
+            marketLimits: !isDex && typeof connector.getMarketLimits === 'function'
+                ? connector.getMarketLimits(opportunity.symbol)
+                : null,
+            roundQuantity: !isDex && typeof connector.amountToPrecision === 'function'
+                ? quantity => connector.amountToPrecision(opportunity.symbol, quantity)
+                : null
+        });
+    }
+
+    /**
+     * DEX slippage tolerance (percent): the strategy's own setting, then config.trading; connectors
+     * fall back to their chain's slippageTolerance when neither is set
+     */
+    getSlippageTolerance(strategyName) {
+        const strategy = this.strategies[strategyName];
+        const strategyConfig = (strategy && strategy.config) || {};
+        const tolerance = strategyConfig.slippageTolerance !== undefined
+            ? strategyConfig.slippageTolerance
+            : this.tradingConfig.slippageTolerance;
+        return tolerance !== undefined ? parseFloat(tolerance) : undefined;
+    }
+
+    /**
+     * Gas fee tier (slow, standard, fast or urgent) of a strategy's DEX entries or exits: its
+     * gasUrgency setting, otherwise standard entries and fast exits
+     */
+    getGasUrgency(strategyName, leg) {
+        const strategy = this.strategies[strategyName];
+        const gasUrgency = (strategy && strategy.config && strategy.config.gasUrgency) || {};
+        return gasUrgency[leg] || (leg === 'exit' ? 'fast' : 'standard');
+    }
+
+    /**
+     * Sizing settings for a strategy's trades: config.trading.positionSizing, overridden by the
+     * strategy's own positionSizing. model is one of fixedPercentage, fixedRisk, atr or kelly.
+     */
+    getSizingConfig(strategyName) {
+        const strategy = this.strategies[strategyName];
+        const strategyConfig = (strategy && strategy.config) || {};
+        const walletBuyPercentage = parseFloat(this.tradingConfig.walletBuyPercentage) || 0;
+        const riskPercentage = parseFloat(this.tradingConfig.defaultRiskPercentage) || 2;
+
+        return {
+            model: 'fixedPercentage',
+            percentage: walletBuyPercentage || riskPercentage,
+            riskPercentage,
+            maxPercentage: walletBuyPercentage || 100,
+            ...(this.tradingConfig.positionSizing || {}),
+            ...(strategyConfig.positionSizing || {})
+        };
+    }
+
+    /**
+     * Native coin kept back for gas: the configured reserve, or the cost of an approve plus a buy
+     * and a sell swap at fast fees if that is higher
+     */
+    async getGasReserve(network, connector, config) {
+        const reserves = config.gasReserve || {};
+        const configured = parseFloat(reserves[network]) || 0;
+
+        let estimated = 0;
+        try {
+            if (connector.gasOracle) {
+                const { fast } = await connector.gasOracle.getFeeTiers();
+                const gasPrice = fast.maxFeePerGas || fast.gasPrice;
+                estimated = parseFloat(ethers.utils.formatEther(gasPrice.mul(3 * 200000)));
+            }
+        } catch (error) {
+            this.logger.debug(`Could not estimate gas reserve on ${network}: ${error.message}`);
+        }
+
+        return Math.max(configured, estimated);
+    }
+
+    async fetchATR(exchange, symbol, period, timeframe) {
+        if (!exchange || typeof exchange.fetchOHLCV !== 'function') {
+            return null;
+        }
+
+        const candles = await exchange.fetchOHLCV(symbol, timeframe, undefined, period + 1);
+        return calculateATR(candles, period);
+    }
+
+    /**
+     * Register a trade in the 'opening' state before its order is sent
+     */
+    createTrade(opportunity, isDex) {
+        const trade = {
+            id: uuidv4(),
+            strategy: opportunity.strategy,
+            strategyType: this.strategies[opportunity.strategy] ? this.strategies[opportunity.strategy].type : undefined,
+            exchange: isDex ? 'dex' : opportunity.network,
+            network: isDex ? opportunity.network : undefined,
+            symbol: opportunity.symbol,
+            tokenAddress: opportunity.tokenAddress,
+            quoteAsset: this.getQuoteAsset(opportunity, isDex),
+            side: 'buy',
+            reason: opportunity.reason,
+            // Buy and sell tax the strategy measured, if it did; exits take the sell tax into account
+            taxes: opportunity.taxes,
+            unrealizedProfitLoss: 0,
+            status: 'opening',
+            timestamp: new Date().toISOString()
+        };
+        if (this.paperTrading) {
+            trade.paper = true;
+        }
+
+        this.activeTrades[trade.id] = trade;
+        this.persistActiveTrades();
+        return trade;
+    }
+
+    async activateTrade(trade, fill) {
+        const exits = this.getExitConfig(trade.strategy);
+
+        Object.assign(trade, {
+            orderId: fill.orderId,
+            entryPrice: fill.price,
+            currentPrice: fill.price,
+            quantity: fill.quantity,
+            initialQuantity: fill.quantity,
+            realizedProfitLoss: 0,
+            partialFills: [],
+            gasCost: fill.gasCost || 0,
+            stopLoss: fill.price * (1 - exits.stopLossPercentage / 100),
+            // A ladder replaces the single take-profit so the remainder can run
+            takeProfit: exits.takeProfitLadder.length > 0 ? null : fill.price * (1 + exits.takeProfitPercentage / 100),
+            status: 'active'
+        });
+
+        if (exits.takeProfitLadder.length > 0) {
+            trade.takeProfitLadder = exits.takeProfitLadder.map(level => ({
+                profitPercentage: level.profitPercentage,
+                closePercentage: level.closePercentage,
+                price: fill.price * (1 + level.profitPercentage / 100),
+                filled: false
+            }));
+        }
+
+        if (exits.trailingStop && exits.trailingStop.enabled) {
+            trade.trailingStop = await this.createTrailingStop(trade, exits.trailingStop);
+        }
+        this.persistActiveTrades();
+        this.riskManager.recordOpen(trade);
+        await this.updateStats();
+
+        this.logger.info(`Opened ${trade.symbol || trade.tokenAddress} position via ${trade.strategy}: ${trade.quantity} @ ${trade.entryPrice}`);
+
+        if (this.socketIo) {
+            this.socketIo.emit('tradeOpened', {
+                tradeId: trade.id,
+                trade,
+                timestamp: trade.timestamp
+            });
+        }
+
+        return trade;
+    }
+
+    /**
+     * Build the risk manager from config.trading and seed it with current trades
+     */
+    initializeRiskManager() {
+        this.riskManager = new RiskManager(this.tradingConfig, new Logger('RiskManager'));
+        this.riskManager.initialize(Object.values(this.activeTrades), this.tradeHistory, this.paperTrading);
+
+        this.riskManager.on('paused', (data) => {
+            this.emitLog('warn', `New entries paused: ${data.reason}`, data);
+            if (this.socketIo) {
+                this.socketIo.emit('riskPaused', { ...data, timestamp: new Date().toISOString() });
+            }
+        });
+
+        this.riskManager.on('resumed', () => {
+            this.emitLog('info', 'New entries resumed');
+            if (this.socketIo) {
+                this.socketIo.emit('riskResumed', { timestamp: new Date().toISOString() });
+            }
+        });
+    }
+
+    /**
+     * Exit settings for a strategy's trades: the strategy's own config overrides config.trading.
+     * takeProfitLadder is a list of { profitPercentage, closePercentage } legs, where
+     * closePercentage is a share of the initial position; anything not laddered out runs
+     * until the (trailing) stop. trailingStop is { enabled, type: 'percentage' | 'atr',
+     * percentage, atrMultiplier, atrPeriod, atrTimeframe, activationPercentage }.
+     */
+    getExitConfig(strategyName) {
+        const strategy = this.strategies[strategyName];
+        const strategyConfig = (strategy && strategy.config) || {};
+
+        return {
+            // stopLoss / takeProfit are the older config keys for the same percentages
+            stopLossPercentage: strategyConfig.stopLossPercentage || this.tradingConfig.stopLossPercentage ||
+                parseFloat(this.tradingConfig.stopLoss) || 5,
+            takeProfitPercentage: strategyConfig.takeProfitPercentage || this.tradingConfig.takeProfitPercentage ||
+                parseFloat(this.tradingConfig.takeProfit) || 10,
+            trailingStop: strategyConfig.trailingStop || this.tradingConfig.trailingStop || null,
+            takeProfitLadder: strategyConfig.takeProfitLadder || this.tradingConfig.takeProfitLadder || []
+        };
+    }
+
+    async createTrailingStop(trade, config) {
+        const trailingStop = {
+            type: config.type || 'percentage',
+            percentage: config.percentage || 10,
+            atrMultiplier: config.atrMultiplier || 3,
+            activationPercentage: config.activationPercentage || 0,
+            highWaterMark: trade.entryPrice,
+            activated: false
+        };
+
+        if (trailingStop.type === 'atr') {
+            // ATR is measured once at entry; DEX tokens have no candle source
+            const exchange = trade.exchange !== 'dex' ? this.exchanges[trade.exchange] : null;
+            trailingStop.atr = await this.fetchATR(exchange, trade.symbol, config.atrPeriod || 14, config.atrTimeframe || '1h');
+
+            if (!trailingStop.atr) {
+                this.logger.warn(`No ATR available for ${trade.symbol || trade.tokenAddress}, trailing by ${trailingStop.percentage}% instead`);
+                trailingStop.type = 'percentage';
+            }
+        }
+
+        return trailingStop;
+    }
+
+    /**
+     * Write the open trades to the journal; called on every trade state change
+     */
+    persistActiveTrades() {
+        if (!this.tradeJournal) return;
+
+        try {
+            this.tradeJournal.save(Object.values(this.activeTrades));
+        } catch (error) {
+            this.logger.error('Failed to persist active trades', error);
+        }
+    }
+
+    /**
+     * Reload journaled trades and reconcile each against balances and open orders.
+     * Trades that can't be matched are kept but flagged and excluded from monitoring.
+     */
+    async recoverActiveTrades() {
+        try {
+            const journalPath = typeof this.configManager.getActiveTradesPath === 'function'
+                ? this.configManager.getActiveTradesPath()
+                : null;
+            if (!journalPath) {
+                this.logger.warn('No active trades journal path configured');
+                return;
+            }
+
+            this.tradeJournal = new TradeJournal(journalPath, new Logger('TradeJournal'));
+            const trades = this.tradeJournal.load();
+            if (trades.length === 0) return;
+
+            this.logger.info(`Recovering ${trades.length} journaled trades`);
+
+            for (const trade of trades) {
+                const reconciliation = await this.reconcileTrade(trade);
+                trade.reconciliation = {
+                    ...reconciliation,
+                    checkedAt: new Date().toISOString()
+                };
+
+                if (reconciliation.matched) {
+                    // Flagged on an earlier start but matched now
+                    if (trade.status === 'unreconciled') {
+                        trade.status = 'active';
                     }
-                } catch (strategyError) {
-                    this.logger.error(`Error executing strategy ${name}`, strategyError);
+                    this.logger.info(`Recovered trade ${trade.id} (${trade.symbol || trade.tokenAddress}): ${reconciliation.reason}`);
+                } else {
+                    trade.status = 'unreconciled';
+                    const message = `Trade ${trade.id} (${trade.symbol || trade.tokenAddress}) could not be reconciled: ${reconciliation.reason}`;
+                    this.logger.warn(message);
+                    this.emitLog('warn', message, { tradeId: trade.id });
                 }
+
+                this.activeTrades[trade.id] = trade;
             }
 
-            // Monitor active trades
-            await this.monitorTrades();
+            this.persistActiveTrades();
         } catch (error) {
-            this.logger.error('Error in main trading loop', error);
+            this.logger.error('Failed to recover active trades', error);
+        }
+    }
+
+    /**
+     * Check a recovered trade against the venue; resolves to { matched, reason }
+     */
+    async reconcileTrade(trade) {
+        if (trade.status === 'opening') {
+            return { matched: false, reason: 'interrupted while opening, order outcome unknown' };
+        }
+
+        if (!!trade.paper !== this.paperTrading) {
+            return { matched: false, reason: `opened in ${trade.paper ? 'paper' : 'live'} mode` };
+        }
+
+        const isDex = trade.exchange === 'dex';
+        const venue = isDex ? trade.network : trade.exchange;
+        const connector = isDex ? this.blockchain[venue] : this.exchanges[venue];
+        if (!connector) {
+            return { matched: false, reason: `${venue} connector unavailable` };
+        }
+
+        // Virtual balances don't survive a restart, so re-credit the position instead
+        if (trade.paper) {
+            const asset = isDex ? trade.tokenAddress : trade.symbol.split('/')[0];
+            this.paperBroker.creditPosition(venue, asset, trade.quantity);
+            return { matched: true, reason: 'paper position restored' };
+        }
+
+        // Allow for exchange fees taken from the received asset
+        const requiredQuantity = trade.quantity * 0.99;
+
+        if (isDex) {
+            if (typeof connector.getTokenBalance !== 'function') {
+                return { matched: false, reason: `${venue} connector cannot read token balances` };
+            }
+            const balance = await connector.getTokenBalance(trade.tokenAddress);
+            if (balance === null) {
+                return { matched: false, reason: 'token balance unavailable' };
+            }
+            return balance >= requiredQuantity
+                ? { matched: true, reason: `on-chain balance ${balance}` }
+                : { matched: false, reason: `on-chain balance ${balance} below position size ${trade.quantity}` };
+        }
+
+        const baseAsset = trade.symbol.split('/')[0];
+        const balances = (this.balances.exchanges || {})[venue] || {};
+        const balance = parseFloat(balances[baseAsset]) || 0;
+        if (balance >= requiredQuantity) {
+            return { matched: true, reason: `${baseAsset} balance ${balance}` };
+        }
+
+        if (trade.orderId && typeof connector.getOpenOrders === 'function') {
+            const openOrders = await connector.getOpenOrders();
+            if (Array.isArray(openOrders) && openOrders.some(order => String(order.id) === String(trade.orderId))) {
+                return { matched: true, reason: `order ${trade.orderId} still open` };
+            }
         }
+
+        return { matched: false, reason: `${baseAsset} balance ${balance} below position size ${trade.quantity}` };
     }
 
     async _monitor() {
@@ -511,12 +1365,16 @@ class TradingEngine {
     async monitorTrades() {
         try {
             for (const [tradeId, trade] of Object.entries(this.activeTrades)) {
+                // Orders in flight and unreconciled positions are not ours to manage yet
+                if (trade.status === 'opening' || trade.status === 'unreconciled' || this.closingTrades.has(tradeId)) continue;
+
                 try {
                     const updatedTrade = await this.updateTradeStatus(trade);
                     
                     if (updatedTrade.status === 'completed' || updatedTrade.status === 'failed') {
+                        // closeTrade has already recorded the trade in the history
                         delete this.activeTrades[tradeId];
-                        this.tradeHistory.push(updatedTrade);
+                        this.persistActiveTrades();
                         await this.updateStats();
                         
                         if (this.socketIo) {
@@ -527,7 +1385,8 @@ class TradingEngine {
                                 timestamp: new Date().toISOString()
                             });
                         }
-                    } else {
+                    } else if (this.activeTrades[tradeId]) {
+                        // Unless an exit from elsewhere closed it while its price was fetched
                         this.activeTrades[tradeId] = updatedTrade;
                         
                         if (this.socketIo) {
@@ -552,29 +1411,58 @@ class TradingEngine {
     async updateTradeStatus(trade) {
         try {
             const updatedTrade = { ...trade };
+            let stateChanged = false;
             
             // Get current price for the trading pair
             const currentPrice = await this.getPriceForTrade(trade);
             updatedTrade.currentPrice = currentPrice;
             
-            // Calculate unrealized profit/loss
-            const unrealizedPL = this.calculateUnrealizedProfitLoss(trade, currentPrice);
-            updatedTrade.unrealizedProfitLoss = unrealizedPL;
+            // Ratchet the trailing stop before checking exits
+            const trailing = tradeRules.updateTrailingStop(updatedTrade, currentPrice);
+            if (trailing && (trailing.highWaterMark !== updatedTrade.trailingStop.highWaterMark ||
+                trailing.stopLoss !== updatedTrade.stopLoss)) {
+                updatedTrade.trailingStop = {
+                    ...updatedTrade.trailingStop,
+                    highWaterMark: trailing.highWaterMark,
+                    activated: updatedTrade.trailingStop.activated || trailing.stopLoss !== updatedTrade.stopLoss
+                };
+                updatedTrade.stopLoss = trailing.stopLoss;
+                stateChanged = true;
+            }
             
             // Check stop loss and take profit conditions
-            if (this.shouldTriggerStopLoss(trade, currentPrice)) {
-                await this.closeTrade(trade, 'stop_loss');
-                updatedTrade.status = 'completed';
-                updatedTrade.closeReason = 'stop_loss';
-            } else if (this.shouldTriggerTakeProfit(trade, currentPrice)) {
-                await this.closeTrade(trade, 'take_profit');
-                updatedTrade.status = 'completed';
-                updatedTrade.closeReason = 'take_profit';
+            // A failed close leaves the position open to be retried on the next pass
+            if (this.shouldTriggerStopLoss(updatedTrade, currentPrice)) {
+                const reason = updatedTrade.trailingStop && updatedTrade.trailingStop.activated ? 'trailing_stop' : 'stop_loss';
+                if (await this.closeTrade(updatedTrade, reason)) {
+                    updatedTrade.status = 'completed';
+                    updatedTrade.closeReason = reason;
+                }
+            } else if (this.shouldTriggerTakeProfit(updatedTrade, currentPrice)) {
+                if (await this.closeTrade(updatedTrade, 'take_profit')) {
+                    updatedTrade.status = 'completed';
+                    updatedTrade.closeReason = 'take_profit';
+                }
+            } else {
+                for (const level of tradeRules.getTriggeredTakeProfitLevels(updatedTrade, currentPrice)) {
+                    stateChanged = true;
+                    if (await this.takeLadderProfit(updatedTrade, level)) {
+                        break;
+                    }
+                }
             }
             
+            // Calculate unrealized profit/loss on what is still open
+            updatedTrade.unrealizedProfitLoss = this.calculateUnrealizedProfitLoss(updatedTrade, currentPrice);
+            
             // Update trade timestamps
             updatedTrade.lastUpdated = new Date().toISOString();
             
+            if (stateChanged && updatedTrade.status !== 'completed') {
+                this.activeTrades[trade.id] = updatedTrade;
+                this.persistActiveTrades();
+            }
+            
             return updatedTrade;
         } catch (error) {
             this.logger.error(`Error updating trade status for trade ${trade.id}`, error);
@@ -582,6 +1470,112 @@ class TradingEngine {
         }
     }
 
+    /**
+     * Fill one take-profit ladder leg. Resolves to true if the leg closed the whole position.
+     */
+    async takeLadderProfit(trade, level) {
+        const quantity = Math.min(trade.initialQuantity * (level.closePercentage / 100), trade.quantity);
+        const reason = `take_profit_${level.profitPercentage}%`;
+
+        // Don't leave dust behind when the ladder adds up to the whole position
+        if (trade.quantity - quantity <= trade.initialQuantity * 1e-6) {
+            if (!(await this.closeTrade(trade, reason))) {
+                return false;
+            }
+            level.filled = true;
+            trade.status = 'completed';
+            trade.closeReason = reason;
+            return true;
+        }
+
+        if (await this.partialCloseTrade(trade, quantity, reason)) {
+            level.filled = true;
+        }
+        return false;
+    }
+
+    /**
+     * Close part of a position, recording the leg and its realized P/L on the trade. Resolves
+     * to null without selling if another exit of the trade is in flight.
+     */
+    async partialCloseTrade(trade, quantity, reason) {
+        if (this.closingTrades.has(trade.id)) {
+            return null;
+        }
+
+        this.closingTrades.add(trade.id);
+        let exitPrice;
+        try {
+            exitPrice = await this.executeExit(trade, quantity) || trade.currentPrice;
+        } finally {
+            this.closingTrades.delete(trade.id);
+        }
+        const realizedProfitLoss = tradeRules.calculateRealizedProfitLoss(trade, exitPrice, quantity);
+
+        const fill = {
+            quantity,
+            price: exitPrice,
+            realizedProfitLoss,
+            reason,
+            timestamp: new Date().toISOString()
+        };
+
+        trade.partialFills = [...(trade.partialFills || []), fill];
+        trade.quantity -= quantity;
+        trade.realizedProfitLoss = (trade.realizedProfitLoss || 0) + realizedProfitLoss;
+
+        this.activeTrades[trade.id] = trade;
+        this.persistActiveTrades();
+
+        this.logger.info(`Partially closed ${trade.symbol || trade.tokenAddress} (${reason}): ${quantity} @ ${exitPrice}, realized P/L ${realizedProfitLoss}`);
+
+        if (this.socketIo) {
+            this.socketIo.emit('tradePartiallyClosed', {
+                tradeId: trade.id,
+                reason,
+                quantity,
+                price: exitPrice,
+                realizedProfitLoss,
+                remainingQuantity: trade.quantity,
+                timestamp: fill.timestamp
+            });
+        }
+
+        return fill;
+    }
+
+    /**
+     * Sell `quantity` of a position on its venue; resolves to the fill price
+     */
+    async executeExit(trade, quantity) {
+        const side = trade.side === 'buy' ? 'sell' : 'buy';
+
+        if (trade.exchange === 'dex') {
+            const connector = this.blockchain[trade.network];
+            if (!connector || typeof connector.swap !== 'function') {
+                throw new Error(`${trade.network} connector cannot execute swaps`);
+            }
+            const swap = await connector.swap({
+                tokenAddress: trade.tokenAddress,
+                symbol: trade.symbol,
+                side,
+                amount: quantity,
+                slippageTolerance: this.getSlippageTolerance(trade.strategy),
+                urgency: this.getGasUrgency(trade.strategy, 'exit'),
+                tax: trade.taxes ? trade.taxes.sell : undefined
+            });
+            trade.gasCost = (trade.gasCost || 0) + (swap.gasCost || 0);
+            return swap.price;
+        }
+
+        const exchange = this.exchanges[trade.exchange];
+        if (!exchange) {
+            throw new Error(`${trade.exchange} exchange unavailable`);
+        }
+        const order = await exchange.executeTrade(trade.symbol, side, quantity);
+        return order.price;
+    }
+
     async getPriceForTrade(trade) {
         try {
             if (trade.exchange === 'dex') {
@@ -596,6 +1590,9 @@ class TradingEngine {
                 if (exchange && typeof exchange.getPrice === 'function') {
                     return await exchange.getPrice(trade.symbol);
                 }
+                if (exchange && typeof exchange.getCurrentPrice === 'function') {
+                    return await exchange.getCurrentPrice(trade.symbol);
+                }
             }
             throw new Error('No valid price source found for trade');
         } catch (error) {
@@ -606,15 +1603,7 @@ class TradingEngine {
 
     calculateUnrealizedProfitLoss(trade, currentPrice) {
         try {
-            if (!currentPrice || !trade.entryPrice || !trade.quantity) {
-                return 0;
-            }
-            
-            const difference = trade.side === 'buy' 
-                ? currentPrice - trade.entryPrice 
-                : trade.entryPrice - currentPrice;
-                
-            return difference * trade.quantity;
+            return tradeRules.calculateUnrealizedProfitLoss(trade, currentPrice);
         } catch (error) {
             this.logger.error(`Error calculating unrealized P/L for trade ${trade.id}`, error);
             return 0;
@@ -623,15 +1612,7 @@ class TradingEngine {
 
     shouldTriggerStopLoss(trade, currentPrice) {
         try {
-            if (!trade.stopLoss || !currentPrice) {
-                return false;
-            }
-            
-            if (trade.side === 'buy') {
-                return currentPrice <= trade.stopLoss;
-            } else {
-                return currentPrice >= trade.stopLoss;
-            }
+            return tradeRules.shouldTriggerStopLoss(trade, currentPrice);
         } catch (error) {
             this.logger.error(`Error checking stop loss for trade ${trade.id}`, error);
             return false;
@@ -640,57 +1621,77 @@ class TradingEngine {
 
     shouldTriggerTakeProfit(trade, currentPrice) {
         try {
-            if (!trade.takeProfit || !currentPrice) {
-                return false;
-            }
-            
-            if (trade.side === 'buy') {
-                return currentPrice >= trade.takeProfit;
-            } else {
-                return currentPrice <= trade.takeProfit;
-            }
+            return tradeRules.shouldTriggerTakeProfit(trade, currentPrice);
         } catch (error) {
             this.logger.error(`Error checking take profit for trade ${trade.id}`, error);
             return false;
         }
     }
 
+    /**
+     * Sell the rest of a position and move it to the history. Resolves to false if the exit
+     * failed, or if the trade is already closed or has another exit in flight.
+     */
     async closeTrade(trade, reason) {
+        if (this.closingTrades.has(trade.id) || !this.activeTrades[trade.id]) {
+            return false;
+        }
+
+        this.closingTrades.add(trade.id);
+        try {
+            return await this.executeClose(trade, reason);
+        } finally {
+            this.closingTrades.delete(trade.id);
+        }
+    }
+
+    async executeClose(trade, reason) {
         try {
             if (trade.exchange === 'dex') {
                 const connector = this.blockchain[trade.network];
                 if (connector && typeof connector.closePosition === 'function') {
-                    await connector.closePosition(trade);
+                    const fill = await connector.closePosition(trade, {
+                        urgency: this.getGasUrgency(trade.strategy, 'exit'),
+                        slippageTolerance: this.getSlippageTolerance(trade.strategy)
+                    });
+                    trade.closeTxHash = fill && fill.txHash;
+                    trade.gasCost = (trade.gasCost || 0) + ((fill && fill.gasCost) || 0);
                 }
             } else {
                 const exchange = this.exchanges[trade.exchange];
                 if (exchange && typeof exchange.closePosition === 'function') {
                     await exchange.closePosition(trade);
+                } else if (exchange) {
+                    trade.closePrice = await this.executeExit(trade, trade.quantity);
                 }
             }
             
             trade.status = 'completed';
             trade.closeReason = reason;
             trade.closedAt = new Date().toISOString();
+            if (this.paperTrading) {
+                trade.paper = true;
+            }
             
-            trade.profitLoss = this.calculateUnrealizedProfitLoss(
+            // Legs already taken off by partial closes plus the remainder closed now
+            trade.profitLoss = (trade.realizedProfitLoss || 0) + this.calculateUnrealizedProfitLoss(
                 trade,
                 trade.closePrice || trade.currentPrice
             );
+            this.riskManager.recordClose(trade);
             
             // Save trade history
+            this.tradeHistory.push(trade);
             try {
-                const fs = require('fs');
-                const historyPath = this.configManager.getTradeHistoryPath();
-                if (historyPath) {
-                    this.tradeHistory.push(trade);
-                    fs.writeFileSync(historyPath, JSON.stringify(this.tradeHistory, null, 2), 'utf8');
+                if (this.tradeStore) {
+                    this.tradeStore.append(trade);
                 }
             } catch (saveError) {
                 this.logger.error('Failed to save trade history', saveError);
             }
             
             delete this.activeTrades[trade.id];
+            this.persistActiveTrades();
             
             await this.updateStats();
             
@@ -699,6 +1700,7 @@ class TradingEngine {
                     tradeId: trade.id,
                     reason,
                     profitLoss: trade.profitLoss,
+                    paper: !!trade.paper,
                     timestamp: new Date().toISOString()
                 });
             }
@@ -706,24 +1708,44 @@ class TradingEngine {
             return true;
         } catch (error) {
             this.logger.error(`Error closing trade ${trade.id}`, error);
+            // The position stays open; keep why the exit failed on it for the dashboard
+            trade.lastError = this.getTradeError(error);
+            if (this.activeTrades[trade.id]) {
+                this.activeTrades[trade.id] = trade;
+                this.persistActiveTrades();
+            }
+            if (this.socketIo) {
+                this.socketIo.emit('tradeFailed', {
+                    tradeId: trade.id,
+                    strategy: trade.strategy,
+                    symbol: trade.symbol || trade.tokenAddress,
+                    error: trade.lastError,
+                    timestamp: trade.lastError.timestamp
+                });
+            }
             return false;
         }
     }
 
     async updateStats() {
         try {
+            // Only report trades from the current mode so paper P&L never mixes with real P&L
+            const history = this.getModeClosedTrades();
             const stats = {
-                totalTrades: this.tradeHistory.length,
-                successfulTrades: this.tradeHistory.filter(t => t.status === 'completed' && t.profitLoss > 0).length,
-                failedTrades: this.tradeHistory.filter(t => t.status === 'failed' || t.profitLoss <= 0).length,
-                profitLoss: this.calculateTotalProfitLoss(),
+                totalTrades: history.length,
+                successfulTrades: history.filter(t => t.profitLoss > 0).length,
+                failedTrades: history.filter(t => t.profitLoss <= 0).length,
+                failedEntries: this.getModeTradeHistory().length - history.length,
+                profitLoss: this.calculateTotalProfitLoss(history, this.getFilledActiveTrades()),
                 startTime: this.stats.startTime,
-                lastTradeTime: this.tradeHistory.length > 0 ? 
-                    this.tradeHistory[this.tradeHistory.length - 1].timestamp : null
+                lastTradeTime: history.length > 0 ? 
+                    history[history.length - 1].timestamp : null,
+                paperTrading: this.paperTrading
             };
             
             stats.winRate = stats.totalTrades > 0 ? 
                 (stats.successfulTrades / stats.totalTrades) * 100 : 0;
+            stats.strategies = this.getStrategyStats(history);
             
             this.stats = stats;
             
@@ -738,14 +1760,31 @@ class TradingEngine {
         }
     }
 
-    calculateTotalProfitLoss() {
+    getModeTradeHistory() {
+        return this.tradeHistory.filter(trade => !!trade.paper === this.paperTrading);
+    }
+
+    /**
+     * Trades of the current mode that were opened and closed. Entries that never filled stay in
+     * the history for their error, but they are not trades.
+     */
+    getModeClosedTrades() {
+        return this.getModeTradeHistory().filter(trade => trade.status !== 'failed');
+    }
+
+    /**
+     * Realized P&L of closed trades plus the partial take-profits of open ones, so it adds up
+     * with the per-strategy breakdown
+     */
+    calculateTotalProfitLoss(history = this.tradeHistory, activeTrades = []) {
         try {
-            return this.tradeHistory.reduce((total, trade) => {
+            const closed = history.reduce((total, trade) => {
                 if (trade.profitLoss) {
                     return total + trade.profitLoss;
                 }
                 return total;
             }, 0);
+            return activeTrades.reduce((total, trade) => total + (trade.realizedProfitLoss || 0), closed);
         } catch (error) {
             this.logger.error('Error calculating total profit/loss', error);
             return 0;
@@ -760,19 +1799,13 @@ class TradingEngine {
                 exchanges: {}
             };
 
-            if (this.blockchain.ethereum && typeof this.blockchain.ethereum.getBalances === 'function') {
-                try {
-                    balances.ethereum = await this.blockchain.ethereum.getBalances();
-                } catch (error) {
-                    this.logger.warn('Failed to get Ethereum balances:', error.message);
-                }
-            }
-
-            if (this.blockchain.bnbChain && typeof this.blockchain.bnbChain.getBalances === 'function') {
-                try {
-                    balances.bnbChain = await this.blockchain.bnbChain.getBalances();
-                } catch (error) {
-                    this.logger.warn('Failed to get BNB Chain balances:', error.message);
+            for (const [network, connector] of Object.entries(this.blockchain)) {
+                if (connector && typeof connector.getBalances === 'function') {
+                    try {
+                        balances[network] = await connector.getBalances();
+                    } catch (error) {
+                        this.logger.warn(`Failed to get ${network} balances:`, error.message);
+                    }
                 }
             }
 
@@ -815,6 +1848,30 @@ class TradingEngine {
         }
     }
 
+    /**
+     * Strategies that answer a pending liquidity transaction with an opportunity have it
+     * executed straight away instead of on the next opportunity pass
+     */
+    async handleLiquidityPending(event) {
+        if (this.socketIo) {
+            this.socketIo.emit('liquidityPending', { ...event, timestamp: new Date().toISOString() });
+        }
+        if (!this.running) return;
+
+        await Promise.all(Object.entries(this.strategies).map(async ([name, strategy]) => {
+            if (!strategy || typeof strategy.onLiquidityPending !== 'function') return;
+
+            try {
+                const opportunity = await strategy.onLiquidityPending(event);
+                if (opportunity) {
+                    await this.executeOpportunity({ ...opportunity, strategy: name });
+                }
+            } catch (error) {
+                this.logger.error(`Error handling pending liquidity for ${event.tokenAddress} in strategy ${name}`, error);
+            }
+        }));
+    }
+
     // Getter methods
     getActiveTrades() {
         return this.activeTrades;
@@ -824,12 +1881,103 @@ class TradingEngine {
         return this.tradeHistory;
     }
 
+    /**
+     * Filtered, paginated history; see TradeStore.query for the supported filters
+     */
+    queryTradeHistory(filters = {}) {
+        if (this.tradeStore) {
+            return this.tradeStore.query(filters);
+        }
+        return {
+            trades: this.tradeHistory,
+            pagination: { page: 1, limit: this.tradeHistory.length, total: this.tradeHistory.length, pages: 1 }
+        };
+    }
+
     getBalances() {
         return this.balances;
     }
 
+    /**
+     * Transactions sent from each chain's wallet, keyed by network
+     */
+    getTransactions() {
+        const transactions = {};
+        for (const [network, connector] of Object.entries(this.blockchain)) {
+            if (typeof connector.getTransactions === 'function') {
+                transactions[network] = connector.getTransactions();
+            }
+        }
+        return transactions;
+    }
+
+    async speedUpTransaction(network, hash) {
+        const connector = this.blockchain[network];
+        if (!connector || typeof connector.speedUpTransaction !== 'function') {
+            throw new Error(`${network} connector cannot replace transactions`);
+        }
+        return await connector.speedUpTransaction(hash);
+    }
+
+    async cancelTransaction(network, hash) {
+        const connector = this.blockchain[network];
+        if (!connector || typeof connector.cancelTransaction !== 'function') {
+            throw new Error(`${network} connector cannot replace transactions`);
+        }
+        return await connector.cancelTransaction(hash);
+    }
+
+    /**
+     * Health of every chain's RPC endpoints, keyed by network
+     */
+    getRpcStatus() {
+        const status = {};
+        for (const [network, connector] of Object.entries(this.blockchain)) {
+            if (typeof connector.getRpcStatus === 'function') {
+                status[network] = connector.getRpcStatus();
+            }
+        }
+        return status;
+    }
+
     getStats() {
-        return this.stats;
+        // Open positions move every tick, so P&L and the per-strategy breakdown are recomputed on request
+        const history = this.getModeClosedTrades();
+        return {
+            ...this.stats,
+            profitLoss: this.calculateTotalProfitLoss(history, this.getFilledActiveTrades()),
+            strategies: this.getStrategyStats(history)
+        };
+    }
+
+    getStrategyStats(history) {
+        return CapitalAllocator.getStrategyStats(Object.keys(this.strategies), history, this.getFilledActiveTrades());
+    }
+
+    /**
+     * Open positions whose entry has filled
+     */
+    getFilledActiveTrades() {
+        return Object.values(this.activeTrades).filter(trade => trade.status !== 'opening');
+    }
+
+    getRiskStatus() {
+        return this.riskManager.getStatus();
+    }
+
+    resumeTrading() {
+        this.riskManager.resume();
+    }
+
+    isPaperTrading() {
+        return this.paperTrading;
+    }
+
+    getPaperTradingStatus() {
+        if (!this.paperTrading || !this.paperBroker) {
+            return { enabled: false };
+        }
+        return this.paperBroker.getStatus();
     }
 
     isRunning() {
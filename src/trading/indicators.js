@@ -0,0 +1,33 @@
+/**
+ * Indicators
+ * Technical indicators computed from OHLCV candles ([timestamp, open, high, low, close, volume])
+ */
+
+/**
+ * Average True Range over the last `period` candles, or null if there are too few
+ */
+function calculateATR(candles, period = 14) {
+    if (!Array.isArray(candles) || candles.length < period + 1) {
+        return null;
+    }
+
+    const recent = candles.slice(-(period + 1));
+    let trueRangeSum = 0;
+
+    for (let i = 1; i < recent.length; i++) {
+        const high = recent[i][2];
+        const low = recent[i][3];
+        const previousClose = recent[i - 1][4];
+        trueRangeSum += Math.max(
+            high - low,
+            Math.abs(high - previousClose),
+            Math.abs(low - previousClose)
+        );
+    }
+
+    return trueRangeSum / period;
+}
+
+module.exports = {
+    calculateATR
+};
@@ -5,34 +5,52 @@
 const { ethers } = require('ethers');
 const { Logger } = require('../utils/logger');
 const IERC20 = require('../contracts/IERC20.json');
+const UNISWAP_FACTORY_ABI = require('../blockchain/abis/uniswapFactory.json');
+const UNISWAP_PAIR_ABI = require('../blockchain/abis/uniswapPair.json');
+const { NETWORKS, BURN_ADDRESSES, getQuoteAssets } = require('../blockchain/networks');
+const { HolderAnalyzer } = require('../blockchain/holderAnalyzer');
+const { V3PoolReader, V3_SWAP_TOPICS } = require('../blockchain/v3Pools');
+const { ProviderPool } = require('../blockchain/providerPool');
+
+// Liquidity, market cap and volume of one analysis share a single pool lookup
+const POOL_CACHE_TTL = 30000;
+const NATIVE_PRICE_TTL = 60000;
+const LOG_CHUNK_SIZE = 2000;
 
 class MarketAnalyzer {
-    constructor(configManager) {
+    /**
+     * options.providers: { [network]: provider }, e.g. from the blockchain connectors; when given,
+     * no providers are created from the config. options.marketAnalysis: see trading.marketAnalysis.
+     */
+    constructor(configManager, options = {}) {
         this.configManager = configManager;
         this.logger = new Logger('MarketAnalyzer');
-        this.providers = new Map();
+        this.providers = new Map(Object.entries(options.providers || {}));
+        this.marketAnalysis = options.marketAnalysis || {};
+        this.poolCache = new Map();
+        this.nativePrices = new Map();
+        this.holderAnalyzers = new Map();
+        this.v3PoolReaders = new Map();
         this.liquidityThreshold = 50000; // Minimum liquidity in USD
         this.holdersThreshold = 100; // Minimum number of holders
         this.minMarketCap = 100000; // Minimum market cap in USD
+        this.minVolume = 10000; // Minimum swap volume in USD over the volume window
     }
 
     async initialize() {
         try {
-            const config = this.configManager.getConfig();
-
-            // Initialize providers
-            if (config.ethereum && config.ethereum.enabled) {
-                const ethProvider = new ethers.providers.JsonRpcProvider(
-                    `https://mainnet.infura.io/v3/${config.ethereum.infuraId}`
-                );
-                this.providers.set('ethereum', ethProvider);
+            const config = this.configManager ? this.configManager.getConfig() : {};
+            if (config.trading && config.trading.marketAnalysis) {
+                this.marketAnalysis = config.trading.marketAnalysis;
             }
 
-            if (config.bnbChain && config.bnbChain.enabled) {
-                const bscProvider = new ethers.providers.JsonRpcProvider(
-                    'https://bsc-dataseed.binance.org/'
-                );
-                this.providers.set('bsc', bscProvider);
+            // Providers handed in by the caller take precedence over ones built from the config
+            if (this.providers.size === 0) {
+                for (const network of ['ethereum', 'bnbChain']) {
+                    if (config[network] && config[network].enabled) {
+                        this.providers.set(network, await ProviderPool.connect(network, config[network], this.logger));
+                    }
+                }
             }
 
             this.logger.info('Market analyzer initialized successfully');
@@ -54,19 +72,20 @@ class MarketAnalyzer {
             // Gather token metrics
             const [
                 liquidity,
-                holders,
+                holderDistribution,
                 marketCap,
                 transactionVolume,
                 priceHistory
             ] = await Promise.all([
                 this.getLiquidity(token),
-                this.getHolderCount(token),
+                this.getHolderDistribution(token),
                 this.getMarketCap(token),
                 this.getTransactionVolume(token),
                 this.getPriceHistory(token)
             ]);
 
             // Calculate metrics
+            const holders = holderDistribution ? holderDistribution.holderCount : 0;
             const volatility = this.calculateVolatility(priceHistory);
             const momentum = this.calculateMomentum(priceHistory);
             const buyPressure = this.calculateBuyPressure(transactionVolume);
@@ -74,12 +93,15 @@ class MarketAnalyzer {
                 liquidity,
                 holders,
                 marketCap,
-                volatility
+                volatility,
+                volume: transactionVolume.total
             });
             const riskScore = this.calculateRiskScore({
                 liquidity,
                 holders,
+                marketCap,
                 volatility,
+                volume: transactionVolume.total,
                 age: Date.now() - token.timestamp
             });
 
@@ -89,6 +111,7 @@ class MarketAnalyzer {
                 metrics: {
                     liquidity,
                     holders,
+                    holderDistribution,
                     marketCap,
                     volatility,
                     momentum,
@@ -121,10 +144,14 @@ class MarketAnalyzer {
         }
     }
 
+    /**
+     * USD value of the token's deepest pool: twice the quote side, since both sides of a V2
+     * pool hold equal value, or both sides at the pool price across a V3 pair's fee tiers
+     */
     async getLiquidity(token) {
         try {
-            // Implement liquidity calculation using DEX pair reserves
-            return 0;
+            const pool = await this.getPoolInfo(token);
+            return pool ? pool.liquidityUsd : 0;
         } catch (error) {
             this.logger.error(`Failed to get liquidity for ${token.symbol}`, error);
             return 0;
@@ -133,38 +160,144 @@ class MarketAnalyzer {
 
     async getHolderCount(token) {
         try {
-            // Implement holder count calculation
-            return 0;
+            const distribution = await this.getHolderDistribution(token);
+            return distribution ? distribution.holderCount : 0;
         } catch (error) {
             this.logger.error(`Failed to get holder count for ${token.symbol}`, error);
             return 0;
         }
     }
 
+    /**
+     * Holder count and concentration rebuilt from the token's Transfer events; see HolderAnalyzer.
+     * Resolves to null if the events cannot be replayed.
+     */
+    async getHolderDistribution(token) {
+        try {
+            let holderAnalyzer = this.holderAnalyzers.get(token.network);
+            if (!holderAnalyzer) {
+                holderAnalyzer = new HolderAnalyzer({ provider: this.getProvider(token.network), logger: this.logger });
+                this.holderAnalyzers.set(token.network, holderAnalyzer);
+            }
+
+            let pairAddress = token.pairAddress;
+            if (!pairAddress) {
+                const pool = await this.getPoolInfo(token).catch(() => null);
+                pairAddress = pool ? pool.pairAddress : null;
+            }
+
+            return await holderAnalyzer.analyze({ ...token, pairAddress });
+        } catch (error) {
+            this.logger.error(`Failed to get holder distribution for ${token.symbol}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Pool price times the circulating supply, i.e. total supply minus burned tokens
+     */
     async getMarketCap(token) {
         try {
-            // Implement market cap calculation
-            return 0;
+            const pool = await this.getPoolInfo(token);
+            if (!pool) {
+                return 0;
+            }
+
+            const tokenContract = new ethers.Contract(token.address, IERC20.abi, this.getProvider(token.network));
+            const [totalSupply, ...burned] = await Promise.all([
+                tokenContract.totalSupply(),
+                ...BURN_ADDRESSES.map(address => tokenContract.balanceOf(address))
+            ]);
+            const circulating = burned.reduce((supply, balance) => supply.sub(balance), totalSupply);
+
+            return parseFloat(ethers.utils.formatUnits(circulating, pool.tokenDecimals)) * pool.priceUsd;
         } catch (error) {
             this.logger.error(`Failed to get market cap for ${token.symbol}`, error);
             return 0;
         }
     }
 
+    /**
+     * USD volume of the pool's Swap events over the last volumeBlockWindow blocks. Quote coming
+     * into the pool is a buy of the token, quote leaving it is a sell.
+     */
     async getTransactionVolume(token) {
         try {
-            // Implement transaction volume calculation
+            const pool = await this.getPoolInfo(token);
+            if (!pool) {
+                return { buy: 0, sell: 0, total: 0, transactions: 0 };
+            }
+
+            const provider = this.getProvider(token.network);
+            const toBlock = await provider.getBlockNumber();
+            const fromBlock = Math.max(0, toBlock - this.getVolumeBlockWindow(token.network) + 1);
+
+            let buy = 0;
+            let sell = 0;
+            let transactions = 0;
+
+            for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+                const end = Math.min(toBlock, start + LOG_CHUNK_SIZE - 1);
+                const swaps = pool.version === 3
+                    ? await this.getV3Swaps(pool, provider, start, end)
+                    : await this.getV2Swaps(pool, provider, start, end);
+
+                for (const { quoteIn, quoteOut } of swaps) {
+                    buy +=  parseFloat(ethers.utils.formatUnits(quoteIn, pool.quoteDecimals)) * pool.quoteUsd;
+                    sell += parseFloat(ethers.utils.formatUnits(quoteOut, pool.quoteDecimals)) * pool.quoteUsd;
+                    transactions++;
+                }
+            }
+
             return {
-                buy: 0,
-                sell: 0,
-                total: 0
+                buy,
+                sell,
+                total: buy + sell,
+                transactions,
+                fromBlock,
+                toBlock
             };
         } catch (error) {
             this.logger.error(`Failed to get transaction volume for ${token.symbol}`, error);
-            return { buy: 0, sell: 0, total: 0 };
+            return { buy: 0, sell: 0, total: 0, transactions: 0 };
         }
     }
 
+    /**
+     * Quote amounts into and out of a V2 pair per Swap event: [{ quoteIn, quoteOut }]
+     */
+    async getV2Swaps(pool, provider, fromBlock, toBlock) {
+        const pair = new ethers.Contract(pool.pairAddress, UNISWAP_PAIR_ABI, provider);
+        const events = await pair.queryFilter(pair.filters.Swap(), fromBlock, toBlock);
+        return events.map(event => {
+            const { amount0In, amount1In, amount0Out, amount1Out } = event.args;
+            return {
+                quoteIn: pool.tokenIsToken0 ? amount1In : amount0In,
+                quoteOut: pool.tokenIsToken0 ? amount1Out : amount0Out
+            };
+        });
+    }
+
+    /**
+     * The same for every fee tier of a V3 pair. V3 Swap events carry signed amounts from the
+     * pool's side, so a positive quote amount is quote coming in.
+     */
+    async getV3Swaps(pool, provider, fromBlock, toBlock) {
+        const swaps = [];
+        for (const { address } of pool.pools) {
+            const logs = await provider.getLogs({ address, topics: [V3_SWAP_TOPICS], fromBlock, toBlock });
+            for (const log of logs) {
+                const [amount0, amount1] = ethers.utils.defaultAbiCoder.decode(['int256', 'int256'], ethers.utils.hexDataSlice(log.data, 0, 64));
+                const quoteAmount = pool.tokenIsToken0 ? amount1 : amount0;
+                swaps.push({
+                    quoteIn: quoteAmount.gt(0) ? quoteAmount : ethers.constants.Zero,
+                    quoteOut: quoteAmount.lt(0) ? quoteAmount.abs() : ethers.constants.Zero
+                });
+            }
+        }
+        return swaps;
+    }
+
     async getPriceHistory(token) {
         try {
             // Implement price history retrieval
@@ -175,6 +308,199 @@ class MarketAnalyzer {
         }
     }
 
+    getProvider(network) {
+        const provider = this.providers.get(network);
+        if (!provider) {
+            throw new Error(`Provider not found for network: ${network}`);
+        }
+        return provider;
+    }
+
+    getVolumeBlockWindow(network) {
+        const configured = this.marketAnalysis.volumeBlockWindow;
+        const blocks = typeof configured === 'object' && configured !== null
+            ? parseInt(configured[network])
+            : parseInt(configured);
+        return blocks > 0 ? blocks : (NETWORKS[network] ? NETWORKS[network].volumeBlockWindow : 300);
+    }
+
+    /**
+     * The token's deepest pool against a known quote asset (wrapped native coin or a stablecoin),
+     * V2 pair or V3 pair, or null if it has none. Resolves to { version, pairAddress, quote,
+     * tokenIsToken0, tokenDecimals, quoteDecimals, reserveToken, reserveQuote, quoteUsd, priceUsd,
+     * liquidityUsd }. A V3 pair counts the reserves of all its fee tiers, listed in `pools`, and
+     * pairAddress and `fee` are those of the deepest tier, which sets the price.
+     */
+    getPoolInfo(token) {
+        const key = `${token.network}:${token.address.toLowerCase()}`;
+        const cached = this.poolCache.get(key);
+        if (cached && Date.now() - cached.timestamp < POOL_CACHE_TTL) {
+            return cached.pool;
+        }
+
+        const pool = this.loadPoolInfo(token);
+        this.poolCache.set(key, { pool, timestamp: Date.now() });
+        pool.catch(() => this.poolCache.delete(key));
+        return pool;
+    }
+
+    async loadPoolInfo(token) {
+        const reference = NETWORKS[token.network];
+        if (!reference) {
+            throw new Error(`No DEX reference data for network: ${token.network}`);
+        }
+
+        const provider = this.getProvider(token.network);
+        const tokenContract = new ethers.Contract(token.address, IERC20.abi, provider);
+        const tokenDecimals = await tokenContract.decimals();
+
+        let pairAddresses = token.pairAddress ? [token.pairAddress] : [];
+        let v3Pools = [];
+        if (!token.pairAddress) {
+            const quotes = getQuoteAssets(token.network)
+                .filter(quote => quote.address.toLowerCase() !== token.address.toLowerCase());
+            for (const dex of reference.dexes) {
+                const factory = new ethers.Contract(dex.factoryAddress, UNISWAP_FACTORY_ABI, provider);
+                const addresses = await Promise.all(quotes.map(quote => factory.getPair(token.address, quote.address)));
+                pairAddresses.push(...addresses.filter(address => address !== ethers.constants.AddressZero));
+            }
+            if (reference.v3) {
+                v3Pools = await Promise.all(quotes.map(quote => this.readV3Pools(token, quote, tokenDecimals)));
+            }
+        }
+
+        const v2Pools = await Promise.all(pairAddresses.map(address => this.readPool(address, token, tokenDecimals)));
+        return [...v2Pools, ...v3Pools]
+            .filter(pool => pool !== null)
+            .reduce((deepest, pool) => (!deepest || pool.liquidityUsd > deepest.liquidityUsd ? pool : deepest), null);
+    }
+
+    async readPool(pairAddress, token, tokenDecimals) {
+        const pair = new ethers.Contract(pairAddress, UNISWAP_PAIR_ABI, this.getProvider(token.network));
+        const [token0, token1, reserves] = await Promise.all([pair.token0(), pair.token1(), pair.getReserves()]);
+
+        const tokenIsToken0 = token0.toLowerCase() === token.address.toLowerCase();
+        const quoteAddress = (tokenIsToken0 ? token1 : token0).toLowerCase();
+        const quote = getQuoteAssets(token.network).find(asset => asset.address.toLowerCase() === quoteAddress);
+        if (!quote) {
+            return null;
+        }
+
+        const reserveToken = parseFloat(ethers.utils.formatUnits(tokenIsToken0 ? reserves.reserve0 : reserves.reserve1, tokenDecimals));
+        const reserveQuote = parseFloat(ethers.utils.formatUnits(tokenIsToken0 ? reserves.reserve1 : reserves.reserve0, quote.decimals));
+        const quoteUsd = quote.address === NETWORKS[token.network].wrappedNative.address
+            ? await this.getNativeUsdPrice(token.network)
+            : 1;
+
+        return {
+            version: 2,
+            pairAddress,
+            quote: quote.symbol,
+            tokenIsToken0,
+            tokenDecimals,
+            quoteDecimals: quote.decimals,
+            reserveToken,
+            reserveQuote,
+            quoteUsd,
+            priceUsd: reserveToken > 0 ? (reserveQuote / reserveToken) * quoteUsd : 0,
+            liquidityUsd: reserveQuote * quoteUsd * 2
+        };
+    }
+
+    /**
+     * A token's V3 pools against one quote asset taken together, or null if there are none with
+     * liquidity
+     */
+    async readV3Pools(token, quote, tokenDecimals) {
+        const reader = this.getV3PoolReader(token.network);
+        const pools = await reader.getPoolBalances(token.address, quote.address);
+        if (pools.length === 0 || pools[0].quoteBalance.isZero()) {
+            return null;
+        }
+
+        const sum = key => pools.reduce((total, pool) => total.add(pool[key]), ethers.constants.Zero);
+        const reserveToken = parseFloat(ethers.utils.formatUnits(sum('tokenBalance'), tokenDecimals));
+        const reserveQuote = parseFloat(ethers.utils.formatUnits(sum('quoteBalance'), quote.decimals));
+        const quoteUsd = quote.address === NETWORKS[token.network].wrappedNative.address
+            ? await this.getNativeUsdPrice(token.network)
+            : 1;
+        const price = await reader.getPrice(pools[0].address, token.address, tokenDecimals, quote.decimals);
+
+        return {
+            version: 3,
+            pairAddress: pools[0].address,
+            fee: pools[0].fee,
+            pools: pools.map(({ address, fee }) => ({ address, fee })),
+            quote: quote.symbol,
+            tokenIsToken0: token.address.toLowerCase() < quote.address.toLowerCase(),
+            tokenDecimals,
+            quoteDecimals: quote.decimals,
+            reserveToken,
+            reserveQuote,
+            quoteUsd,
+            priceUsd: price * quoteUsd,
+            // Concentrated liquidity leaves the two sides unbalanced, so each is valued separately
+            liquidityUsd: (reserveQuote + reserveToken * price) * quoteUsd
+        };
+    }
+
+    getV3PoolReader(network) {
+        let reader = this.v3PoolReaders.get(network);
+        if (!reader) {
+            const { factoryAddress, feeTiers } = NETWORKS[network].v3;
+            reader = new V3PoolReader({ provider: this.getProvider(network), factoryAddress, feeTiers });
+            this.v3PoolReaders.set(network, reader);
+        }
+        return reader;
+    }
+
+    /**
+     * USD price of the native coin from its stablecoin pools, weighted by pool depth
+     */
+    async getNativeUsdPrice(network) {
+        const cached = this.nativePrices.get(network);
+        if (cached && Date.now() - cached.timestamp < NATIVE_PRICE_TTL) {
+            return cached.price;
+        }
+
+        const reference = NETWORKS[network];
+        const provider = this.getProvider(network);
+        const wrapped = reference.wrappedNative;
+
+        const pairAddresses = [];
+        for (const dex of reference.dexes) {
+            const factory = new ethers.Contract(dex.factoryAddress, UNISWAP_FACTORY_ABI, provider);
+            for (const stablecoin of reference.stablecoins) {
+                const pairAddress = await factory.getPair(wrapped.address, stablecoin.address);
+                if (pairAddress !== ethers.constants.AddressZero) {
+                    pairAddresses.push({ pairAddress, stablecoin });
+                }
+            }
+        }
+
+        let weightedPrice = 0;
+        let totalDepth = 0;
+        for (const { pairAddress, stablecoin } of pairAddresses) {
+            const pair = new ethers.Contract(pairAddress, UNISWAP_PAIR_ABI, provider);
+            const [token0, reserves] = await Promise.all([pair.token0(), pair.getReserves()]);
+            const wrappedIsToken0 = token0.toLowerCase() === wrapped.address.toLowerCase();
+            const nativeReserve = parseFloat(ethers.utils.formatUnits(wrappedIsToken0 ? reserves.reserve0 : reserves.reserve1, wrapped.decimals));
+            const stableReserve = parseFloat(ethers.utils.formatUnits(wrappedIsToken0 ? reserves.reserve1 : reserves.reserve0, stablecoin.decimals));
+            if (nativeReserve <= 0) continue;
+
+            weightedPrice += (stableReserve / nativeReserve) * stableReserve;
+            totalDepth += stableReserve;
+        }
+
+        if (totalDepth === 0) {
+            throw new Error(`No stablecoin pool to price ${reference.nativeSymbol} on ${network}`);
+        }
+
+        const price = weightedPrice / totalDepth;
+        this.nativePrices.set(network, { price, timestamp: Date.now() });
+        return price;
+    }
+
     calculateVolatility(priceHistory) {
         try {
             if (!priceHistory || priceHistory.length < 2) {
@@ -234,14 +560,15 @@ class MarketAnalyzer {
         }
     }
 
-    calculateFundamentalScore({ liquidity, holders, marketCap, volatility }) {
+    calculateFundamentalScore({ liquidity, holders, marketCap, volatility, volume = 0 }) {
         try {
             // Weight factors
             const weights = {
-                liquidity: 0.3,
+                liquidity: 0.25,
                 holders: 0.2,
-                marketCap: 0.3,
-                volatility: 0.2
+                marketCap: 0.25,
+                volatility: 0.15,
+                volume: 0.15
             };
 
             // Normalize metrics
@@ -249,13 +576,15 @@ class MarketAnalyzer {
             const normalizedHolders = Math.min(holders / this.holdersThreshold, 1);
             const normalizedMarketCap = Math.min(marketCap / this.minMarketCap, 1);
             const normalizedVolatility = Math.max(0, 1 - volatility);
+            const normalizedVolume = Math.min(volume / this.minVolume, 1);
 
             // Calculate weighted score
             const score = 
                 (normalizedLiquidity * weights.liquidity) +
                 (normalizedHolders * weights.holders) +
                 (normalizedMarketCap * weights.marketCap) +
-                (normalizedVolatility * weights.volatility);
+                (normalizedVolatility * weights.volatility) +
+                (normalizedVolume * weights.volume);
 
             return Math.min(Math.max(score * 100, 0), 100);
         } catch (error) {
@@ -264,27 +593,33 @@ class MarketAnalyzer {
         }
     }
 
-    calculateRiskScore({ liquidity, holders, volatility, age }) {
+    calculateRiskScore({ liquidity, holders, marketCap = 0, volatility, volume = 0, age }) {
         try {
             // Weight factors
             const weights = {
-                liquidity: 0.3,
-                holders: 0.2,
-                volatility: 0.3,
-                age: 0.2
+                liquidity: 0.25,
+                holders: 0.15,
+                marketCap: 0.1,
+                volatility: 0.25,
+                volume: 0.1,
+                age: 0.15
             };
 
             // Normalize metrics
             const normalizedLiquidity = Math.max(0, 1 - (liquidity / this.liquidityThreshold));
             const normalizedHolders = Math.max(0, 1 - (holders / this.holdersThreshold));
+            const normalizedMarketCap = Math.max(0, 1 - (marketCap / this.minMarketCap));
             const normalizedVolatility = Math.min(volatility, 1);
+            const normalizedVolume = Math.max(0, 1 - (volume / this.minVolume));
             const normalizedAge = Math.max(0, 1 - (age / (7 * 24 * 60 * 60 * 1000))); // 7 days
 
             // Calculate weighted score
             const score = 
                 (normalizedLiquidity * weights.liquidity) +
                 (normalizedHolders * weights.holders) +
+                (normalizedMarketCap * weights.marketCap) +
                 (normalizedVolatility * weights.volatility) +
+                (normalizedVolume * weights.volume) +
                 (normalizedAge * weights.age);
 
             return Math.min(Math.max(score * 100, 0), 100);
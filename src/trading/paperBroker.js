@@ -0,0 +1,265 @@
+/**
+ * Paper Trading Broker
+ * Simulates order execution against live prices using virtual balances
+ */
+const { v4: uuidv4 } = require('uuid');
+const { Logger } = require('../utils/logger');
+
+class PaperBroker {
+    constructor(config = {}, logger) {
+        this.logger = logger || new Logger('PaperBroker');
+        this.feePercentage = config.feePercentage !== undefined ? config.feePercentage : 0.1;
+        this.slippagePercentage = config.slippagePercentage !== undefined ? config.slippagePercentage : 0.5;
+        this.startingBalances = config.startingBalances || {};
+        this.balances = {};
+        this.fills = [];
+    }
+
+    /**
+     * Get (and lazily seed) the virtual balances of a venue
+     */
+    getVenueBalances(venue) {
+        if (!this.balances[venue]) {
+            this.balances[venue] = { ...(this.startingBalances[venue] || {}) };
+        }
+        return this.balances[venue];
+    }
+
+    /**
+     * Get non-zero virtual balances of a venue, in the same shape as the real connectors
+     */
+    getBalances(venue) {
+        const balances = {};
+        for (const [asset, amount] of Object.entries(this.getVenueBalances(venue))) {
+            if (amount > 0) {
+                balances[asset] = amount;
+            }
+        }
+        return balances;
+    }
+
+    getAllBalances() {
+        const balances = {};
+        for (const venue of Object.keys(this.balances)) {
+            balances[venue] = this.getBalances(venue);
+        }
+        return balances;
+    }
+
+    /**
+     * Credit a position without a fill, e.g. a paper trade restored after a restart
+     */
+    creditPosition(venue, asset, quantity) {
+        const balances = this.getVenueBalances(venue);
+        balances[asset] = (balances[asset] || 0) + quantity;
+    }
+
+    /**
+     * Simulate a fill at the given market price, applying slippage and fees
+     */
+    simulateFill({ venue, symbol, baseAsset, quoteAsset, side, quantity, price }) {
+        if (!price || price <= 0) {
+            throw new Error(`No market price available to simulate ${side} of ${symbol}`);
+        }
+        if (!quantity || quantity <= 0) {
+            throw new Error(`Invalid quantity for simulated ${side} of ${symbol}`);
+        }
+
+        const balances = this.getVenueBalances(venue);
+        const slippage = this.slippagePercentage / 100;
+        const fillPrice = side === 'buy' ? price * (1 + slippage) : price * (1 - slippage);
+        const notional = quantity * fillPrice;
+        const fee = notional * (this.feePercentage / 100);
+
+        if (side === 'buy') {
+            const available = balances[quoteAsset] || 0;
+            if (available < notional + fee) {
+                throw new Error(`Insufficient paper ${quoteAsset} balance on ${venue}: ${available} < ${notional + fee}`);
+            }
+            balances[quoteAsset] = available - notional - fee;
+            balances[baseAsset] = (balances[baseAsset] || 0) + quantity;
+        } else {
+            const available = balances[baseAsset] || 0;
+            if (available < quantity) {
+                throw new Error(`Insufficient paper ${baseAsset} balance on ${venue}: ${available} < ${quantity}`);
+            }
+            balances[baseAsset] = available - quantity;
+            balances[quoteAsset] = (balances[quoteAsset] || 0) + notional - fee;
+        }
+
+        const fill = {
+            id: uuidv4(),
+            venue,
+            symbol,
+            side,
+            quantity,
+            marketPrice: price,
+            price: fillPrice,
+            fee,
+            feeAsset: quoteAsset,
+            paper: true,
+            timestamp: new Date().toISOString()
+        };
+
+        this.fills.push(fill);
+        this.logger.info(`Paper ${side} filled: ${quantity} ${symbol} @ ${fillPrice} on ${venue} (fee ${fee} ${quoteAsset})`);
+
+        return fill;
+    }
+
+    /**
+     * Wrap a CEX connector so market data stays live but execution is simulated
+     */
+    wrapExchange(name, exchange) {
+        const broker = this;
+        this.getVenueBalances(name);
+
+        const overrides = {
+            paper: true,
+
+            async executeTrade(symbol, action, amount, price = null) {
+                const marketPrice = price || await exchange.getCurrentPrice(symbol);
+                const [baseAsset, quoteAsset] = symbol.split('/');
+                const fill = broker.simulateFill({
+                    venue: name,
+                    symbol,
+                    baseAsset,
+                    quoteAsset: quoteAsset || 'USDT',
+                    side: action,
+                    quantity: amount,
+                    price: marketPrice
+                });
+
+                return {
+                    orderId: fill.id,
+                    symbol,
+                    action,
+                    amount,
+                    price: fill.price,
+                    fee: fill.fee,
+                    status: 'completed',
+                    paper: true,
+                    timestamp: Date.now()
+                };
+            },
+
+            async closePosition(trade) {
+                const side = trade.side === 'buy' ? 'sell' : 'buy';
+                const order = await overrides.executeTrade(trade.symbol, side, trade.quantity);
+                trade.closePrice = order.price;
+                return order;
+            },
+
+            async getBalances() {
+                return broker.getBalances(name);
+            },
+
+            async getOpenOrders() {
+                return [];
+            },
+
+            async cancelOrder() {
+                return true;
+            }
+        };
+
+        return this.createProxy(exchange, overrides);
+    }
+
+    /**
+     * Wrap a blockchain connector so prices are read on-chain but swaps are simulated
+     */
+    wrapConnector(network, connector) {
+        const broker = this;
+        const nativeSymbol = connector.nativeSymbol || 'NATIVE';
+        this.getVenueBalances(network);
+
+        const overrides = {
+            paper: true,
+
+            async swap({ tokenAddress, symbol, side, amount, pendingLiquidity }) {
+                // Until pending liquidity is mined the pool has no price of its own
+                const price = (pendingLiquidity && pendingLiquidity.price) || await connector.getTokenPrice(tokenAddress);
+                // Buys spend `amount` of the native coin, sells dispose of `amount` tokens
+                const quantity = side === 'buy'
+                    ? amount / (price * (1 + broker.slippagePercentage / 100))
+                    : amount;
+                const fill = broker.simulateFill({
+                    venue: network,
+                    symbol: symbol || tokenAddress,
+                    baseAsset: tokenAddress,
+                    quoteAsset: nativeSymbol,
+                    side,
+                    quantity,
+                    price
+                });
+
+                return {
+                    txHash: fill.id,
+                    tokenAddress,
+                    symbol,
+                    side,
+                    amountIn: side === 'buy' ? amount : quantity,
+                    amountOut: side === 'buy' ? quantity : quantity * fill.price - fill.fee,
+                    quantity,
+                    price: fill.price,
+                    fee: fill.fee,
+                    gasCost: 0,
+                    gasAsset: nativeSymbol,
+                    status: 'completed',
+                    paper: true,
+                    timestamp: Date.now()
+                };
+            },
+
+            async closePosition(trade) {
+                const price = await connector.getTokenPrice(trade.tokenAddress);
+                const fill = broker.simulateFill({
+                    venue: network,
+                    symbol: trade.symbol || trade.tokenAddress,
+                    baseAsset: trade.tokenAddress,
+                    quoteAsset: nativeSymbol,
+                    side: trade.side === 'buy' ? 'sell' : 'buy',
+                    quantity: trade.quantity,
+                    price
+                });
+                trade.closePrice = fill.price;
+                return fill;
+            },
+
+            async getBalances() {
+                return broker.getBalances(network);
+            },
+
+            async getTokenBalance(tokenAddress) {
+                return broker.getVenueBalances(network)[tokenAddress] || 0;
+            }
+        };
+
+        return this.createProxy(connector, overrides);
+    }
+
+    createProxy(target, overrides) {
+        return new Proxy(target, {
+            get(obj, prop) {
+                if (Object.prototype.hasOwnProperty.call(overrides, prop)) {
+                    return overrides[prop];
+                }
+                const value = obj[prop];
+                return typeof value === 'function' ? value.bind(obj) : value;
+            }
+        });
+    }
+
+    getStatus() {
+        return {
+            enabled: true,
+            feePercentage: this.feePercentage,
+            slippagePercentage: this.slippagePercentage,
+            balances: this.getAllBalances(),
+            fills: this.fills.length
+        };
+    }
+}
+
+module.exports = { PaperBroker };
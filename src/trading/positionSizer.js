@@ -0,0 +1,189 @@
+/**
+ * Position Sizer
+ * Turns a strategy's sizing model into an order value (quote currency, or native coin on DEXes)
+ * and quantity, within the wallet balance and the venue's minimums
+ */
+const { Logger } = require('../utils/logger');
+const { toNumber } = require('../utils/numbers');
+
+const MODELS = ['fixedPercentage', 'fixedRisk', 'atr', 'kelly'];
+
+class PositionSizer {
+    constructor(logger) {
+        this.logger = logger || new Logger('PositionSizer');
+    }
+
+    /**
+     * Size a new long position.
+     *
+     * params: {
+     *   config            sizing config: { model, percentage, riskPercentage, maxPercentage, atrMultiplier,
+     *                     kellyFraction, kellyMinTrades, fallbackModel }
+     *   balance           spendable quote/native balance (after any gas reserve)
+     *   price             expected entry price
+     *   stopLossPercentage  distance to the initial stop, for fixed-risk sizing
+     *   atr               average true range in price units, for ATR sizing
+     *   history           the strategy's closed trades, for Kelly sizing
+     *   maxOrderValue     optional cap, e.g. an amount suggested by the strategy
+     *   marketLimits      optional { minAmount, minCost } of the venue
+     *   roundQuantity     optional function rounding a quantity down to the venue's precision
+     * }
+     *
+     * Returns { orderValue, quantity, model, reason }; orderValue is 0 when no order should be placed.
+     */
+    calculate(params) {
+        const { config = {}, balance, price } = params;
+
+        if (!balance || balance <= 0) {
+            return this.skip('insufficient balance', config.model);
+        }
+        if (!price || price <= 0) {
+            return this.skip('no price to size the order', config.model);
+        }
+
+        const sized = this.applyModel(config.model || 'fixedPercentage', params);
+        if (!sized.orderValue) {
+            return sized;
+        }
+
+        // Never more than the model's cap or what the wallet can pay for
+        const maxPercentage = toNumber(config.maxPercentage, 100);
+        let orderValue = Math.min(sized.orderValue, balance * (maxPercentage / 100), balance);
+        if (params.maxOrderValue) {
+            orderValue = Math.min(orderValue, params.maxOrderValue);
+        }
+
+        let quantity = orderValue / price;
+        if (params.roundQuantity) {
+            quantity = params.roundQuantity(quantity);
+            orderValue = quantity * price;
+        }
+
+        const limits = params.marketLimits || {};
+        if (limits.minAmount && quantity < limits.minAmount) {
+            return this.skip(`order of ${quantity} is below the minimum amount of ${limits.minAmount}`, sized.model);
+        }
+        if (limits.minCost && orderValue < limits.minCost) {
+            return this.skip(`order value of ${orderValue} is below the minimum of ${limits.minCost}`, sized.model);
+        }
+        if (!quantity || quantity <= 0) {
+            return this.skip('order size rounds to zero', sized.model);
+        }
+
+        return { orderValue, quantity, model: sized.model, reason: null };
+    }
+
+    applyModel(model, params) {
+        switch (model) {
+            case 'fixedPercentage':
+                return this.fixedPercentage(params);
+            case 'fixedRisk':
+                return this.fixedRisk(params);
+            case 'atr':
+                return this.atr(params);
+            case 'kelly':
+                return this.kelly(params);
+            default:
+                this.logger.warn(`Unknown position sizing model ${model}, using fixedPercentage`);
+                return this.fixedPercentage(params);
+        }
+    }
+
+    /**
+     * A fixed share of the wallet
+     */
+    fixedPercentage({ config = {}, balance }) {
+        const percentage = toNumber(config.percentage, 2);
+        return this.sized(balance * (percentage / 100), 'fixedPercentage');
+    }
+
+    /**
+     * Lose riskPercentage of the wallet if the initial stop is hit
+     */
+    fixedRisk({ config = {}, balance, stopLossPercentage }) {
+        const riskPercentage = toNumber(config.riskPercentage, 1);
+        if (!stopLossPercentage || stopLossPercentage <= 0) {
+            return this.skip('fixed risk sizing needs a stop loss', 'fixedRisk');
+        }
+
+        const riskAmount = balance * (riskPercentage / 100);
+        return this.sized(riskAmount / (stopLossPercentage / 100), 'fixedRisk');
+    }
+
+    /**
+     * Lose riskPercentage of the wallet on a move of atrMultiplier ATRs, so volatile
+     * markets get smaller positions
+     */
+    atr(params) {
+        const { config = {}, balance, price, atr } = params;
+        if (!atr || atr <= 0) {
+            this.logger.debug('No ATR available, sizing by stop distance instead');
+            return this.fixedRisk(params);
+        }
+
+        const riskAmount = balance * (toNumber(config.riskPercentage, 1) / 100);
+        const riskPerUnit = atr * toNumber(config.atrMultiplier, 2);
+        return this.sized((riskAmount / riskPerUnit) * price, 'atr');
+    }
+
+    /**
+     * Fractional Kelly from the strategy's own closed trades. Until there are enough
+     * trades to trust the estimate, the fallback model is used.
+     */
+    kelly(params) {
+        const { config = {}, balance, history = [] } = params;
+        const minTrades = toNumber(config.kellyMinTrades, 20);
+        const returns = history.map(PositionSizer.getTradeReturn).filter(value => value !== null);
+
+        if (returns.length < minTrades) {
+            const fallbackModel = config.fallbackModel && config.fallbackModel !== 'kelly'
+                ? config.fallbackModel
+                : 'fixedPercentage';
+            this.logger.debug(`Only ${returns.length} of ${minTrades} trades for Kelly sizing, using ${fallbackModel}`);
+            return this.applyModel(fallbackModel, params);
+        }
+
+        const wins = returns.filter(value => value > 0);
+        const losses = returns.filter(value => value < 0);
+        const winRate = wins.length / returns.length;
+        const averageWin = wins.length ? wins.reduce((a, b) => a + b, 0) / wins.length : 0;
+        const averageLoss = losses.length ? Math.abs(losses.reduce((a, b) => a + b, 0) / losses.length) : 0;
+
+        // f = p - (1 - p) / b with payoff ratio b = averageWin / averageLoss. Without losses b is
+        // unbounded and f tends to p; maxPercentage still caps the result.
+        let kellyFraction = winRate;
+        if (averageLoss > 0) {
+            kellyFraction = averageWin > 0 ? winRate - (1 - winRate) * (averageLoss / averageWin) : 0;
+        }
+        if (kellyFraction <= 0) {
+            return this.skip(`no edge in the last ${returns.length} trades (Kelly ${kellyFraction.toFixed(4)})`, 'kelly');
+        }
+
+        const fraction = toNumber(config.kellyFraction, 0.25);
+        return this.sized(balance * kellyFraction * fraction, 'kelly');
+    }
+
+    /**
+     * Return on capital of a closed trade, or null if it cannot be derived
+     */
+    static getTradeReturn(trade) {
+        const quantity = trade.initialQuantity || trade.quantity;
+        const cost = (trade.entryPrice || 0) * (quantity || 0);
+        if (!cost || typeof trade.profitLoss !== 'number') {
+            return null;
+        }
+        return trade.profitLoss / cost;
+    }
+
+    sized(orderValue, model) {
+        return orderValue > 0
+            ? { orderValue, quantity: null, model, reason: null }
+            : this.skip('order size is zero', model);
+    }
+
+    skip(reason, model) {
+        return { orderValue: 0, quantity: 0, model: model || null, reason };
+    }
+}
+
+module.exports = { PositionSizer, MODELS };
@@ -0,0 +1,264 @@
+/**
+ * Risk Manager
+ * Gatekeeper every new order passes through: concurrency, trade frequency,
+ * exposure and daily loss limits
+ */
+const { EventEmitter } = require('events');
+const { Logger } = require('../utils/logger');
+const { toNumber } = require('../utils/numbers');
+const { NETWORKS } = require('../blockchain/networks');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * maxDailyLoss is either one number, applied to each quote asset's total in that asset's own
+ * units, or limits by quote asset ({ USDT: 200, ETH: 0.1 }) where a missing asset has none
+ */
+function parseDailyLossLimit(value) {
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([quoteAsset, limit]) => [quoteAsset, toNumber(limit, 0)]));
+    }
+    return toNumber(value, 0);
+}
+
+function startOfUtcDay(time) {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+class RiskManager extends EventEmitter {
+    constructor(tradingConfig = {}, logger) {
+        super();
+        this.logger = logger || new Logger('RiskManager');
+
+        const risk = tradingConfig.risk || {};
+        // A value of 0 disables a limit
+        this.limits = {
+            maxConcurrentTrades: toNumber(tradingConfig.maxConcurrentTrades, 3),
+            maxConcurrentTradesPerStrategy: toNumber(risk.maxConcurrentTradesPerStrategy, 0),
+            maxTradesPerHour: toNumber(tradingConfig.maxTradesPerHour, 0),
+            maxTradesPerDay: toNumber(risk.maxTradesPerDay, 0),
+            walletBuyPercentage: toNumber(tradingConfig.walletBuyPercentage, 0),
+            maxTokenExposurePercentage: toNumber(risk.maxTokenExposurePercentage, 0),
+            maxChainExposurePercentage: toNumber(risk.maxChainExposurePercentage, 0),
+            maxDailyLoss: parseDailyLossLimit(risk.maxDailyLoss)
+        };
+
+        this.tradeOpenTimes = [];
+        // P/L is in the quote currency of each trade's venue, so every quote asset keeps its own total
+        this.dailyRealizedProfitLoss = {};
+        // Time source, replaced with a simulated clock when backtesting
+        this.clock = Date;
+        this.currentDay = startOfUtcDay(this.clock.now());
+        this.paused = false;
+        this.pauseReason = null;
+    }
+
+    /**
+     * Seed trade counts and today's realized P/L from existing trades. Failed entries never
+     * opened a position, and trades from the other trading mode are not this mode's money, so
+     * they count for neither.
+     */
+    initialize(activeTrades = [], tradeHistory = [], paperTrading = false) {
+        const now = this.clock.now();
+        const closedTrades = tradeHistory.filter(trade => trade.status !== 'failed' && !!trade.paper === paperTrading);
+        this.tradeOpenTimes = [...activeTrades, ...closedTrades]
+            .map(trade => new Date(trade.timestamp).getTime())
+            .filter(time => Number.isFinite(time) && now - time < DAY_MS)
+            .sort((a, b) => a - b);
+
+        this.dailyRealizedProfitLoss = {};
+        closedTrades
+            .filter(trade => trade.closedAt && startOfUtcDay(new Date(trade.closedAt).getTime()) === this.currentDay)
+            .forEach(trade => this.addRealizedProfitLoss(trade));
+
+        Object.keys(this.dailyRealizedProfitLoss).forEach(quoteAsset => this.checkDailyLoss(quoteAsset));
+    }
+
+    /**
+     * Check a prospective order. Resolves to { allowed, reason }.
+     *
+     * order: { strategy, venue, asset, isDex, orderValue, availableBalance, strategyConfig }
+     * activeTrades: open trades, each valued at entryPrice * quantity in its venue's quote/native units
+     */
+    checkOrder(order, activeTrades) {
+        this.rollDay();
+        this.pruneOpenTimes();
+
+        if (this.paused) {
+            return this.reject(`new entries paused: ${this.pauseReason}`);
+        }
+
+        const asset = order.asset.toLowerCase();
+        const { limits } = this;
+        if (limits.maxConcurrentTrades && activeTrades.length >= limits.maxConcurrentTrades) {
+            return this.reject(`max concurrent trades (${limits.maxConcurrentTrades}) reached`);
+        }
+
+        const strategyConfig = order.strategyConfig || {};
+        const strategyLimit = toNumber(strategyConfig.maxConcurrentTrades, limits.maxConcurrentTradesPerStrategy);
+        const strategyTrades = activeTrades.filter(trade => trade.strategy === order.strategy).length;
+        if (strategyLimit && strategyTrades >= strategyLimit) {
+            return this.reject(`max concurrent trades for ${order.strategy} (${strategyLimit}) reached`);
+        }
+
+        const now = this.clock.now();
+        const tradesLastHour = this.tradeOpenTimes.filter(time => now - time < HOUR_MS).length;
+        if (limits.maxTradesPerHour && tradesLastHour >= limits.maxTradesPerHour) {
+            return this.reject(`hourly trade limit (${limits.maxTradesPerHour}) reached`);
+        }
+        if (limits.maxTradesPerDay && this.tradeOpenTimes.length >= limits.maxTradesPerDay) {
+            return this.reject(`daily trade limit (${limits.maxTradesPerDay}) reached`);
+        }
+
+        if (!order.orderValue || order.orderValue <= 0) {
+            return this.reject('insufficient balance');
+        }
+
+        if (limits.walletBuyPercentage && order.orderValue > order.availableBalance * (limits.walletBuyPercentage / 100)) {
+            return this.reject(`order exceeds ${limits.walletBuyPercentage}% of wallet balance`);
+        }
+
+        // Exposure is measured against everything the venue holds for us: free balance plus open positions
+        const venueTrades = activeTrades.filter(trade => this.getVenue(trade) === order.venue);
+        const venueExposure = venueTrades.reduce((total, trade) => total + this.getExposure(trade), 0);
+        const venueCapital = order.availableBalance + venueExposure;
+
+        if (limits.maxTokenExposurePercentage) {
+            const tokenExposure = venueTrades
+                .filter(trade => this.getAsset(trade) === asset)
+                .reduce((total, trade) => total + this.getExposure(trade), 0) + order.orderValue;
+            if (tokenExposure > venueCapital * (limits.maxTokenExposurePercentage / 100)) {
+                return this.reject(`exposure to ${order.asset} would exceed ${limits.maxTokenExposurePercentage}%`);
+            }
+        }
+
+        if (order.isDex && limits.maxChainExposurePercentage) {
+            if (venueExposure + order.orderValue > venueCapital * (limits.maxChainExposurePercentage / 100)) {
+                return this.reject(`exposure on ${order.venue} would exceed ${limits.maxChainExposurePercentage}%`);
+            }
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    reject(reason) {
+        return { allowed: false, reason };
+    }
+
+    getVenue(trade) {
+        return trade.exchange === 'dex' ? trade.network : trade.exchange;
+    }
+
+    getAsset(trade) {
+        return (trade.tokenAddress || trade.symbol || '').toLowerCase();
+    }
+
+    getExposure(trade) {
+        return (trade.entryPrice || 0) * (trade.quantity || 0);
+    }
+
+    /**
+     * The currency a trade's P/L is counted in: the native coin on DEXes, the market's quote
+     * currency on exchanges. Trades recorded before quoteAsset was stored fall back to the
+     * chain's known native coin, or the chain name.
+     */
+    getQuoteAsset(trade) {
+        if (trade.quoteAsset) {
+            return trade.quoteAsset;
+        }
+        if (trade.exchange === 'dex') {
+            return NETWORKS[trade.network] ? NETWORKS[trade.network].nativeSymbol : trade.network;
+        }
+        return (trade.symbol || '').split('/')[1] || 'USDT';
+    }
+
+    addRealizedProfitLoss(trade) {
+        const quoteAsset = this.getQuoteAsset(trade);
+        this.dailyRealizedProfitLoss[quoteAsset] = (this.dailyRealizedProfitLoss[quoteAsset] || 0) + (trade.profitLoss || 0);
+        return quoteAsset;
+    }
+
+    getDailyLossLimit(quoteAsset) {
+        const { maxDailyLoss } = this.limits;
+        return typeof maxDailyLoss === 'number' ? maxDailyLoss : toNumber(maxDailyLoss[quoteAsset], 0);
+    }
+
+    recordOpen(trade) {
+        this.tradeOpenTimes.push(new Date(trade.timestamp).getTime() || this.clock.now());
+    }
+
+    /**
+     * Add a closed trade's realized P/L to today's total for its quote asset, pausing entries
+     * past that asset's loss limit
+     */
+    recordClose(trade) {
+        this.rollDay();
+        this.checkDailyLoss(this.addRealizedProfitLoss(trade));
+    }
+
+    checkDailyLoss(quoteAsset) {
+        const limit = this.getDailyLossLimit(quoteAsset);
+        const total = this.dailyRealizedProfitLoss[quoteAsset] || 0;
+        if (!limit || this.paused || total > -limit) {
+            return;
+        }
+
+        this.pause(`daily realized loss ${total.toFixed(8)} ${quoteAsset} hit the limit of ${limit} ${quoteAsset}`);
+    }
+
+    pause(reason) {
+        this.paused = true;
+        this.pauseReason = reason;
+        this.logger.warn(`Pausing new entries: ${reason}`);
+        this.emit('paused', { reason, resumesAt: new Date(this.currentDay + DAY_MS).toISOString() });
+    }
+
+    /**
+     * Lift a pause manually; a new UTC day lifts a daily-loss pause automatically
+     */
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.pauseReason = null;
+        this.logger.info('New entries resumed');
+        this.emit('resumed', {});
+    }
+
+    rollDay() {
+        const today = startOfUtcDay(this.clock.now());
+        if (today === this.currentDay) return;
+
+        this.currentDay = today;
+        this.dailyRealizedProfitLoss = {};
+        if (this.paused) {
+            this.resume();
+        }
+    }
+
+    pruneOpenTimes() {
+        const cutoff = this.clock.now() - DAY_MS;
+        while (this.tradeOpenTimes.length > 0 && this.tradeOpenTimes[0] < cutoff) {
+            this.tradeOpenTimes.shift();
+        }
+    }
+
+    getStatus() {
+        this.rollDay();
+        this.pruneOpenTimes();
+        const now = this.clock.now();
+
+        return {
+            paused: this.paused,
+            pauseReason: this.pauseReason,
+            limits: this.limits,
+            tradesLastHour: this.tradeOpenTimes.filter(time => now - time < HOUR_MS).length,
+            tradesLastDay: this.tradeOpenTimes.length,
+            dailyRealizedProfitLoss: this.dailyRealizedProfitLoss
+        };
+    }
+}
+
+module.exports = { RiskManager };
@@ -9,7 +9,18 @@ const { Token } = require('@uniswap/sdk');
 const IERC20 = require('../contracts/IERC20.json');
 const IUniswapV2Factory = require('../contracts/IUniswapV2Factory.json');
 const IPancakeFactory = require('../contracts/IPancakeFactory.json');
+const { ProviderPool } = require('../blockchain/providerPool');
+const { LogFetcher } = require('../blockchain/logFetcher');
+const { readTokenMetadata } = require('../blockchain/tokenMetadata');
 
+const V2_FACTORY_INTERFACE = new ethers.utils.Interface(IUniswapV2Factory.abi);
+const PAIR_CREATED_TOPIC = V2_FACTORY_INTERFACE.getEventTopic('PairCreated');
+
+/**
+ * Finds new tokens from the pairs created on the DEX factories. Every new block starts a search
+ * of the factories' PairCreated logs since the last block searched, and the tokens of the pairs
+ * found have their metadata read in one multicall before `newToken` is emitted for each.
+ */
 class TokenScanner extends EventEmitter {
     constructor(configManager) {
         super();
@@ -19,8 +30,14 @@ class TokenScanner extends EventEmitter {
         this.scanInterval = null;
         this.providers = new Map();
         this.factories = new Map();
+        this.factoryChains = new Map();
         this.knownTokens = new Map();
+        // Last block searched for new pairs, by chain
         this.lastScanned = new Map();
+        this.logFetchers = new Map();
+        this.chainScans = new Map();
+        this.rescans = new Set();
+        this.blockListeners = new Map();
         this.scanStats = {
             totalScanned: 0,
             newTokensFound: 0,
@@ -35,9 +52,7 @@ class TokenScanner extends EventEmitter {
 
             // Initialize providers
             if (config.ethereum && config.ethereum.enabled) {
-                const ethProvider = new ethers.providers.JsonRpcProvider(
-                    `https://mainnet.infura.io/v3/${config.ethereum.infuraId}`
-                );
+                const ethProvider = await ProviderPool.connect('ethereum', config.ethereum, this.logger);
                 this.providers.set('ethereum', ethProvider);
                 
                 // Initialize Uniswap factory
@@ -47,6 +62,7 @@ class TokenScanner extends EventEmitter {
                     ethProvider
                 );
                 this.factories.set('uniswap', uniswapFactory);
+                this.factoryChains.set('uniswap', 'ethereum');
                 this.scanStats.networkStats.set('ethereum', {
                     pairsScanned: 0,
                     newTokens: 0,
@@ -56,10 +72,8 @@ class TokenScanner extends EventEmitter {
             }
 
             if (config.bnbChain && config.bnbChain.enabled) {
-                const bscProvider = new ethers.providers.JsonRpcProvider(
-                    'https://bsc-dataseed.binance.org/'
-                );
-                this.providers.set('bsc', bscProvider);
+                const bscProvider = await ProviderPool.connect('bnbChain', config.bnbChain, this.logger);
+                this.providers.set('bnbChain', bscProvider);
                 
                 // Initialize PancakeSwap factory
                 const pancakeFactory = new ethers.Contract(
@@ -68,7 +82,8 @@ class TokenScanner extends EventEmitter {
                     bscProvider
                 );
                 this.factories.set('pancakeswap', pancakeFactory);
-                this.scanStats.networkStats.set('bsc', {
+                this.factoryChains.set('pancakeswap', 'bnbChain');
+                this.scanStats.networkStats.set('bnbChain', {
                     pairsScanned: 0,
                     newTokens: 0,
                     lastBlock: 0
@@ -106,6 +121,7 @@ class TokenScanner extends EventEmitter {
                 () => this.scan(),
                 scanIntervalMs
             );
+            this.subscribeToBlocks();
 
             this.logger.info('Token scanner started');
             this.emit('scannerStarted');
@@ -128,6 +144,7 @@ class TokenScanner extends EventEmitter {
                 clearInterval(this.scanInterval);
                 this.scanInterval = null;
             }
+            this.unsubscribeFromBlocks();
 
             this.logger.info('Token scanner stopped');
             this.emit('scannerStopped');
@@ -137,44 +154,37 @@ class TokenScanner extends EventEmitter {
         }
     }
 
+    /**
+     * Search each chain for new pairs as soon as it has a new block. The scan interval stays as
+     * a fallback for a subscription that stops delivering.
+     */
+    subscribeToBlocks() {
+        for (const [chain, provider] of this.providers.entries()) {
+            if (this.blockListeners.has(chain)) continue;
+
+            const listener = (blockNumber) => {
+                this.scanChain(chain, blockNumber);
+            };
+            provider.on('block', listener);
+            this.blockListeners.set(chain, listener);
+        }
+    }
+
+    unsubscribeFromBlocks() {
+        for (const [chain, listener] of this.blockListeners.entries()) {
+            this.providers.get(chain).off('block', listener);
+        }
+        this.blockListeners.clear();
+    }
+
     async scan() {
         try {
             const scanStartTime = Date.now();
             this.logger.info('Starting new token scan...');
 
-            for (const [network, factory] of this.factories.entries()) {
-                const provider = this.providers.get(network === 'pancakeswap' ? 'bsc' : 'ethereum');
-                const currentBlock = await provider.getBlockNumber();
-                const lastPairIndex = this.lastScanned.get(network) || 0;
-                const currentLength = await factory.allPairsLength();
-                
-                this.logger.info(`Scanning ${network}: ${lastPairIndex} to ${currentLength} pairs at block ${currentBlock}`);
-
-                const networkStats = this.scanStats.networkStats.get(network === 'pancakeswap' ? 'bsc' : 'ethereum');
-                networkStats.lastBlock = currentBlock;
-
-                for (let i = lastPairIndex; i < currentLength; i++) {
-                    if (!this.isRunning) break;
-
-                    const pairAddress = await factory.allPairs(i);
-                    await this.analyzePair(pairAddress, network);
-                    
-                    networkStats.pairsScanned++;
-                    this.scanStats.totalScanned++;
-
-                    // Log progress every 100 pairs
-                    if (i % 100 === 0) {
-                        this.logger.info(`${network}: Scanned ${i}/${currentLength} pairs`);
-                        this.emit('scanProgress', {
-                            network,
-                            current: i,
-                            total: currentLength,
-                            newTokens: networkStats.newTokens
-                        });
-                    }
-                }
-
-                this.lastScanned.set(network, currentLength.toNumber());
+            for (const chain of this.providers.keys()) {
+                if (!this.isRunning) break;
+                await this.scanChain(chain);
             }
 
             this.scanStats.lastScanTime = Date.now();
@@ -188,9 +198,137 @@ class TokenScanner extends EventEmitter {
         }
     }
 
+    /**
+     * Search a chain for pairs created since the last block searched, up to toBlock or the
+     * latest block. Only one search per chain runs at a time; asking again while one runs
+     * makes it go once more when it is done, so blocks arriving meanwhile are not missed.
+     */
+    scanChain(chain, toBlock = null) {
+        if (this.chainScans.has(chain)) {
+            this.rescans.add(chain);
+            return this.chainScans.get(chain);
+        }
+
+        const scan = this.discoverPairs(chain, toBlock)
+            .catch(error => {
+                this.logger.error(`Error searching ${chain} for new pairs`, error);
+                this.emit('scanError', error);
+            })
+            .then(() => {
+                this.chainScans.delete(chain);
+                if (this.rescans.delete(chain) && this.isRunning) {
+                    return this.scanChain(chain);
+                }
+            });
+        this.chainScans.set(chain, scan);
+        return scan;
+    }
+
+    async discoverPairs(chain, toBlock = null) {
+        const provider = this.providers.get(chain);
+        const sources = this.getPairSources(chain);
+        if (!provider || sources.length === 0) return;
+
+        const currentBlock = toBlock || await provider.getBlockNumber();
+        const lastBlock = this.lastScanned.get(chain);
+        // A fresh start only goes back as far as configured; the pairs before that are old news
+        const fromBlock = lastBlock !== undefined
+            ? lastBlock + 1
+            : Math.max(currentBlock - this.getLookbackBlocks(), 0);
+        if (fromBlock > currentBlock) return;
+
+        const networkStats = this.scanStats.networkStats.get(chain);
+        const filter = {
+            address: sources.map(source => source.address),
+            topics: [[...new Set(sources.map(source => source.topic))]]
+        };
+
+        await this.getLogFetcher(chain).getLogs(filter, fromBlock, currentBlock, async (logs, endBlock) => {
+            const pairs = logs.map(log => this.parsePairLog(log, sources)).filter(Boolean);
+            if (pairs.length > 0) {
+                this.logger.info(`${chain}: ${pairs.length} new pairs up to block ${endBlock}`);
+                await this.analyzePairs(pairs, chain);
+            }
+
+            // Only once the chunk's tokens are analyzed; a failed chunk is searched again next time
+            this.lastScanned.set(chain, endBlock);
+            if (networkStats) {
+                networkStats.pairsScanned += pairs.length;
+                networkStats.lastBlock = endBlock;
+            }
+            this.scanStats.totalScanned += pairs.length;
+
+            this.emit('scanProgress', {
+                network: chain,
+                current: endBlock,
+                total: currentBlock,
+                newTokens: networkStats ? networkStats.newTokens : 0
+            });
+        });
+    }
+
+    /**
+     * Factory contracts whose creation events announce new pairs on a chain, each with the
+     * event topic and how to read { pairAddress, token0, token1 } from its log
+     */
+    getPairSources(chain) {
+        const sources = [];
+        for (const [network, factory] of this.factories.entries()) {
+            if (this.getChain(network) !== chain) continue;
+
+            sources.push({
+                dex: network,
+                address: factory.address,
+                topic: PAIR_CREATED_TOPIC,
+                parse: (log) => {
+                    const { token0, token1, pair } = V2_FACTORY_INTERFACE.parseLog(log).args;
+                    return { pairAddress: pair, token0, token1, version: 2 };
+                }
+            });
+        }
+        return sources;
+    }
+
+    parsePairLog(log, sources) {
+        const source = sources.find(candidate => candidate.address.toLowerCase() === log.address.toLowerCase() &&
+            candidate.topic === log.topics[0]);
+        if (!source) return null;
+
+        try {
+            return { ...source.parse(log), dex: source.dex, blockNumber: log.blockNumber };
+        } catch (error) {
+            this.logger.debug(`Could not parse ${source.dex} log in transaction ${log.transactionHash}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Analyze the tokens of new pairs, reading the metadata of all of them at once
+     */
+    async analyzePairs(pairs, chain) {
+        const tokens = pairs.flatMap(pair => [pair.token0, pair.token1]);
+        await this.analyzeTokens(tokens, chain, new Map(pairs.flatMap(pair => [[pair.token0, pair], [pair.token1, pair]])));
+    }
+
+    getLogFetcher(chain) {
+        if (!this.logFetchers.has(chain)) {
+            this.logFetchers.set(chain, new LogFetcher({
+                provider: this.providers.get(chain),
+                chainName: chain,
+                logger: this.logger
+            }));
+        }
+        return this.logFetchers.get(chain);
+    }
+
+    getLookbackBlocks() {
+        const config = this.configManager.getConfig();
+        return (config.trading && parseInt(config.trading.scanLookbackBlocks)) || 0;
+    }
+
     async analyzePair(pairAddress, network) {
         try {
-            const provider = this.providers.get(network === 'pancakeswap' ? 'bsc' : 'ethereum');
+            const provider = this.providers.get(this.getChain(network));
             const pair = new ethers.Contract(pairAddress, IERC20.abi, provider);
             
             const [token0Address, token1Address] = await Promise.all([
@@ -201,61 +339,80 @@ class TokenScanner extends EventEmitter {
             this.logger.debug(`Analyzing pair ${pairAddress} (${token0Address} - ${token1Address})`);
 
             // Analyze both tokens in the pair
-            await Promise.all([
-                this.analyzeToken(token0Address, network),
-                this.analyzeToken(token1Address, network)
-            ]);
+            await this.analyzeTokens([token0Address, token1Address], network);
         } catch (error) {
             this.logger.error(`Error analyzing pair ${pairAddress}`, error);
         }
     }
 
     async analyzeToken(tokenAddress, network) {
-        try {
-            // Skip if already known
-            if (this.knownTokens.has(tokenAddress)) {
-                return;
-            }
-
-            const provider = this.providers.get(network === 'pancakeswap' ? 'bsc' : 'ethereum');
-            const token = new ethers.Contract(tokenAddress, IERC20.abi, provider);
-
-            // Get basic token information
-            const [name, symbol, decimals, totalSupply] = await Promise.all([
-                token.name(),
-                token.symbol(),
-                token.decimals(),
-                token.totalSupply()
-            ]);
+        await this.analyzeTokens([tokenAddress], network);
+        return this.knownTokens.get(tokenAddress);
+    }
 
-            // Create token object
-            const tokenInfo = {
-                address: tokenAddress,
-                name,
-                symbol,
-                decimals: decimals.toNumber(),
-                totalSupply: totalSupply.toString(),
-                network,
-                timestamp: Date.now()
-            };
+    /**
+     * Read the metadata of the tokens not seen before in one go and emit `newToken` for each.
+     * pairs maps a token to the pair it was found in, which goes into its token info. Rejects
+     * when the metadata cannot be read, so a scan does not move past pairs it never looked at.
+     */
+    async analyzeTokens(tokenAddresses, network, pairs = new Map()) {
+        const chain = this.getChain(network);
+        const unknown = [...new Set(tokenAddresses)].filter(address => !this.knownTokens.has(address));
+        if (unknown.length === 0) return;
 
-            // Add to known tokens
-            this.knownTokens.set(tokenAddress, tokenInfo);
-            
-            // Update statistics
-            this.scanStats.newTokensFound++;
-            const networkStats = this.scanStats.networkStats.get(network === 'pancakeswap' ? 'bsc' : 'ethereum');
-            networkStats.newTokens++;
+        try {
+            const provider = this.providers.get(chain);
+            const metadata = await readTokenMetadata(provider, unknown);
+
+            for (const tokenAddress of unknown) {
+                const token = metadata.get(tokenAddress);
+                if (!token) {
+                    this.logger.debug(`${tokenAddress} on ${chain} is not an ERC-20 token`);
+                    continue;
+                }
 
-            // Emit new token event
-            this.emit('newToken', tokenInfo);
-            this.logger.info(`New token found: ${symbol} (${tokenAddress}) on ${network}`);
+                // Create token object
+                const pair = pairs.get(tokenAddress);
+                const tokenInfo = {
+                    address: tokenAddress,
+                    name: token.name,
+                    symbol: token.symbol,
+                    decimals: token.decimals,
+                    totalSupply: token.totalSupply.toString(),
+                    network: chain,
+                    timestamp: Date.now()
+                };
+                if (pair) {
+                    tokenInfo.pairAddress = pair.pairAddress;
+                    tokenInfo.dex = pair.dex;
+                    tokenInfo.pairCreatedBlock = pair.blockNumber;
+                }
 
+                // Add to known tokens
+                this.knownTokens.set(tokenAddress, tokenInfo);
+                
+                // Update statistics
+                this.scanStats.newTokensFound++;
+                const networkStats = this.scanStats.networkStats.get(chain);
+                if (networkStats) networkStats.newTokens++;
+
+                // Emit new token event
+                this.emit('newToken', tokenInfo);
+                this.logger.info(`New token found: ${token.symbol} (${tokenAddress}) on ${chain}`);
+            }
         } catch (error) {
-            this.logger.error(`Error analyzing token ${tokenAddress}`, error);
+            this.logger.error(`Error analyzing tokens ${unknown.join(', ')}`, error);
+            throw error;
         }
     }
 
+    /**
+     * Factories are keyed by DEX; providers, stats and found tokens by the chain they are on
+     */
+    getChain(network) {
+        return this.factoryChains.get(network) || network;
+    }
+
     getKnownTokens() {
         return Array.from(this.knownTokens.values());
     }
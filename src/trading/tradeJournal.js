@@ -0,0 +1,63 @@
+/**
+ * Trade Journal
+ * Durable snapshot of open trades so positions survive a restart
+ */
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+class TradeJournal {
+    constructor(filePath, logger) {
+        this.filePath = filePath;
+        this.tempPath = `${filePath}.tmp`;
+        this.logger = logger || new Logger('TradeJournal');
+    }
+
+    /**
+     * Load journaled trades; a corrupt journal is backed up rather than discarded
+     */
+    load() {
+        // A leftover temp file means we crashed mid-write; the previous snapshot is still intact
+        if (fs.existsSync(this.tempPath)) {
+            fs.unlinkSync(this.tempPath);
+        }
+
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const data = fs.readFileSync(this.filePath, 'utf8');
+        try {
+            const journal = JSON.parse(data);
+            return Array.isArray(journal.trades) ? journal.trades : [];
+        } catch (parseError) {
+            const backupFile = `${this.filePath}.corrupt.${Date.now()}`;
+            fs.writeFileSync(backupFile, data, 'utf8');
+            this.logger.error(`Active trade journal is corrupt, backed up to ${backupFile}`, parseError);
+            return [];
+        }
+    }
+
+    /**
+     * Atomically replace the journal: write and fsync a temp file, then rename it over the old one
+     */
+    save(trades) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const data = JSON.stringify({
+            updatedAt: new Date().toISOString(),
+            trades
+        }, null, 2);
+
+        const fd = fs.openSync(this.tempPath, 'w');
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(this.tempPath, this.filePath);
+    }
+}
+
+module.exports = { TradeJournal };
@@ -0,0 +1,101 @@
+/**
+ * Trade Rules
+ * Exit and profit/loss rules shared by the live engine and the backtester
+ */
+
+function calculateUnrealizedProfitLoss(trade, currentPrice) {
+    if (!currentPrice || !trade.entryPrice || !trade.quantity) {
+        return 0;
+    }
+
+    const difference = trade.side === 'buy'
+        ? currentPrice - trade.entryPrice
+        : trade.entryPrice - currentPrice;
+
+    return difference * trade.quantity;
+}
+
+function shouldTriggerStopLoss(trade, currentPrice) {
+    if (!trade.stopLoss || !currentPrice) {
+        return false;
+    }
+
+    if (trade.side === 'buy') {
+        return currentPrice <= trade.stopLoss;
+    }
+    return currentPrice >= trade.stopLoss;
+}
+
+function shouldTriggerTakeProfit(trade, currentPrice) {
+    if (!trade.takeProfit || !currentPrice) {
+        return false;
+    }
+
+    if (trade.side === 'buy') {
+        return currentPrice >= trade.takeProfit;
+    }
+    return currentPrice <= trade.takeProfit;
+}
+
+/**
+ * Profit/loss realized by closing `quantity` of a trade at `exitPrice`
+ */
+function calculateRealizedProfitLoss(trade, exitPrice, quantity) {
+    return calculateUnrealizedProfitLoss({ ...trade, quantity }, exitPrice);
+}
+
+/**
+ * Advance a trailing stop with the price. Returns the new high-water mark and stop,
+ * or null if the trade has no trailing stop. The stop only ever tightens.
+ */
+function updateTrailingStop(trade, currentPrice) {
+    const trailing = trade.trailingStop;
+    if (!trailing || !currentPrice || !trade.entryPrice) {
+        return null;
+    }
+
+    const isLong = trade.side === 'buy';
+    const previousMark = trailing.highWaterMark || trade.entryPrice;
+    const highWaterMark = isLong ? Math.max(previousMark, currentPrice) : Math.min(previousMark, currentPrice);
+
+    // Trailing only starts once the trade is far enough in profit
+    const activationMove = (trailing.activationPercentage || 0) / 100;
+    const activationPrice = isLong ? trade.entryPrice * (1 + activationMove) : trade.entryPrice * (1 - activationMove);
+    const activated = isLong ? highWaterMark >= activationPrice : highWaterMark <= activationPrice;
+
+    let stopLoss = trade.stopLoss;
+    if (activated) {
+        const distance = trailing.type === 'atr' && trailing.atr
+            ? trailing.atr * trailing.atrMultiplier
+            : highWaterMark * (trailing.percentage / 100);
+        const candidate = isLong ? highWaterMark - distance : highWaterMark + distance;
+
+        if (!stopLoss || (isLong ? candidate > stopLoss : candidate < stopLoss)) {
+            stopLoss = candidate;
+        }
+    }
+
+    return { highWaterMark, stopLoss };
+}
+
+/**
+ * Take-profit ladder levels the price has reached that have not been filled yet
+ */
+function getTriggeredTakeProfitLevels(trade, currentPrice) {
+    if (!Array.isArray(trade.takeProfitLadder) || !currentPrice) {
+        return [];
+    }
+
+    return trade.takeProfitLadder.filter(level => !level.filled && (
+        trade.side === 'buy' ? currentPrice >= level.price : currentPrice <= level.price
+    ));
+}
+
+module.exports = {
+    calculateUnrealizedProfitLoss,
+    calculateRealizedProfitLoss,
+    shouldTriggerStopLoss,
+    shouldTriggerTakeProfit,
+    updateTrailingStop,
+    getTriggeredTakeProfitLevels
+};
@@ -0,0 +1,329 @@
+/**
+ * Trade Store
+ * Append-only JSONL log of closed trades with an append-only, rebuildable index for filtering
+ * and paging
+ */
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+const INDEX_VERSION = 2;
+// The index is rewritten without superseded entries once it is this many times the trade count
+const INDEX_COMPACT_RATIO = 2;
+
+class TradeStore {
+    constructor(dataDir, logger) {
+        this.logFile = path.join(dataDir, 'trades.jsonl');
+        this.indexFile = path.join(dataDir, 'trades.index.jsonl');
+        // Whole-file index written by earlier versions
+        this.legacyIndexFile = path.join(dataDir, 'trades.index.json');
+        this.logger = logger || new Logger('TradeStore');
+        // Latest index entry per trade id, in append order
+        this.entries = new Map();
+        this.logSize = 0;
+        // Entries in the index file, superseded ones included
+        this.indexLines = 0;
+    }
+
+    /**
+     * Open the store, migrating a legacy JSON history file if there is no log yet
+     */
+    initialize(legacyHistoryFile = null) {
+        fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+        fs.rmSync(this.legacyIndexFile, { force: true });
+
+        if (!fs.existsSync(this.logFile)) {
+            fs.writeFileSync(this.logFile, '', 'utf8');
+            if (legacyHistoryFile && fs.existsSync(legacyHistoryFile)) {
+                this.migrateLegacyHistory(legacyHistoryFile);
+                return;
+            }
+        }
+
+        this.repairLog();
+        this.logSize = fs.statSync(this.logFile).size;
+        if (!this.loadIndex()) {
+            this.rebuildIndex();
+        }
+    }
+
+    /**
+     * Import a whole-file JSON history, then rename it so it is not imported twice
+     */
+    migrateLegacyHistory(legacyHistoryFile) {
+        let trades = [];
+        try {
+            const history = JSON.parse(fs.readFileSync(legacyHistoryFile, 'utf8'));
+            trades = Array.isArray(history) ? history : [];
+        } catch (error) {
+            this.logger.error(`Could not parse legacy trade history ${legacyHistoryFile}, skipping migration`, error);
+            return;
+        }
+
+        for (const trade of trades) {
+            this.appendRecord(trade, false);
+        }
+        this.saveIndex();
+
+        const migratedFile = `${legacyHistoryFile}.migrated`;
+        fs.renameSync(legacyHistoryFile, migratedFile);
+        this.logger.info(`Migrated ${trades.length} trades from ${legacyHistoryFile} (original kept as ${migratedFile})`);
+    }
+
+    /**
+     * Drop a partially written last line left by a crash mid-append
+     */
+    repairLog() {
+        const size = fs.statSync(this.logFile).size;
+        if (size === 0) return;
+
+        const fd = fs.openSync(this.logFile, 'r+');
+        try {
+            const lastByte = Buffer.alloc(1);
+            fs.readSync(fd, lastByte, 0, 1, size - 1);
+            if (lastByte.toString() === '\n') return;
+
+            // Walk back to the end of the last complete line
+            const chunkSize = 4096;
+            let end = size;
+            while (end > 0) {
+                const start = Math.max(0, end - chunkSize);
+                const chunk = Buffer.alloc(end - start);
+                fs.readSync(fd, chunk, 0, chunk.length, start);
+                const newline = chunk.lastIndexOf('\n');
+                if (newline !== -1) {
+                    end = start + newline + 1;
+                    break;
+                }
+                end = start;
+            }
+
+            fs.ftruncateSync(fd, end);
+            this.logger.warn(`Discarded ${size - end} bytes of incomplete trade record from ${this.logFile}`);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Read the index file. Records appended to the log after the index was last written (by a
+     * crash between the two) are indexed from the log; anything else amiss means a rebuild.
+     */
+    loadIndex() {
+        if (!fs.existsSync(this.indexFile)) return false;
+
+        try {
+            const content = fs.readFileSync(this.indexFile, 'utf8');
+            // A crash mid-append leaves the last line incomplete
+            if (!content.endsWith('\n')) {
+                return false;
+            }
+
+            const [header, ...lines] = content.slice(0, -1).split('\n');
+            if (JSON.parse(header).version !== INDEX_VERSION) {
+                return false;
+            }
+
+            const entries = new Map();
+            let indexedSize = 0;
+            for (const line of lines) {
+                const entry = JSON.parse(line);
+                entries.delete(entry.id);
+                entries.set(entry.id, entry);
+                indexedSize = Math.max(indexedSize, entry.offset + entry.length + 1);
+            }
+            // The log lost records the index knows about
+            if (indexedSize > this.logSize) {
+                return false;
+            }
+
+            this.entries = entries;
+            this.indexLines = lines.length;
+            if (indexedSize < this.logSize) {
+                this.indexLog(indexedSize);
+                this.saveIndex();
+                this.logger.info(`Indexed trades recorded after byte ${indexedSize} of the log`);
+            }
+            return true;
+        } catch (error) {
+            this.logger.warn('Trade index unreadable, rebuilding from log', error);
+            return false;
+        }
+    }
+
+    rebuildIndex() {
+        this.entries = new Map();
+        this.indexLog(0);
+        this.saveIndex();
+        this.logger.info(`Rebuilt trade index with ${this.entries.size} trades`);
+    }
+
+    /**
+     * Index the log's records from byte `start` to the end
+     */
+    indexLog(start) {
+        const data = Buffer.alloc(this.logSize - start);
+        const fd = fs.openSync(this.logFile, 'r');
+        try {
+            fs.readSync(fd, data, 0, data.length, start);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        let offset = 0;
+        while (offset < data.length) {
+            let end = data.indexOf('\n', offset);
+            if (end === -1) end = data.length;
+
+            const line = data.toString('utf8', offset, end);
+            if (line.trim()) {
+                try {
+                    this.indexRecord(JSON.parse(line), start + offset, end - offset);
+                } catch (error) {
+                    this.logger.warn(`Skipping unreadable trade record at byte ${start + offset}`);
+                }
+            }
+            offset = end + 1;
+        }
+    }
+
+    /**
+     * Atomically replace the index file with the current entries, dropping superseded ones
+     */
+    saveIndex() {
+        const tempFile = `${this.indexFile}.tmp`;
+        const lines = [JSON.stringify({ version: INDEX_VERSION })];
+        for (const entry of this.entries.values()) {
+            lines.push(JSON.stringify(entry));
+        }
+        fs.writeFileSync(tempFile, `${lines.join('\n')}\n`, 'utf8');
+        fs.renameSync(tempFile, this.indexFile);
+        this.indexLines = this.entries.size;
+    }
+
+    /**
+     * Add one entry to the end of the index file, compacting it once superseded entries pile up
+     */
+    appendIndexEntry(entry) {
+        if (this.indexLines + 1 > Math.max(this.entries.size, 1) * INDEX_COMPACT_RATIO) {
+            this.saveIndex();
+            return;
+        }
+        fs.appendFileSync(this.indexFile, `${JSON.stringify(entry)}\n`, 'utf8');
+        this.indexLines++;
+    }
+
+    indexRecord(trade, offset, length) {
+        const entry = {
+            id: trade.id,
+            offset,
+            length,
+            timestamp: trade.closedAt || trade.timestamp || null,
+            strategy: trade.strategy || null,
+            exchange: trade.exchange === 'dex' ? trade.network : (trade.exchange || null),
+            symbol: trade.symbol || trade.tokenAddress || null,
+            outcome: TradeStore.getOutcome(trade),
+            profitLoss: trade.profitLoss || 0,
+            paper: !!trade.paper
+        };
+        // Appending a trade id again supersedes the earlier record
+        this.entries.delete(entry.id);
+        this.entries.set(entry.id, entry);
+        return entry;
+    }
+
+    static getOutcome(trade) {
+        if (trade.status === 'failed') return 'failed';
+        if (trade.profitLoss > 0) return 'win';
+        if (trade.profitLoss < 0) return 'loss';
+        return 'breakeven';
+    }
+
+    /**
+     * Append one trade as a single fsynced line, then add it to the index
+     */
+    append(trade) {
+        const entry = this.appendRecord(trade, true);
+        this.appendIndexEntry(entry);
+        return entry;
+    }
+
+    appendRecord(trade, sync) {
+        const line = Buffer.from(`${JSON.stringify(trade)}\n`, 'utf8');
+        const offset = this.logSize;
+
+        const fd = fs.openSync(this.logFile, 'a');
+        try {
+            fs.writeSync(fd, line);
+            if (sync) {
+                fs.fsyncSync(fd);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        this.logSize += line.length;
+        return this.indexRecord(trade, offset, line.length - 1);
+    }
+
+    readRecord(fd, entry) {
+        const buffer = Buffer.alloc(entry.length);
+        fs.readSync(fd, buffer, 0, entry.length, entry.offset);
+        return JSON.parse(buffer.toString('utf8'));
+    }
+
+    readEntries(entries) {
+        if (entries.length === 0) return [];
+
+        const fd = fs.openSync(this.logFile, 'r');
+        try {
+            return entries.map(entry => this.readRecord(fd, entry));
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * All trades in the order they were recorded
+     */
+    getAll() {
+        return this.readEntries(Array.from(this.entries.values()));
+    }
+
+    /**
+     * Filter and page trades, newest first. Only the requested page is read from disk.
+     */
+    query(filters = {}) {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.min(500, Math.max(1, parseInt(filters.limit) || 50));
+        const from = filters.from ? new Date(filters.from).getTime() : null;
+        const to = filters.to ? new Date(filters.to).getTime() : null;
+
+        const matches = Array.from(this.entries.values()).filter(entry => {
+            const time = entry.timestamp ? new Date(entry.timestamp).getTime() : null;
+            if (from !== null && (time === null || time < from)) return false;
+            if (to !== null && (time === null || time > to)) return false;
+            if (filters.strategy && entry.strategy !== filters.strategy) return false;
+            if (filters.exchange && entry.exchange !== filters.exchange) return false;
+            if (filters.symbol && (!entry.symbol || entry.symbol.toLowerCase() !== String(filters.symbol).toLowerCase())) return false;
+            if (filters.outcome && entry.outcome !== filters.outcome) return false;
+            if (filters.paper !== undefined && filters.paper !== null && entry.paper !== (filters.paper === true || filters.paper === 'true')) return false;
+            return true;
+        });
+
+        matches.sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+
+        const start = (page - 1) * limit;
+        return {
+            trades: this.readEntries(matches.slice(start, start + limit)),
+            pagination: {
+                page,
+                limit,
+                total: matches.length,
+                pages: Math.ceil(matches.length / limit)
+            }
+        };
+    }
+}
+
+module.exports = { TradeStore };
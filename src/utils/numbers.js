@@ -0,0 +1,14 @@
+/**
+ * Number Utilities for CryptoSniperBot
+ * Settings may come from form posts, where numbers arrive as strings
+ */
+
+/**
+ * The setting as a finite number, or the fallback when it is missing or not a number
+ */
+function toNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+module.exports = { toNumber };
@@ -0,0 +1,122 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const { Backtester, BacktestExchange } = require('../src/trading/backtester');
+const { quietLogger, makeTrade } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function curve(equities) {
+    return equities.map((equity, index) => ({ timestamp: index * DAY_MS, equity }));
+}
+
+describe('Backtester metrics', () => {
+    const backtester = new Backtester(quietLogger);
+
+    it('measures the deepest fall from a running peak', () => {
+        assert.strictEqual(backtester.calculateMaxDrawdown(curve([100, 120, 90, 130, 117])), 25);
+        assert.strictEqual(backtester.calculateMaxDrawdown(curve([100, 110, 120])), 0);
+    });
+
+    it('annualises the Sharpe ratio by the candle interval', () => {
+        const equityCurve = curve([100, 110, 99, 108.9]);
+        const timeline = equityCurve.map(point => point.timestamp);
+
+        // Returns of +10%, -10%, +10% on daily candles
+        const mean = 0.1 / 3;
+        const stdDev = Math.sqrt((2 * Math.pow(0.1 - mean, 2) + Math.pow(-0.1 - mean, 2)) / 2);
+        const expected = (mean / stdDev) * Math.sqrt(365);
+        assert.ok(Math.abs(backtester.calculateSharpeRatio(equityCurve, timeline) - expected) < 1e-9);
+    });
+
+    it('reports a Sharpe ratio of zero without enough points or variation', () => {
+        assert.strictEqual(backtester.calculateSharpeRatio(curve([100, 110]), [0, DAY_MS]), 0);
+        const flat = curve([100, 100, 100, 100]);
+        assert.strictEqual(backtester.calculateSharpeRatio(flat, flat.map(point => point.timestamp)), 0);
+    });
+
+    it('summarises trades and equity in the report', () => {
+        const equityCurve = curve([1000, 1100, 1050]);
+        const report = backtester.buildReport({
+            trades: [makeTrade({ profitLoss: 120 }), makeTrade({ profitLoss: -70 }), makeTrade({ profitLoss: 0 })],
+            equityCurve,
+            rejectedEntries: 2
+        }, {
+            strategyName: 'scalping',
+            symbols: ['BTC/USDT'],
+            timeline: equityCurve.map(point => point.timestamp),
+            initialBalance: 1000,
+            feePercentage: 0.1
+        });
+
+        assert.strictEqual(report.finalEquity, 1050);
+        assert.strictEqual(report.profitLoss, 50);
+        assert.strictEqual(report.totalReturnPercentage, 5);
+        assert.strictEqual(report.winningTrades, 1);
+        assert.strictEqual(report.losingTrades, 2);
+        assert.ok(Math.abs(report.winRate - 100 / 3) < 1e-9);
+        assert.strictEqual(report.rejectedEntries, 2);
+        assert.deepStrictEqual(report.settings, { feePercentage: 0.1 });
+        assert.strictEqual(report.period.candles, 3);
+    });
+});
+
+describe('Backtester candle loading', () => {
+    it('reads CSV columns by name and sorts candles by time', () => {
+        const candles = Backtester.parseCsv([
+            'time,open,high,low,close,volume',
+            '1700003600,2,3,1,2.5,10',
+            '1700000000,1,2,0.5,1.5,20'
+        ].join('\n'), 'ETH/USDT');
+
+        assert.deepStrictEqual(Object.keys(candles), ['ETH/USDT']);
+        assert.deepStrictEqual(candles['ETH/USDT'].map(candle => candle.timestamp), [1700000000000, 1700003600000]);
+        assert.strictEqual(candles['ETH/USDT'][0].close, 1.5);
+    });
+
+    it('rejects a CSV without a close column', () => {
+        assert.throws(() => Backtester.parseCsv('timestamp,open,high,low\n1,1,1,1', 'ETH/USDT'), /missing the close column/);
+    });
+
+    it('accepts array candles and drops ones whose close is not a number', () => {
+        const candles = Backtester.normalizeCandleSet([
+            [1700000000000, 1, 2, 0.5, 1.5, 20],
+            [1700003600000, 1, 2, 0.5, 'n/a', 20]
+        ], 'BTC/USDT');
+        assert.strictEqual(candles['BTC/USDT'].length, 1);
+    });
+});
+
+describe('Backtester runs', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+
+    function hourlyCandles(start, count, firstClose) {
+        return Array.from({ length: count }, (_, index) => {
+            const close = firstClose + index;
+            return [start + index * HOUR_MS, close, close + 1, close - 1, close, 100];
+        });
+    }
+
+    it('starts once every symbol has a candle', async () => {
+        const start = Date.UTC(2024, 0, 1);
+        const report = await new Backtester(quietLogger).run({
+            strategy: 'simpleMA',
+            candles: {
+                'BTC/USDT': hourlyCandles(start, 40, 100),
+                'ETH/USDT': hourlyCandles(start + 10 * HOUR_MS, 30, 50)
+            }
+        });
+        assert.strictEqual(report.period.candles, 30);
+    });
+
+    it('fails rather than let a strategy fall back to random prices', async () => {
+        const fetchOHLCV = mock.method(BacktestExchange.prototype, 'fetchOHLCV', async () => []);
+        try {
+            await assert.rejects(new Backtester(quietLogger).run({
+                strategy: 'enhancedTrendTrading',
+                candles: { 'BTC/USDT': hourlyCandles(Date.UTC(2024, 0, 1), 5, 100) }
+            }), /no market data for BTC\/USDT .* would fall back to random prices/);
+        } finally {
+            fetchOHLCV.mock.restore();
+        }
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { CapitalAllocator } = require('../src/trading/capitalAllocator');
+const { makeTrade } = require('./helpers');
+
+const openTrades = [
+    makeTrade({ status: 'active', quantity: 20 }),
+    makeTrade({ status: 'active', strategy: 'breakout', entryPrice: 5, quantity: 20 }),
+    makeTrade({ status: 'active', exchange: 'dex', network: 'ethereum', entryPrice: 0.5, quantity: 2 })
+];
+
+describe('CapitalAllocator.getAvailableCapital', () => {
+    it('makes the whole free balance available without a budget', () => {
+        assert.strictEqual(CapitalAllocator.getAvailableCapital('momentum', null, 'binance', 500, openTrades), 500);
+    });
+
+    it('takes a share of the venue capital, less what the strategy already holds there', () => {
+        // Venue capital 500 + 200 + 100 = 800, half of it 400, 200 already used
+        const available = CapitalAllocator.getAvailableCapital('momentum', { percentage: 50 }, 'binance', 500, openTrades);
+        assert.strictEqual(available, 200);
+    });
+
+    it('caps the budget at the venue limit', () => {
+        const capital = { percentage: 50, limits: { binance: 250 } };
+        assert.strictEqual(CapitalAllocator.getAvailableCapital('momentum', capital, 'binance', 500, openTrades), 50);
+        // The limit of one venue does not apply to another
+        assert.strictEqual(CapitalAllocator.getAvailableCapital('momentum', capital, 'ethereum', 2, openTrades), 0.5);
+    });
+
+    it('never goes below zero or above the free balance', () => {
+        assert.strictEqual(CapitalAllocator.getAvailableCapital('momentum', { percentage: 10 }, 'binance', 500, openTrades), 0);
+        assert.strictEqual(CapitalAllocator.getAvailableCapital('momentum', { percentage: 100 }, 'binance', 50, openTrades), 50);
+    });
+});
+
+describe('CapitalAllocator.getStrategyStats', () => {
+    it('breaks down closed and open trades per strategy', () => {
+        const history = [
+            makeTrade({ profitLoss: 30 }),
+            makeTrade({ profitLoss: -10 }),
+            makeTrade({ profitLoss: 0 }),
+            makeTrade({ strategy: undefined, profitLoss: 5 })
+        ];
+        const active = [
+            { ...openTrades[0], realizedProfitLoss: 4, unrealizedProfitLoss: -2 },
+            openTrades[2]
+        ];
+
+        const stats = CapitalAllocator.getStrategyStats(['momentum', 'idle'], history, active);
+        assert.deepStrictEqual(stats.momentum, {
+            totalTrades: 3,
+            successfulTrades: 1,
+            failedTrades: 2,
+            winRate: (1 / 3) * 100,
+            profitLoss: 24,
+            unrealizedProfitLoss: -2,
+            openTrades: 2,
+            exposure: { binance: 200, ethereum: 1 }
+        });
+        assert.strictEqual(stats.idle.totalTrades, 0);
+        assert.strictEqual(stats.idle.winRate, 0);
+        assert.strictEqual(stats.unknown.profitLoss, 5);
+    });
+
+    it('leaves out entries that never filled', () => {
+        const history = [makeTrade({ profitLoss: 30 }), makeTrade({ status: 'failed', profitLoss: 0 })];
+        const stats = CapitalAllocator.getStrategyStats(['momentum'], history, []);
+        assert.strictEqual(stats.momentum.totalTrades, 1);
+        assert.strictEqual(stats.momentum.failedTrades, 0);
+        assert.strictEqual(stats.momentum.winRate, 100);
+    });
+});
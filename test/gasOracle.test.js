@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { GasOracle } = require('../src/blockchain/gasOracle');
+const { quietLogger } = require('./helpers');
+const gwei = value => ethers.utils.parseUnits(String(value), 'gwei');
+const toGwei = value => parseFloat(ethers.utils.formatUnits(value, 'gwei'));
+
+/**
+ * Provider answering eth_feeHistory with the given history, or failing it when there is none
+ */
+function fakeProvider(feeHistory, gasPrice = gwei(20)) {
+    return {
+        calls: 0,
+        async send(method) {
+            this.calls++;
+            if (method !== 'eth_feeHistory' || !feeHistory) {
+                throw new Error('method not supported');
+            }
+            return feeHistory;
+        },
+        async getGasPrice() {
+            return gasPrice;
+        }
+    };
+}
+
+// Rewards per block at the 10th, 30th, 60th and 90th percentiles
+const FEE_HISTORY = {
+    baseFeePerGas: [gwei(9), gwei(10), gwei(11), gwei(10)].map(fee => fee.toHexString()),
+    reward: [
+        [gwei(1), gwei(2), gwei(3), gwei(5)],
+        ['0x0', '0x0', '0x0', '0x0'],
+        [gwei(1), gwei(2), gwei(4), gwei(6)],
+        [gwei(1), gwei(3), gwei(4), gwei(7)]
+    ].map(block => block.map(reward => ethers.BigNumber.from(reward).toHexString()))
+};
+
+describe('GasOracle', () => {
+    it('builds EIP-1559 tiers from the pending base fee and median rewards', async () => {
+        const oracle = new GasOracle({ provider: fakeProvider(FEE_HISTORY), chainName: 'ethereum', logger: quietLogger });
+        const tiers = await oracle.getFeeTiers();
+
+        assert.strictEqual(toGwei(tiers.slow.baseFee), 10);
+        // Empty blocks are left out of the median
+        assert.strictEqual(toGwei(tiers.slow.maxPriorityFeePerGas), 1);
+        assert.strictEqual(toGwei(tiers.standard.maxPriorityFeePerGas), 2);
+        assert.strictEqual(toGwei(tiers.urgent.maxPriorityFeePerGas), 6);
+        assert.strictEqual(toGwei(tiers.slow.maxFeePerGas), 10 * 1.25 + 1);
+        assert.strictEqual(toGwei(tiers.fast.maxFeePerGas), 10 * 2 + 4);
+    });
+
+    it('falls back to the default priority fee when recent blocks paid none', async () => {
+        const history = { baseFeePerGas: [gwei(10).toHexString()], reward: [['0x0', '0x0', '0x0', '0x0']] };
+        const oracle = new GasOracle({ provider: fakeProvider(history), chainName: 'ethereum', logger: quietLogger });
+        const { standard } = await oracle.getFeeTiers();
+        assert.strictEqual(toGwei(standard.maxPriorityFeePerGas), 1.5);
+    });
+
+    it('uses legacy gas prices on chains without fee history', async () => {
+        const oracle = new GasOracle({ provider: fakeProvider(null, gwei(20)), chainName: 'bsc', logger: quietLogger });
+        const overrides = await oracle.getOverrides('fast');
+        assert.deepStrictEqual(Object.keys(overrides), ['gasPrice']);
+        assert.strictEqual(toGwei(overrides.gasPrice), 23);
+    });
+
+    it('caches the tiers between calls', async () => {
+        const provider = fakeProvider(FEE_HISTORY);
+        const oracle = new GasOracle({ provider, chainName: 'ethereum', logger: quietLogger });
+        await oracle.getOverrides('slow');
+        await oracle.getOverrides('urgent');
+        assert.strictEqual(provider.calls, 1);
+    });
+
+    it('trims the max fee to the cap but refuses fees the cap cannot cover', async () => {
+        const capped = new GasOracle({ provider: fakeProvider(FEE_HISTORY), chainName: 'ethereum', config: { maxFeePerGasGwei: 20 }, logger: quietLogger });
+        const overrides = await capped.getOverrides('fast');
+        assert.strictEqual(toGwei(overrides.maxFeePerGas), 20);
+        assert.strictEqual(toGwei(overrides.maxPriorityFeePerGas), 4);
+
+        const tight = new GasOracle({ provider: fakeProvider(FEE_HISTORY), chainName: 'ethereum', config: { maxFeePerGasGwei: 12 }, logger: quietLogger });
+        await assert.rejects(tight.getOverrides('fast'), /above the 12.00 gwei cap/);
+    });
+
+    it('rejects an unknown urgency', async () => {
+        const oracle = new GasOracle({ provider: fakeProvider(FEE_HISTORY), chainName: 'ethereum', logger: quietLogger });
+        await assert.rejects(oracle.getOverrides('instant'), /Unknown gas urgency instant/);
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * Fixtures shared by the test files
+ */
+
+// Stands in for a Logger where a test does not look at the output
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * A closed trade as the engine records it: a 100 USDT long on Binance. Pass overrides for the
+ * fields a test cares about.
+ */
+function makeTrade(overrides = {}) {
+    return {
+        id: 'trade-1',
+        strategy: 'momentum',
+        exchange: 'binance',
+        symbol: 'ETH/USDT',
+        side: 'buy',
+        status: 'completed',
+        entryPrice: 10,
+        quantity: 10,
+        profitLoss: 0,
+        timestamp: '2024-01-01T00:00:00.000Z',
+        closedAt: '2024-01-01T01:00:00.000Z',
+        ...overrides
+    };
+}
+
+module.exports = { quietLogger, makeTrade };
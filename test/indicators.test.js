@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { calculateATR } = require('../src/trading/indicators');
+
+function candle(high, low, close) {
+    return [0, close, high, low, close, 0];
+}
+
+describe('calculateATR', () => {
+    it('averages the true range over the period', () => {
+        const candles = [
+            candle(11, 9, 10),
+            candle(12, 10, 11),
+            // Gaps up: the range from the previous close is the true range
+            candle(15, 14, 14.5),
+            candle(14, 12, 13)
+        ];
+        // True ranges 2, 4, 2.5
+        assert.strictEqual(calculateATR(candles, 3), 8.5 / 3);
+    });
+
+    it('uses only the most recent candles', () => {
+        const candles = [candle(100, 50, 60), candle(11, 9, 10), candle(12, 10, 11)];
+        assert.strictEqual(calculateATR(candles, 1), 2);
+    });
+
+    it('needs one candle more than the period', () => {
+        assert.strictEqual(calculateATR([candle(11, 9, 10), candle(12, 10, 11)], 2), null);
+        assert.strictEqual(calculateATR(null), null);
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { LogFetcher } = require('../src/blockchain/logFetcher');
+const { quietLogger } = require('./helpers');
+
+/**
+ * Provider that refuses log queries over more than maxRange blocks and answers the rest with
+ * one log per block
+ */
+function fakeProvider(maxRange) {
+    return {
+        requests: [],
+        async send(method, [filter]) {
+            const from = parseInt(filter.fromBlock, 16);
+            const to = parseInt(filter.toBlock, 16);
+            this.requests.push([from, to]);
+            if (to - from + 1 > maxRange) {
+                const error = new Error('processing response error');
+                error.error = { code: -32005, message: `query returned more than ${maxRange} results` };
+                throw error;
+            }
+            return Array.from({ length: to - from + 1 }, (_, i) => ({ blockNumber: from + i }));
+        },
+        formatter: { filterLog: log => ({ ...log, formatted: true }) }
+    };
+}
+
+async function collect(fetcher, fromBlock, toBlock) {
+    const chunks = [];
+    await fetcher.getLogs({ topics: [] }, fromBlock, toBlock, async (logs, endBlock) => {
+        chunks.push({ blocks: logs.map(log => log.blockNumber), endBlock, formatted: logs.every(log => log.formatted) });
+    });
+    return chunks;
+}
+
+describe('LogFetcher', () => {
+    it('halves the chunk when the node refuses a range, without losing blocks', async () => {
+        const provider = fakeProvider(30);
+        const fetcher = new LogFetcher({ provider, chainName: 'test', chunkSize: 100, logger: quietLogger });
+        const chunks = await collect(fetcher, 1, 100);
+
+        assert.deepStrictEqual(provider.requests.slice(0, 3), [[1, 100], [1, 50], [1, 25]]);
+        assert.deepStrictEqual(chunks.flatMap(chunk => chunk.blocks), Array.from({ length: 100 }, (_, i) => i + 1));
+        assert.strictEqual(chunks[chunks.length - 1].endBlock, 100);
+        assert.ok(chunks.every(chunk => chunk.formatted));
+    });
+
+    it('doubles the chunk after full-size chunks, up to the maximum', async () => {
+        const provider = fakeProvider(Infinity);
+        const fetcher = new LogFetcher({ provider, chainName: 'test', chunkSize: 10, maxChunkSize: 40, logger: quietLogger });
+        await collect(fetcher, 0, 109);
+
+        assert.deepStrictEqual(provider.requests, [[0, 9], [10, 29], [30, 69], [70, 109]]);
+        assert.strictEqual(fetcher.chunkSize, 40);
+    });
+
+    it('keeps the chunk size when the last chunk is short', async () => {
+        const fetcher = new LogFetcher({ provider: fakeProvider(Infinity), chainName: 'test', chunkSize: 10, logger: quietLogger });
+        await collect(fetcher, 0, 4);
+        assert.strictEqual(fetcher.chunkSize, 10);
+    });
+
+    it('carries the adapted chunk size over to the next call', async () => {
+        const provider = fakeProvider(16);
+        const fetcher = new LogFetcher({ provider, chainName: 'test', chunkSize: 64, logger: quietLogger });
+        await collect(fetcher, 0, 63);
+        const { chunkSize } = fetcher;
+        assert.ok(chunkSize < 64);
+
+        provider.requests = [];
+        await collect(fetcher, 64, 200);
+        assert.deepStrictEqual(provider.requests[0], [64, 64 + chunkSize - 1]);
+    });
+
+    it('rethrows errors that are not about the range', async () => {
+        const provider = {
+            async send() {
+                throw new Error('connection refused');
+            },
+            formatter: { filterLog: log => log }
+        };
+        const fetcher = new LogFetcher({ provider, chainName: 'test', logger: quietLogger });
+        await assert.rejects(collect(fetcher, 0, 100), /connection refused/);
+    });
+
+    it('rethrows a range error for a single block', async () => {
+        const fetcher = new LogFetcher({ provider: fakeProvider(0), chainName: 'test', chunkSize: 4, logger: quietLogger });
+        await assert.rejects(collect(fetcher, 0, 3), /processing response error/);
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PositionSizer } = require('../src/trading/positionSizer');
+
+const { quietLogger, makeTrade } = require('./helpers');
+
+const sizer = new PositionSizer(quietLogger);
+
+describe('PositionSizer', () => {
+    it('sizes a fixed share of the balance', () => {
+        const sizing = sizer.calculate({ config: { model: 'fixedPercentage', percentage: '5' }, balance: 1000, price: 2 });
+        assert.deepStrictEqual(sizing, { orderValue: 50, quantity: 25, model: 'fixedPercentage', reason: null });
+    });
+
+    it('risks a share of the balance over the stop distance', () => {
+        const sizing = sizer.calculate({
+            config: { model: 'fixedRisk', riskPercentage: 1 },
+            balance: 1000,
+            price: 10,
+            stopLossPercentage: 5
+        });
+        assert.strictEqual(sizing.orderValue, 200);
+        assert.strictEqual(sizer.calculate({ config: { model: 'fixedRisk' }, balance: 1000, price: 10 }).orderValue, 0);
+    });
+
+    it('sizes by ATR and falls back to the stop distance without one', () => {
+        const params = { config: { model: 'atr', riskPercentage: 1, atrMultiplier: 2 }, balance: 1000, price: 10, stopLossPercentage: 5 };
+        // 10 at risk over 2 ATRs of 0.5 is 10 units
+        assert.strictEqual(sizer.calculate({ ...params, atr: 0.5 }).orderValue, 100);
+        assert.deepStrictEqual(sizer.calculate({ ...params, atr: null }).model, 'fixedRisk');
+    });
+
+    it('uses the fallback model until Kelly has enough trades', () => {
+        const config = { model: 'kelly', kellyMinTrades: 4, percentage: 3, fallbackModel: 'fixedPercentage' };
+        const sizing = sizer.calculate({ config, balance: 1000, price: 1, history: [makeTrade({ profitLoss: 10 })] });
+        assert.strictEqual(sizing.model, 'fixedPercentage');
+        assert.strictEqual(sizing.orderValue, 30);
+    });
+
+    it('sizes a fraction of the Kelly bet from the trade history', () => {
+        // Win rate 0.75, payoff ratio 2: f = 0.75 - 0.25 / 2 = 0.625, a quarter of it is 15.625%
+        const history = [makeTrade({ profitLoss: 20 }), makeTrade({ profitLoss: 20 }), makeTrade({ profitLoss: 20 }), makeTrade({ profitLoss: -10 })];
+        const sizing = sizer.calculate({ config: { model: 'kelly', kellyMinTrades: 4 }, balance: 1000, price: 1, history });
+        assert.strictEqual(sizing.model, 'kelly');
+        assert.ok(Math.abs(sizing.orderValue - 156.25) < 1e-9);
+    });
+
+    it('skips when the trade history shows no edge', () => {
+        const history = [makeTrade({ profitLoss: 5 }), makeTrade({ profitLoss: -10 }), makeTrade({ profitLoss: -10 }), makeTrade({ profitLoss: -10 })];
+        const sizing = sizer.calculate({ config: { model: 'kelly', kellyMinTrades: 4 }, balance: 1000, price: 1, history });
+        assert.strictEqual(sizing.orderValue, 0);
+        assert.match(sizing.reason, /no edge/);
+    });
+
+    it('caps the order at maxPercentage, the balance and maxOrderValue', () => {
+        const config = { model: 'fixedPercentage', percentage: 80, maxPercentage: 50 };
+        assert.strictEqual(sizer.calculate({ config, balance: 1000, price: 1 }).orderValue, 500);
+        assert.strictEqual(sizer.calculate({ config, balance: 1000, price: 1, maxOrderValue: 120 }).orderValue, 120);
+    });
+
+    it('rounds to the venue precision and enforces its minimums', () => {
+        const config = { model: 'fixedPercentage', percentage: 10 };
+        const rounded = sizer.calculate({ config, balance: 1000, price: 3, roundQuantity: quantity => Math.floor(quantity) });
+        assert.deepStrictEqual([rounded.quantity, rounded.orderValue], [33, 99]);
+
+        const belowAmount = sizer.calculate({ config, balance: 1000, price: 3, marketLimits: { minAmount: 50 } });
+        assert.match(belowAmount.reason, /below the minimum amount/);
+        const belowCost = sizer.calculate({ config, balance: 1000, price: 3, marketLimits: { minCost: 150 } });
+        assert.match(belowCost.reason, /below the minimum of 150/);
+    });
+
+    it('skips without a balance or a price', () => {
+        assert.strictEqual(sizer.calculate({ config: {}, balance: 0, price: 1 }).reason, 'insufficient balance');
+        assert.strictEqual(sizer.calculate({ config: {}, balance: 10, price: 0 }).reason, 'no price to size the order');
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const tradeRules = require('../src/trading/tradeRules');
+
+describe('tradeRules', () => {
+    const long = { side: 'buy', entryPrice: 100, quantity: 2, stopLoss: 95, takeProfit: 110 };
+    const short = { side: 'sell', entryPrice: 100, quantity: 2, stopLoss: 105, takeProfit: 90 };
+
+    it('calculates profit and loss for both sides', () => {
+        assert.strictEqual(tradeRules.calculateUnrealizedProfitLoss(long, 104), 8);
+        assert.strictEqual(tradeRules.calculateUnrealizedProfitLoss(short, 104), -8);
+        assert.strictEqual(tradeRules.calculateUnrealizedProfitLoss(long, null), 0);
+        assert.strictEqual(tradeRules.calculateRealizedProfitLoss(long, 110, 0.5), 5);
+    });
+
+    it('triggers stops and take-profits on the right side of the price', () => {
+        assert.strictEqual(tradeRules.shouldTriggerStopLoss(long, 95), true);
+        assert.strictEqual(tradeRules.shouldTriggerStopLoss(long, 96), false);
+        assert.strictEqual(tradeRules.shouldTriggerStopLoss(short, 105), true);
+        assert.strictEqual(tradeRules.shouldTriggerTakeProfit(long, 110), true);
+        assert.strictEqual(tradeRules.shouldTriggerTakeProfit(short, 91), false);
+        assert.strictEqual(tradeRules.shouldTriggerStopLoss({ side: 'buy' }, 1), false);
+    });
+
+    describe('updateTrailingStop', () => {
+        it('returns null without a trailing stop', () => {
+            assert.strictEqual(tradeRules.updateTrailingStop(long, 120), null);
+        });
+
+        it('waits for the activation move before trailing', () => {
+            const trade = { ...long, trailingStop: { percentage: 5, activationPercentage: 10 } };
+            assert.deepStrictEqual(tradeRules.updateTrailingStop(trade, 108), { highWaterMark: 108, stopLoss: 95 });
+            assert.deepStrictEqual(tradeRules.updateTrailingStop(trade, 120), { highWaterMark: 120, stopLoss: 114 });
+        });
+
+        it('only ever tightens the stop', () => {
+            const trade = { ...long, stopLoss: 114, trailingStop: { percentage: 5, highWaterMark: 120 } };
+            assert.deepStrictEqual(tradeRules.updateTrailingStop(trade, 112), { highWaterMark: 120, stopLoss: 114 });
+        });
+
+        it('trails shorts from the low and ATR stops by multiples of the ATR', () => {
+            const shortTrade = { ...short, trailingStop: { percentage: 10 } };
+            assert.deepStrictEqual(tradeRules.updateTrailingStop(shortTrade, 80), { highWaterMark: 80, stopLoss: 88 });
+
+            const atrTrade = { ...long, trailingStop: { type: 'atr', atr: 2, atrMultiplier: 3 } };
+            assert.deepStrictEqual(tradeRules.updateTrailingStop(atrTrade, 130), { highWaterMark: 130, stopLoss: 124 });
+        });
+    });
+
+    it('lists the unfilled ladder levels the price has reached', () => {
+        const trade = {
+            ...long,
+            takeProfitLadder: [
+                { price: 105, filled: true },
+                { price: 110, filled: false },
+                { price: 120, filled: false }
+            ]
+        };
+        assert.deepStrictEqual(tradeRules.getTriggeredTakeProfitLevels(trade, 112).map(level => level.price), [110]);
+        assert.deepStrictEqual(tradeRules.getTriggeredTakeProfitLevels({ ...long }, 112), []);
+    });
+});
@@ -0,0 +1,121 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TradeStore } = require('../src/trading/tradeStore');
+const { quietLogger, makeTrade } = require('./helpers');
+
+function openStore(dataDir, legacyHistoryFile) {
+    const store = new TradeStore(dataDir, quietLogger);
+    store.initialize(legacyHistoryFile);
+    return store;
+}
+
+describe('TradeStore', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trade-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('reads appended trades back after reopening', () => {
+        const store = openStore(dataDir);
+        store.append(makeTrade({ id: 'a' }));
+        store.append(makeTrade({ id: 'bb', profitLoss: -2 }));
+
+        const reopened = openStore(dataDir);
+        assert.deepStrictEqual(reopened.getAll().map(t => t.id), ['a', 'bb']);
+        assert.deepStrictEqual(reopened.query({ outcome: 'loss' }).trades.map(t => t.id), ['bb']);
+    });
+
+    it('lets a re-appended trade supersede the earlier record', () => {
+        const store = openStore(dataDir);
+        store.append(makeTrade({ id: 'a' }));
+        store.append(makeTrade({ id: 'a', profitLoss: 5 }));
+
+        const reopened = openStore(dataDir);
+        assert.deepStrictEqual(reopened.getAll().map(t => t.profitLoss), [5]);
+    });
+
+    it('rebuilds a missing or unreadable index from the log', () => {
+        const store = openStore(dataDir);
+        store.append(makeTrade({ id: 'a' }));
+        store.append(makeTrade({ id: 'bb' }));
+
+        fs.rmSync(store.indexFile);
+        assert.strictEqual(openStore(dataDir).getAll().length, 2);
+
+        fs.writeFileSync(store.indexFile, '{"version":1}\n', 'utf8');
+        assert.strictEqual(openStore(dataDir).getAll().length, 2);
+
+        fs.writeFileSync(store.indexFile, '{"version":2}\n{"id":', 'utf8');
+        assert.strictEqual(openStore(dataDir).getAll().length, 2);
+    });
+
+    it('indexes records the log gained after the index was written', () => {
+        const store = openStore(dataDir);
+        store.append(makeTrade({ id: 'a' }));
+        // A crash between writing the log and the index
+        fs.appendFileSync(store.logFile, `${JSON.stringify(makeTrade({ id: 'bb' }))}\n`, 'utf8');
+
+        const reopened = openStore(dataDir);
+        assert.deepStrictEqual(reopened.getAll().map(t => t.id), ['a', 'bb']);
+        assert.strictEqual(reopened.indexLines, 2);
+    });
+
+    it('drops a partially written last record', () => {
+        const store = openStore(dataDir);
+        store.append(makeTrade({ id: 'a' }));
+        fs.appendFileSync(store.logFile, '{"id":"bb","stra', 'utf8');
+
+        const reopened = openStore(dataDir);
+        assert.deepStrictEqual(reopened.getAll().map(t => t.id), ['a']);
+        assert.ok(fs.readFileSync(store.logFile, 'utf8').endsWith('}\n'));
+
+        reopened.append(makeTrade({ id: 'ccc' }));
+        assert.deepStrictEqual(openStore(dataDir).getAll().map(t => t.id), ['a', 'ccc']);
+    });
+
+    it('compacts the index once superseded entries pile up', () => {
+        const store = openStore(dataDir);
+        store.append(makeTrade({ id: 'a' }));
+        store.append(makeTrade({ id: 'bb' }));
+        for (let i = 0; i < 5; i++) {
+            store.append(makeTrade({ id: 'a', profitLoss: i }));
+        }
+
+        const indexLines = fs.readFileSync(store.indexFile, 'utf8').trim().split('\n').length - 1;
+        assert.ok(indexLines <= store.entries.size * 2, `${indexLines} index entries for ${store.entries.size} trades`);
+        assert.deepStrictEqual(openStore(dataDir).getAll().map(t => [t.id, t.profitLoss]), [['bb', 0], ['a', 4]]);
+    });
+
+    it('removes the legacy whole-file index and rebuilds from the log', () => {
+        const store = openStore(dataDir);
+        store.append(makeTrade({ id: 'a' }));
+        fs.rmSync(store.indexFile);
+        fs.writeFileSync(store.legacyIndexFile, JSON.stringify({ version: 1, entries: [] }), 'utf8');
+
+        const reopened = openStore(dataDir);
+        assert.strictEqual(fs.existsSync(store.legacyIndexFile), false);
+        assert.deepStrictEqual(reopened.getAll().map(t => t.id), ['a']);
+    });
+
+    it('migrates a legacy JSON history once', () => {
+        const legacyHistoryFile = path.join(dataDir, 'trade_history.json');
+        fs.writeFileSync(legacyHistoryFile, JSON.stringify([makeTrade({ id: 'a' }), makeTrade({ id: 'bb', paper: true })]), 'utf8');
+
+        const store = openStore(dataDir, legacyHistoryFile);
+        assert.deepStrictEqual(store.getAll().map(t => t.id), ['a', 'bb']);
+        assert.strictEqual(fs.existsSync(legacyHistoryFile), false);
+        assert.ok(fs.existsSync(`${legacyHistoryFile}.migrated`));
+
+        const reopened = openStore(dataDir, legacyHistoryFile);
+        assert.strictEqual(reopened.getAll().length, 2);
+        assert.deepStrictEqual(reopened.query({ paper: 'true' }).trades.map(t => t.id), ['bb']);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { TransactionManager } = require('../src/blockchain/transactionManager');
+const { quietLogger } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Wallet whose node never mines anything: no receipts, and the mined nonce stays at 5
+ */
+function fakeWallet() {
+    return {
+        address: '0x0000000000000000000000000000000000000001',
+        pendingNonce: 5,
+        nonceReads: 0,
+        provider: {
+            async getTransactionCount() {
+                return 5;
+            },
+            async getTransactionReceipt() {
+                return null;
+            }
+        },
+        async getTransactionCount() {
+            this.nonceReads++;
+            return this.pendingNonce;
+        },
+        async sendTransaction(transaction) {
+            return { ...transaction, hash: `0x${transaction.nonce.toString(16).padStart(64, '0')}`, gasPrice: 1 };
+        }
+    };
+}
+
+async function send(manager) {
+    const response = await manager.sendTransaction({ to: '0x0000000000000000000000000000000000000002', value: 0, data: '0x' }, { simulate: false });
+    manager.stop();
+    return response;
+}
+
+describe('TransactionManager', () => {
+    it('hands out nonces locally after reading the first from the node', async () => {
+        const wallet = fakeWallet();
+        const manager = new TransactionManager({ wallet, chainName: 'test', logger: quietLogger });
+
+        assert.deepStrictEqual([(await send(manager)).nonce, (await send(manager)).nonce], [5, 6]);
+        assert.strictEqual(wallet.nonceReads, 1);
+    });
+
+    it('drops a transaction that is never mined and reads the next nonce from the node again', async () => {
+        const wallet = fakeWallet();
+        const manager = new TransactionManager({ wallet, chainName: 'test', logger: quietLogger });
+        const response = await send(manager);
+        await send(manager);
+
+        await manager.poll();
+        assert.strictEqual(manager.getTransactions()[0].status, 'pending');
+
+        // Evicted from the mempool: the node has nothing pending from us any more
+        wallet.pendingNonce = 5;
+        for (const record of manager.transactions.values()) {
+            record.lastSubmittedAt -= 11 * MINUTE_MS;
+        }
+        await manager.poll();
+
+        await assert.rejects(response.wait(), /was dropped: not mined within 10 minutes/);
+        assert.deepStrictEqual(manager.getTransactions().map(transaction => transaction.status), ['dropped', 'dropped']);
+        assert.strictEqual((await send(manager)).nonce, 5);
+    });
+});